@@ -0,0 +1,89 @@
+import { appendFileSync, existsSync, mkdirSync, renameSync, statSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { DATA_DIR } from './auth.js';
+
+// Audit log of mutating dashboard actions. Entries are appended as JSON lines
+// to audit.log in the data directory; when the file grows past
+// AUDIT_MAX_BYTES it is rotated to audit.log.1, audit.log.2, ... keeping
+// AUDIT_MAX_FILES old files.
+
+export const AUDIT_FILE = process.env.DASHBOARD_AUDIT_FILE || join(DATA_DIR, 'audit.log');
+
+const AUDIT_MAX_BYTES = parseInt(process.env.DASHBOARD_AUDIT_MAX_BYTES) || 10 * 1024 * 1024;
+const AUDIT_MAX_FILES = parseInt(process.env.DASHBOARD_AUDIT_MAX_FILES) || 5;
+
+// Arguments of these commands can carry passwords and are left out of the log
+const REDACTED_COMMANDS = ['AUTH', 'HELLO', 'MIGRATE', 'ACL SETUSER', 'CONFIG SET'];
+
+export function redactCommand(name, command) {
+  return REDACTED_COMMANDS.includes(name) ? `${name} [redacted]` : command;
+}
+
+function rotate() {
+  for (let i = AUDIT_MAX_FILES - 1; i >= 1; i--) {
+    if (existsSync(`${AUDIT_FILE}.${i}`)) {
+      renameSync(`${AUDIT_FILE}.${i}`, `${AUDIT_FILE}.${i + 1}`);
+    }
+  }
+  renameSync(AUDIT_FILE, `${AUDIT_FILE}.1`);
+}
+
+export function appendAuditEntry(entry) {
+  const line = JSON.stringify(entry) + '\n';
+  try {
+    mkdirSync(dirname(AUDIT_FILE), { recursive: true });
+    if (existsSync(AUDIT_FILE) && statSync(AUDIT_FILE).size + line.length > AUDIT_MAX_BYTES) {
+      rotate();
+    }
+    appendFileSync(AUDIT_FILE, line, { mode: 0o600 });
+  } catch (err) {
+    // A full disk must not take the dashboard down with it
+    console.error(`Failed to write audit entry: ${err.message}`);
+  }
+}
+
+function matches(entry, filters) {
+  const contains = (value, text) => !text || String(value ?? '').toLowerCase().includes(text.toLowerCase());
+  return contains(entry.user, filters.user) &&
+    contains(entry.connection, filters.connection) &&
+    contains(entry.command, filters.command) &&
+    contains(entry.key, filters.key) &&
+    (!filters.outcome || entry.outcome === filters.outcome) &&
+    (filters.db === undefined || entry.db === filters.db) &&
+    (!filters.since || entry.timestamp >= filters.since) &&
+    (!filters.until || entry.timestamp <= filters.until);
+}
+
+// Read entries newest first across the current and rotated files, stopping
+// once `limit` matching entries have been found
+export async function readAuditEntries(filters = {}, limit = 200) {
+  const files = [AUDIT_FILE];
+  for (let i = 1; i <= AUDIT_MAX_FILES; i++) {
+    files.push(`${AUDIT_FILE}.${i}`);
+  }
+
+  const entries = [];
+  for (const file of files) {
+    if (!existsSync(file)) {
+      continue;
+    }
+    const lines = (await readFile(file, 'utf8')).split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        continue;
+      }
+      if (matches(entry, filters)) {
+        entries.push(entry);
+        if (entries.length >= limit) {
+          return { entries, truncated: true };
+        }
+      }
+    }
+  }
+  return { entries, truncated: false };
+}
@@ -0,0 +1,219 @@
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+// Dashboard accounts. Users and API tokens are kept in a local JSON file;
+// passwords are stored as scrypt hashes and tokens as SHA-256 digests:
+//   {
+//     "users": [{ "username": "admin", "passwordHash": "scrypt$16384$8$1$<salt>$<hash>", "role": "admin" }],
+//     "tokens": [{ "name": "monitoring", "tokenHash": "<sha256 hex>", "role": "viewer" }]
+//   }
+// Signed-in browsers hold an opaque token in an HTTP-only cookie; scripts
+// send a configured token as "Authorization: Bearer <token>".
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DATA_DIR = process.env.DASHBOARD_DATA_DIR || join(__dirname, '..', 'data');
+export const USERS_FILE = process.env.DASHBOARD_USERS_FILE || join(DATA_DIR, 'users.json');
+export const AUTH_COOKIE = 'redish_auth';
+
+const AUTH_TTL_MS = parseInt(process.env.DASHBOARD_AUTH_TTL_MS) || 12 * 60 * 60 * 1000;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const scryptAsync = promisify(scrypt);
+
+// Roles in increasing order of power. Viewers can only read, operators can
+// also edit keys, admins can additionally flush databases, run raw commands
+// and remove TTLs.
+export const ROLES = ['viewer', 'operator', 'admin'];
+const DEFAULT_ROLE = 'viewer';
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function roleOf(account) {
+  return ROLES.includes(account.role) ? account.role : DEFAULT_ROLE;
+}
+
+// token -> { token, username, role, expiresAt }
+const authSessions = new Map();
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyHash(password, passwordHash) {
+  const [scheme, N, r, p, salt, hash] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p),
+  });
+  return timingSafeEqual(expected, actual);
+}
+
+// The users file as last parsed, with the modification time and size it had
+// then: { mtimeMs, size, accounts }
+let cachedAccounts = null;
+
+// Accounts are checked on every request, so the file is only parsed again
+// once it has changed, e.g. by the users command in another process
+export function loadAccounts() {
+  const stats = statSync(USERS_FILE, { throwIfNoEntry: false });
+  if (!stats) {
+    cachedAccounts = null;
+    return { users: [], tokens: [] };
+  }
+  if (cachedAccounts?.mtimeMs === stats.mtimeMs && cachedAccounts.size === stats.size) {
+    return cachedAccounts.accounts;
+  }
+  const data = JSON.parse(readFileSync(USERS_FILE, 'utf8'));
+  const accounts = {
+    users: Array.isArray(data.users) ? data.users : [],
+    tokens: Array.isArray(data.tokens) ? data.tokens : [],
+  };
+  cachedAccounts = { mtimeMs: stats.mtimeMs, size: stats.size, accounts };
+  return accounts;
+}
+
+export function saveAccounts({ users, tokens }) {
+  mkdirSync(dirname(USERS_FILE), { recursive: true });
+  writeFileSync(USERS_FILE, JSON.stringify({ users, tokens }, null, 2) + '\n', { mode: 0o600 });
+  cachedAccounts = null;
+}
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Create the users file from DASHBOARD_USER/DASHBOARD_PASSWORD when it does
+// not exist yet, so containers can start with a known account
+export async function bootstrapUsers() {
+  if (existsSync(USERS_FILE)) {
+    return;
+  }
+  const username = process.env.DASHBOARD_USER;
+  const password = process.env.DASHBOARD_PASSWORD;
+  if (!username || !password) {
+    console.warn(`No dashboard users file at ${USERS_FILE}; nobody can sign in.`);
+    console.warn('Create one with: npm run users -- add <username>');
+    return;
+  }
+  saveAccounts({
+    users: [{ username, passwordHash: await hashPassword(password), role: 'admin' }],
+    tokens: [],
+  });
+  console.log(`Created dashboard users file ${USERS_FILE} with admin user "${username}"`);
+}
+
+// Check a username and password against the users file. A dummy hash is
+// computed for unknown users so timing does not reveal which names exist.
+export async function verifyUser(username, password) {
+  const user = loadAccounts().users.find((u) => u.username === username);
+  if (!user) {
+    await verifyHash(password || '', `scrypt$16384$8$1$${randomBytes(16).toString('base64')}$${randomBytes(KEY_LENGTH).toString('base64')}`);
+    return null;
+  }
+  return (await verifyHash(password || '', user.passwordHash)) ? { ...user, role: roleOf(user) } : null;
+}
+
+// Resolve a bearer token to an identity shaped like a cookie session
+export function verifyApiToken(token) {
+  if (!token) {
+    return null;
+  }
+  const digest = Buffer.from(hashToken(token), 'hex');
+  const match = loadAccounts().tokens.find((t) => {
+    const expected = Buffer.from(t.tokenHash || '', 'hex');
+    return expected.length === digest.length && timingSafeEqual(expected, digest);
+  });
+  return match ? { token: `token:${match.name}`, username: match.name, role: roleOf(match) } : null;
+}
+
+export function createAuthSession(user) {
+  const session = {
+    token: randomUUID(),
+    username: user.username,
+    role: user.role,
+    expiresAt: Date.now() + AUTH_TTL_MS,
+  };
+  authSessions.set(session.token, session);
+  return session;
+}
+
+// Look up a cookie token, sliding its expiry forward on use. The user is
+// looked up again in the users file, as API tokens are, so that a changed
+// role applies at once and a removed user is signed out.
+export function getAuthSession(token) {
+  const session = token ? authSessions.get(token) : null;
+  if (!session) {
+    return null;
+  }
+  const user = loadAccounts().users.find((u) => u.username === session.username);
+  if (session.expiresAt < Date.now() || !user) {
+    authSessions.delete(token);
+    return null;
+  }
+  session.role = roleOf(user);
+  session.expiresAt = Date.now() + AUTH_TTL_MS;
+  return session;
+}
+
+export function destroyAuthSession(token) {
+  authSessions.delete(token);
+}
+
+// Drop expired tokens that were never used again
+function closeExpiredAuthSessions() {
+  const now = Date.now();
+  for (const [token, session] of authSessions) {
+    if (session.expiresAt < now) {
+      authSessions.delete(token);
+    }
+  }
+}
+
+setInterval(closeExpiredAuthSessions, 60 * 1000).unref();
+
+export function authCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure || process.env.DASHBOARD_SECURE_COOKIES === 'true',
+    path: '/',
+    maxAge: AUTH_TTL_MS,
+  };
+}
+
+// Read a bearer token from the Authorization header
+export function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Read one cookie from the request without pulling in cookie-parser. A
+// value that is not valid percent-encoding reads as no cookie at all.
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
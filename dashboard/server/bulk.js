@@ -0,0 +1,112 @@
+import { registerJobType } from './jobs.js';
+import { readableBytes } from './encoding.js';
+
+// Pattern-based bulk operations, run as background jobs. Each walks the
+// database with throttled SCAN and applies one command per matching key in a
+// pipeline per batch. A dry run changes nothing and reports how many keys
+// match with a sample of them; a real run has to be confirmed by typing the
+// pattern and reports what changed:
+//   { matched, changed, unchanged, failed, sample: [keys], errors: [{ key, error }] }
+// with keys that are not valid UTF-8 escaped as \xNN.
+
+const SAMPLE_SIZE = 20;
+const MAX_ERRORS = 50;
+
+// A pattern made only of stars matches every key in the database
+const matchesEverything = (pattern) => /^\*+$/.test(pattern);
+
+// The command each operation runs per key, and the role it takes. `changed`
+// tells from the reply whether the key was changed (DEL and EXPIRE return 0
+// for a key that has gone, PERSIST for a key that had no TTL). Emptying the
+// database and making every key permanent are left to admins.
+const OPERATIONS = {
+  'bulk-delete': {
+    label: 'Delete keys',
+    role: (params) => (matchesEverything(params.pattern) ? 'admin' : 'operator'),
+    apply: (pipeline, key) => pipeline.del(key),
+  },
+  'bulk-expire': {
+    label: 'Set TTL on keys',
+    role: 'operator',
+    apply: (pipeline, key, { seconds }) => pipeline.expire(key, seconds),
+  },
+  'bulk-persist': {
+    label: 'Remove TTL from keys',
+    role: 'admin',
+    apply: (pipeline, key) => pipeline.persist(key),
+  },
+};
+
+function validate(jobType) {
+  return ({ pattern, type = '', seconds, dryRun = false }) => {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('pattern must be a non-empty string');
+    }
+    const params = { pattern, type: type || null, dryRun: Boolean(dryRun) };
+    if (jobType === 'bulk-expire') {
+      params.seconds = parseInt(seconds);
+      if (!(params.seconds > 0)) {
+        throw new Error('seconds must be a positive number');
+      }
+    }
+    return params;
+  };
+}
+
+export async function filterByType(redis, keys, type) {
+  const pipeline = redis.pipeline();
+  keys.forEach(key => pipeline.type(key));
+  const types = await pipeline.exec();
+  return keys.filter((key, i) => types[i][1] === type);
+}
+
+function run(jobType) {
+  const { apply } = OPERATIONS[jobType];
+  return async ({ redis, params, scan, progress }) => {
+    const report = { matched: 0, changed: 0, unchanged: 0, failed: 0, sample: [], errors: [] };
+
+    await scan({ match: params.pattern }, async (batch) => {
+      const keys = params.type ? await filterByType(redis, batch, params.type) : batch;
+      report.matched += keys.length;
+      report.sample.push(...keys.slice(0, Math.max(0, SAMPLE_SIZE - report.sample.length)).map(readableBytes));
+      if (params.dryRun || keys.length === 0) {
+        progress({ affected: keys.length });
+        return;
+      }
+
+      const pipeline = redis.pipeline();
+      keys.forEach(key => apply(pipeline, key, params));
+      const results = await pipeline.exec();
+      let changed = 0;
+      results.forEach(([err, reply], i) => {
+        if (err) {
+          report.failed++;
+          if (report.errors.length < MAX_ERRORS) {
+            report.errors.push({ key: readableBytes(keys[i]), error: err.message });
+          }
+        } else if (reply > 0) {
+          changed++;
+        } else {
+          report.unchanged++;
+        }
+      });
+      report.changed += changed;
+      progress({ affected: changed });
+    });
+
+    return report;
+  };
+}
+
+export function registerBulkJobTypes() {
+  for (const [type, { label, role }] of Object.entries(OPERATIONS)) {
+    registerJobType(type, {
+      label,
+      role,
+      writes: true,
+      confirm: (params) => params.pattern,
+      validate: validate(type),
+      run: run(type),
+    });
+  }
+}
@@ -0,0 +1,94 @@
+// Read/write classification of Redis commands, used to keep read-only
+// connections from changing data through the console.
+//
+// Commands are looked up by name, or by "NAME SUBCOMMAND" for container
+// commands such as CONFIG and CLIENT. Anything not listed as a read is
+// treated as a write, so unknown or module commands are refused on
+// read-only connections rather than let through. Commands that change the
+// connection itself (SELECT, AUTH, ...) are not reads either.
+
+const READ_COMMANDS = new Set([
+  // Connection and server
+  'PING', 'ECHO', 'TIME', 'INFO', 'DBSIZE',
+  'LASTSAVE', 'ROLE', 'LOLWUT', 'COMMAND', 'COMMAND COUNT', 'COMMAND DOCS', 'COMMAND INFO', 'COMMAND LIST',
+  'COMMAND GETKEYS', 'MEMORY USAGE', 'MEMORY STATS', 'MEMORY DOCTOR', 'MEMORY MALLOC-STATS',
+  'LATENCY LATEST', 'LATENCY HISTORY', 'LATENCY DOCTOR', 'LATENCY GRAPH', 'SLOWLOG GET', 'SLOWLOG LEN',
+  'CONFIG GET', 'CLIENT LIST', 'CLIENT INFO', 'CLIENT GETNAME', 'CLIENT ID',
+  'CLIENT TRACKINGINFO', 'ACL WHOAMI', 'ACL LIST', 'ACL USERS', 'ACL CAT', 'ACL GETUSER', 'ACL LOG',
+  'XINFO STREAM', 'XINFO GROUPS', 'XINFO CONSUMERS', 'OBJECT ENCODING', 'OBJECT FREQ', 'OBJECT IDLETIME',
+  'OBJECT REFCOUNT', 'SCRIPT EXISTS', 'FUNCTION LIST', 'FUNCTION DUMP', 'MODULE LIST', 'CLUSTER INFO',
+  'CLUSTER NODES', 'CLUSTER SLOTS', 'CLUSTER SHARDS', 'CLUSTER KEYSLOT', 'CLUSTER MYID',
+  // Keyspace
+  'EXISTS', 'TYPE', 'TTL', 'PTTL', 'EXPIRETIME', 'PEXPIRETIME', 'KEYS', 'SCAN', 'RANDOMKEY', 'DUMP', 'TOUCH',
+  'SORT_RO',
+  // Strings
+  'GET', 'MGET', 'STRLEN', 'GETRANGE', 'SUBSTR', 'LCS',
+  // Hashes
+  'HGET', 'HMGET', 'HGETALL', 'HKEYS', 'HVALS', 'HLEN', 'HEXISTS', 'HSTRLEN', 'HSCAN', 'HRANDFIELD',
+  // Lists
+  'LRANGE', 'LLEN', 'LINDEX', 'LPOS',
+  // Sets
+  'SMEMBERS', 'SCARD', 'SISMEMBER', 'SMISMEMBER', 'SRANDMEMBER', 'SSCAN', 'SINTER', 'SINTERCARD', 'SUNION', 'SDIFF',
+  // Sorted sets
+  'ZRANGE', 'ZRANGEBYSCORE', 'ZRANGEBYLEX', 'ZREVRANGE', 'ZREVRANGEBYSCORE', 'ZREVRANGEBYLEX', 'ZCARD',
+  'ZCOUNT', 'ZLEXCOUNT', 'ZSCORE', 'ZMSCORE', 'ZRANK', 'ZREVRANK', 'ZSCAN', 'ZRANDMEMBER', 'ZINTER',
+  'ZINTERCARD', 'ZUNION', 'ZDIFF',
+  // Streams
+  'XRANGE', 'XREVRANGE', 'XLEN', 'XREAD', 'XPENDING',
+  // Bitmaps and HyperLogLog
+  'GETBIT', 'BITCOUNT', 'BITPOS', 'BITFIELD_RO', 'PFCOUNT',
+  // Geo
+  'GEOPOS', 'GEODIST', 'GEOHASH', 'GEOSEARCH', 'GEORADIUS_RO', 'GEORADIUSBYMEMBER_RO',
+  // Scripting (read-only variants)
+  'EVAL_RO', 'EVALSHA_RO', 'FCALL_RO',
+  // Pub/Sub introspection
+  'PUBSUB CHANNELS', 'PUBSUB NUMSUB', 'PUBSUB NUMPAT', 'PUBSUB SHARDCHANNELS', 'PUBSUB SHARDNUMSUB',
+  // RedisJSON
+  'JSON.GET', 'JSON.MGET', 'JSON.TYPE', 'JSON.STRLEN', 'JSON.ARRLEN', 'JSON.ARRINDEX', 'JSON.OBJKEYS',
+  'JSON.OBJLEN', 'JSON.RESP', 'JSON.DEBUG',
+]);
+
+// Commands that change who the session's client is signed in as, close it,
+// put it in subscriber mode, silence its replies or block it, which the
+// console refuses: later requests share the client and would run as another
+// user, fail or hang. (SELECT is let through and tracked instead.) XREAD and
+// XREADGROUP are refused only with BLOCK.
+const CONNECTION_COMMANDS = new Set([
+  'AUTH', 'HELLO', 'RESET', 'QUIT', 'CLIENT REPLY', 'MONITOR',
+  'SUBSCRIBE', 'PSUBSCRIBE', 'SSUBSCRIBE',
+  'BLPOP', 'BRPOP', 'BRPOPLPUSH', 'BLMOVE', 'BLMPOP', 'BZPOPMIN', 'BZPOPMAX', 'BZMPOP', 'WAIT', 'WAITAOF',
+]);
+const STREAM_READS = new Set(['XREAD', 'XREADGROUP']);
+
+// Commands whose read/write nature depends on their first argument
+const CONTAINER_COMMANDS = new Set([
+  'CONFIG', 'CLIENT', 'ACL', 'SCRIPT', 'FUNCTION', 'MODULE', 'CLUSTER', 'COMMAND', 'MEMORY', 'LATENCY',
+  'SLOWLOG', 'OBJECT', 'XINFO', 'PUBSUB',
+]);
+
+// Name used to look a command up: "SET", "CONFIG SET", "CLIENT KILL", ...
+export function commandName(parts) {
+  const name = String(parts[0] || '').toUpperCase();
+  if (CONTAINER_COMMANDS.has(name) && parts.length > 1) {
+    return `${name} ${String(parts[1]).toUpperCase()}`;
+  }
+  return name;
+}
+
+// Classify a parsed command (name followed by arguments) as 'read' or 'write'
+export function classifyCommand(parts) {
+  return READ_COMMANDS.has(commandName(parts)) ? 'read' : 'write';
+}
+
+// Whether a parsed command changes the connection's login, closes it or
+// blocks it
+export function isConnectionCommand(parts) {
+  const name = commandName(parts);
+  if (STREAM_READS.has(name)) {
+    // Options come before STREAMS; what follows are keys and ids
+    const options = parts.slice(1).map(part => String(part).toUpperCase());
+    const streams = options.indexOf('STREAMS');
+    return options.slice(0, streams === -1 ? undefined : streams).includes('BLOCK');
+  }
+  return CONNECTION_COMMANDS.has(name);
+}
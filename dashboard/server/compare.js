@@ -0,0 +1,284 @@
+import { registerJobType, globToBytesRegExp } from './jobs.js';
+import { readKey, normalizeType, formatScore } from './values.js';
+import { copyKey, validateCopyOptions } from './copy.js';
+import { encodeKey, readableBytes } from './encoding.js';
+
+// Keyspace comparison of two databases: A, the one the job runs on, and B,
+// its target on the same server or another one (e.g. to check a migration
+// between Redis and Redish). The compare-keys job walks A, then B for the
+// keys A lacks, and reports:
+//   { matched: { a, b }, compared, identical,
+//     counts: { onlyInA, onlyInB, type, ttl, value, unreadable },
+//     differences: [{ key, encoding, kinds, a: { type, ttl }, b: { type, ttl }, changes, moreChanges, error }],
+//     truncated }
+// with keys as for encodeKey(). kinds lists the ways a key differs (the keys
+// of counts). changes are what differs in its value, one per hash field, set
+// or sorted set member, list index, stream entry or JSON path, as
+// { item, a, b } with a or b null where that side lacks the item. Values are
+// compared byte for byte and reported as text, bytes that are not valid
+// UTF-8 escaped as \xNN.
+
+const DEFAULT_TTL_TOLERANCE = 5;
+const MAX_DIFFERENCES = 1000;
+const MAX_CHANGES = 50;
+// Longer strings are cut in the report
+const MAX_VALUE_LENGTH = 1000;
+
+function clip(value) {
+  return typeof value === 'string' && value.length > MAX_VALUE_LENGTH
+    ? `${value.slice(0, MAX_VALUE_LENGTH)}…`
+    : value;
+}
+
+// Numbers (sorted set scores) are compared as such, as JSON makes +inf and
+// -inf both null
+const isEqual = (a, b) => (typeof a === 'number' ? a === b : JSON.stringify(a) === JSON.stringify(b));
+
+// Changes between two maps of item ids -> { item, value }
+function diffItems(a, b) {
+  const changes = [];
+  for (const [id, { item, value }] of a) {
+    if (!b.has(id)) {
+      changes.push({ item, a: value, b: null });
+    } else if (!isEqual(value, b.get(id).value)) {
+      changes.push({ item, a: value, b: b.get(id).value });
+    }
+  }
+  for (const [id, { item, value }] of b) {
+    if (!a.has(id)) {
+      changes.push({ item, a: null, b: value });
+    }
+  }
+  return changes;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function jsonPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Changes between two JSON documents, one per differing leaf
+function diffJson(a, b, path = '$', changes = []) {
+  const bothArrays = Array.isArray(a) && Array.isArray(b);
+  if (bothArrays || (isObject(a) && isObject(b))) {
+    const keys = bothArrays
+      ? [...Array(Math.max(a.length, b.length)).keys()]
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    for (const key of keys) {
+      const inA = bothArrays ? key < a.length : Object.hasOwn(a, key);
+      const inB = bothArrays ? key < b.length : Object.hasOwn(b, key);
+      if (inA && inB) {
+        diffJson(a[key], b[key], jsonPath(path, key), changes);
+      } else {
+        changes.push({ item: jsonPath(path, key), a: inA ? a[key] : null, b: inB ? b[key] : null });
+      }
+    }
+  } else if (!isEqual(a, b)) {
+    changes.push({ item: path, a, b });
+  }
+  return changes;
+}
+
+// Bytes as latin1, one character per byte, to tell items apart by their bytes
+const byteId = (bytes) => bytes.toString('latin1');
+
+// [id, item, value] of each item of a value read as bytes
+const VALUE_ITEMS = {
+  hash: (value) => value.map(([field, fieldValue]) => [byteId(field), field, fieldValue]),
+  list: (value) => value.map((element, index) => [index, index, element]),
+  set: (value) => value.map(member => [byteId(member), member, true]),
+  zset: (value) => value.map(({ member, score }) => [byteId(member), member, score]),
+  stream: (value) => value.map(({ id, fields }) => [id, id, fields]),
+};
+
+const itemMap = (items) => new Map(items.map(([id, item, value]) => [id, { item, value }]));
+
+// What differs between two values of the same type, read as bytes
+function diffValue(type, a, b) {
+  if (type === 'json') {
+    return diffJson(a, b);
+  }
+  const items = VALUE_ITEMS[type];
+  if (items) {
+    return diffItems(itemMap(items(a)), itemMap(items(b)));
+  }
+  return a.equals(b) ? [] : [{ item: null, a, b }];
+}
+
+// An item or value of a change as text for the report; stream entries'
+// fields as an object and infinite scores as +inf or -inf
+function readable(type, value) {
+  if (type === 'stream' && Array.isArray(value)) {
+    return Object.fromEntries(value.map(pair => pair.map(readableBytes)));
+  }
+  if (typeof value === 'number') {
+    return formatScore(value);
+  }
+  return clip(readableBytes(value));
+}
+
+function ttlDrifts(a, b, tolerance) {
+  if (a === null || b === null) {
+    return a !== b;
+  }
+  return Math.abs(a - b) > tolerance;
+}
+
+// { type, ttl } of each key, type 'none' for keys that do not exist
+async function describeKeys(redis, keys) {
+  const pipeline = redis.pipeline();
+  keys.forEach(key => pipeline.type(key).ttl(key));
+  const results = await pipeline.exec();
+  return keys.map((key, i) => {
+    const ttl = results[i * 2 + 1][1];
+    return { type: normalizeType(results[i * 2][1]), ttl: ttl >= 0 ? ttl : null };
+  });
+}
+
+async function compareKey(redis, target, key, a, b, params) {
+  const difference = { ...encodeKey(key), kinds: [], a, b, changes: [], moreChanges: 0, error: null };
+  if (a.type !== b.type) {
+    difference.kinds.push('type');
+  }
+  if (ttlDrifts(a.ttl, b.ttl, params.ttlTolerance)) {
+    difference.kinds.push('ttl');
+  }
+  if (a.type === b.type) {
+    try {
+      const [valueA, valueB] = await Promise.all([
+        readKey(redis, key, { binary: true }),
+        readKey(target, key, { binary: true }),
+      ]);
+      // Either may have expired since
+      const changes = valueA && valueB ? diffValue(a.type, valueA.value, valueB.value) : [];
+      if (changes.length > 0) {
+        difference.kinds.push('value');
+        difference.changes = changes.slice(0, MAX_CHANGES)
+          .map(({ item, a: left, b: right }) => ({
+            item: readableBytes(item),
+            a: readable(a.type, left),
+            b: readable(a.type, right),
+          }));
+        difference.moreChanges = changes.length - difference.changes.length;
+      }
+    } catch (err) {
+      difference.kinds.push('unreadable');
+      difference.error = err.message;
+    }
+  }
+  return difference;
+}
+
+async function run({ redis, target, params, scan, progress, report: publish, checkCancelled, batchSize, throttle }) {
+  const report = {
+    matched: { a: 0, b: 0 },
+    compared: 0,
+    identical: 0,
+    counts: { onlyInA: 0, onlyInB: 0, type: 0, ttl: 0, value: 0, unreadable: 0 },
+    differences: [],
+    truncated: false,
+  };
+  const addDifference = (difference) => {
+    difference.kinds.forEach(kind => report.counts[kind]++);
+    if (report.differences.length < MAX_DIFFERENCES) {
+      report.differences.push(difference);
+    } else {
+      report.truncated = true;
+    }
+  };
+  progress({ total: await redis.dbsize() + await target.dbsize() });
+
+  await scan({ match: params.pattern }, async (keys) => {
+    report.matched.a += keys.length;
+    const [metaA, metaB] = await Promise.all([describeKeys(redis, keys), describeKeys(target, keys)]);
+    for (const [i, key] of keys.entries()) {
+      const [a, b] = [metaA[i], metaB[i]];
+      if (a.type === 'none') {
+        continue;
+      }
+      if (b.type === 'none') {
+        addDifference({ ...encodeKey(key), kinds: ['onlyInA'], a, b: null, changes: [], moreChanges: 0, error: null });
+        continue;
+      }
+      report.compared++;
+      const difference = await compareKey(redis, target, key, a, b, params);
+      if (difference.kinds.length > 0) {
+        addDifference(difference);
+      } else {
+        report.identical++;
+      }
+    }
+    publish(report);
+  });
+
+  // Keys only in B. SCAN may return a key more than once.
+  const matcher = params.pattern === '*' ? null : globToBytesRegExp(params.pattern);
+  const reported = new Set();
+  let cursor = '0';
+  do {
+    checkCancelled();
+    const [next, keys] = await target.scanBuffer(cursor, 'COUNT', batchSize);
+    cursor = next.toString();
+    progress({ scanned: keys.length });
+    const matching = matcher ? keys.filter(key => matcher.test(byteId(key))) : keys;
+    report.matched.b += matching.length;
+    if (matching.length > 0) {
+      const exists = await redis.pipeline(matching.map(key => ['exists', key])).exec();
+      const missing = matching.filter((key, i) => exists[i][1] === 0 && !reported.has(byteId(key)));
+      const meta = missing.length > 0 ? await describeKeys(target, missing) : [];
+      missing.forEach((key, i) => {
+        if (meta[i].type === 'none') return;
+        reported.add(byteId(key));
+        addDifference({ ...encodeKey(key), kinds: ['onlyInB'], a: null, b: meta[i], changes: [], moreChanges: 0, error: null });
+      });
+      publish(report);
+    }
+    if (cursor !== '0') {
+      await throttle();
+    }
+  } while (cursor !== '0');
+
+  return report;
+}
+
+// Make keys on one side match the other: each key is copied over, or
+// deleted when the side it comes from no longer has it. keys are text or
+// Buffers. Returns [{ key, encoding, outcome: 'synced' | 'deleted', error }]
+// with keys as for encodeKey().
+export async function syncKeys(from, to, keys) {
+  const results = [];
+  for (const key of keys) {
+    const name = encodeKey(Buffer.from(key));
+    try {
+      const outcome = await copyKey(from, to, key, { conflict: 'overwrite' });
+      if (outcome === 'missing') {
+        await to.del(key);
+        results.push({ ...name, outcome: 'deleted', error: null });
+      } else {
+        results.push({ ...name, outcome: 'synced', error: null });
+      }
+    } catch (err) {
+      results.push({ ...name, outcome: null, error: err.message });
+    }
+  }
+  return results;
+}
+
+export function registerCompareJobType() {
+  registerJobType('compare-keys', {
+    label: 'Compare keys',
+    validate: ({ pattern = '*', target, ttlTolerance = DEFAULT_TTL_TOLERANCE }) => {
+      if (typeof pattern !== 'string' || !pattern) {
+        throw new Error('pattern must be a non-empty string');
+      }
+      const tolerance = Number(ttlTolerance);
+      if (!Number.isInteger(tolerance) || tolerance < 0) {
+        throw new Error('ttlTolerance must be a number of seconds');
+      }
+      return { pattern, target: validateCopyOptions({ target }).target, ttlTolerance: tolerance };
+    },
+    run,
+  });
+}
@@ -0,0 +1,241 @@
+import tls from 'tls';
+import { isIP } from 'net';
+import { readFileSync, realpathSync } from 'fs';
+import { join, relative, resolve, isAbsolute } from 'path';
+import { DATA_DIR } from './auth.js';
+
+// Connection string parsing.
+//
+// Accepts plain host[:port] as well as full Redis URIs:
+//   redis://[[username][:password]@]host[:port][/db][?name=..&protocol=..]
+//   rediss://...[?servername=..&verify=false]   (TLS)
+//   ...?readonly=true                          (refuse writes)
+//
+// Credentials are split out of the returned connection string so that the
+// browser never has to store or resend them. The read-only flag stays in it,
+// so it travels with every request and cannot be lost with the session.
+
+const SUPPORTED_OPTIONS = ['name', 'protocol', 'db', 'username', 'password', 'servername', 'verify', 'readonly'];
+const TLS_INSPECT_TIMEOUT_MS = 5000;
+// The only directory certificates and keys may be read from by path, so that
+// the login form cannot be used to read other files on the dashboard server
+export const CERT_DIR = process.env.DASHBOARD_CERT_DIR || join(DATA_DIR, 'certs');
+
+// Pass readOnly to mark the connection read-only regardless of the string
+export function parseConnectionString(connectionString, { readOnly = false } = {}) {
+  if (!connectionString || !connectionString.trim()) {
+    throw new Error('No connection string provided');
+  }
+
+  const input = connectionString.trim();
+  const hasScheme = input.includes('://');
+
+  let url;
+  try {
+    url = new URL(hasScheme ? input : `redis://${input}`);
+  } catch {
+    throw new Error(`Invalid connection string: ${input}`);
+  }
+
+  if (url.protocol !== 'redis:' && url.protocol !== 'rediss:') {
+    throw new Error(`Unsupported scheme "${url.protocol.slice(0, -1)}" (expected redis:// or rediss://)`);
+  }
+  const useTls = url.protocol === 'rediss:';
+
+  for (const name of url.searchParams.keys()) {
+    if (!SUPPORTED_OPTIONS.includes(name)) {
+      throw new Error(`Unsupported connection option "${name}" (supported: ${SUPPORTED_OPTIONS.join(', ')})`);
+    }
+  }
+
+  const port = url.port ? parseInt(url.port) : 6379;
+  if (!(port > 0 && port < 65536)) {
+    throw new Error(`Invalid port: ${url.port}`);
+  }
+
+  // Database index comes from the path (/2) or the db= option
+  const dbText = url.pathname.replace(/^\//, '') || url.searchParams.get('db') || '0';
+  if (!/^\d+$/.test(dbText)) {
+    throw new Error(`Invalid database index: ${dbText}`);
+  }
+
+  // ioredis only speaks RESP2, so protocol=3 cannot be honoured
+  const protocol = url.searchParams.get('protocol') || '2';
+  if (protocol === '3') {
+    throw new Error('protocol=3 (RESP3) is not supported by the dashboard\'s Redis client; use protocol=2');
+  }
+  if (protocol !== '2') {
+    throw new Error(`Invalid protocol: ${protocol}`);
+  }
+
+  const verify = url.searchParams.get('verify') || 'true';
+  if (verify !== 'true' && verify !== 'false') {
+    throw new Error(`Invalid verify option: ${verify} (expected true or false)`);
+  }
+  const readonlyText = readOnly ? 'true' : url.searchParams.get('readonly') || 'false';
+  if (readonlyText !== 'true' && readonlyText !== 'false') {
+    throw new Error(`Invalid readonly option: ${readonlyText} (expected true or false)`);
+  }
+
+  if (!useTls && (url.searchParams.has('servername') || url.searchParams.has('verify'))) {
+    throw new Error('The servername and verify options require a rediss:// connection string');
+  }
+
+  const username = decodeURIComponent(url.username) || url.searchParams.get('username') || undefined;
+  const password = decodeURIComponent(url.password) || url.searchParams.get('password') || undefined;
+
+  // The sanitized form has no credentials or database, and is what the
+  // browser keeps and sends back in the X-Redis-Connection header
+  const safe = new URL(url.toString());
+  safe.username = '';
+  safe.password = '';
+  safe.pathname = '';
+  safe.searchParams.delete('db');
+  safe.searchParams.delete('username');
+  safe.searchParams.delete('password');
+  safe.searchParams.delete('readonly');
+  // The server alone, written one way however it was given and whether or
+  // not read-only, which the session keys what it knows of a connection by
+  const server = safe.toString();
+  if (readonlyText === 'true') {
+    safe.searchParams.set('readonly', 'true');
+  }
+  const sanitized = hasScheme || safe.search ? safe.toString() : safe.host;
+
+  return {
+    connection: sanitized,
+    server,
+    host: url.hostname.replace(/^\[(.*)\]$/, '$1') || 'localhost',
+    port,
+    db: parseInt(dbText),
+    username,
+    password,
+    connectionName: url.searchParams.get('name') || undefined,
+    tls: useTls,
+    servername: url.searchParams.get('servername') || undefined,
+    verify: verify === 'true',
+    readOnly: readonlyText === 'true',
+  };
+}
+
+// Read a PEM value that was either uploaded (pem) or given as a path on the
+// dashboard server (path), relative to CERT_DIR. Paths leading out of it
+// (symbolic links included) are refused with the same error as files that
+// cannot be read, which tells nothing about what else exists.
+function readPem(label, pem, path) {
+  if (pem) {
+    return pem;
+  }
+  if (!path) {
+    return undefined;
+  }
+  try {
+    const dir = realpathSync(CERT_DIR);
+    const file = realpathSync(resolve(dir, path));
+    const inside = relative(dir, file);
+    if (!inside || inside.startsWith('..') || isAbsolute(inside)) {
+      throw new Error('Outside the certificate directory');
+    }
+    return readFileSync(file, 'utf8');
+  } catch {
+    throw new Error(`Unable to read the ${label} file; paths are read from the dashboard's certificate directory`);
+  }
+}
+
+// Build Node TLS options from parsed connection options plus the TLS
+// settings sent with the login form. Returns undefined for plaintext.
+export function resolveTlsOptions(options, settings = {}) {
+  if (!options.tls) {
+    return undefined;
+  }
+
+  const servername = settings.servername || options.servername ||
+    (isIP(options.host) ? undefined : options.host);
+
+  const resolved = {
+    servername,
+    rejectUnauthorized: settings.verify ?? options.verify,
+    ca: readPem('CA certificate', settings.ca, settings.caPath),
+    cert: readPem('client certificate', settings.cert, settings.certPath),
+    key: readPem('client key', settings.key, settings.keyPath),
+  };
+
+  if (Boolean(resolved.cert) !== Boolean(resolved.key)) {
+    throw new Error('A client certificate and key must be provided together');
+  }
+
+  return resolved;
+}
+
+// Node and OpenSSL report handshake problems with these codes
+export function isTlsError(err) {
+  const code = err.code || '';
+  return code.startsWith('ERR_TLS') || code.startsWith('ERR_SSL') ||
+    /CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(code) ||
+    /certificate|handshake|SSL routines/i.test(err.message);
+}
+
+function formatName(name) {
+  if (!name) return null;
+  return Object.entries(name)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`)
+    .join(', ');
+}
+
+// Summarize a peer certificate for display
+export function describeCertificate(cert) {
+  if (!cert || !Object.keys(cert).length) {
+    return null;
+  }
+  const subject = formatName(cert.subject);
+  const issuer = formatName(cert.issuer);
+  return {
+    subject,
+    issuer,
+    subjectAltName: cert.subjectaltname || null,
+    validFrom: cert.valid_from,
+    validTo: cert.valid_to,
+    serialNumber: cert.serialNumber,
+    fingerprint256: cert.fingerprint256,
+    selfSigned: subject === issuer,
+  };
+}
+
+// Open a bare TLS connection without verification to report what the server
+// presents and whether it would pass verification with the given settings.
+export function inspectCertificate(options, tlsOptions) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: options.host,
+      port: options.port,
+      servername: tlsOptions.servername,
+      ca: tlsOptions.ca,
+      cert: tlsOptions.cert,
+      key: tlsOptions.key,
+      rejectUnauthorized: false,
+    });
+
+    socket.setTimeout(TLS_INSPECT_TIMEOUT_MS, () => {
+      socket.destroy(new Error(`TLS handshake timed out after ${TLS_INSPECT_TIMEOUT_MS}ms`));
+    });
+
+    socket.once('secureConnect', () => {
+      const peer = socket.getPeerCertificate();
+      const hostError = tlsOptions.servername
+        ? tls.checkServerIdentity(tlsOptions.servername, peer)
+        : undefined;
+      resolve({
+        authorized: socket.authorized && !hostError,
+        authorizationError: socket.authorizationError
+          ? String(socket.authorizationError)
+          : hostError?.message || null,
+        protocol: socket.getProtocol(),
+        cipher: socket.getCipher()?.name || null,
+        certificate: describeCertificate(peer),
+      });
+      socket.end();
+    });
+
+    socket.once('error', reject);
+  });
+}
@@ -0,0 +1,169 @@
+import { registerJobType } from './jobs.js';
+import { filterByType } from './bulk.js';
+import { readKey, writeCommands, formatScore } from './values.js';
+import { readableBytes } from './encoding.js';
+
+// Copies of keys to another database, on the same server or another one.
+// Redish has no MOVE, COPY or DUMP/RESTORE, so a key is read with the
+// per-type readers and recreated on the target with ordinary commands, TTL
+// included. Values are read and compared as bytes, so that ones that are not
+// valid UTF-8 survive. When moving, the source key is deleted only once the
+// copy reads back the same as the source, byte for byte. Single keys are copied with copyKey(); keys
+// matching a pattern by the copy-keys job, which reports:
+//   { matched, copied, overwritten, skipped, moved, failed, sample: [keys], errors: [{ key, error }] }
+// A dry run reports how many of the matching keys the target already has:
+//   { matched, conflicts, sample: [keys] }
+
+export const CONFLICT_MODES = ['skip', 'overwrite'];
+
+const SAMPLE_SIZE = 20;
+const MAX_ERRORS = 50;
+
+// Check the options of a copy: { target: { connection, db }, conflict, move }
+// with connection null for the source's own server
+export function validateCopyOptions({ target, conflict = 'skip', move = false }) {
+  if (!target || typeof target !== 'object') {
+    throw new Error('target must name the database to copy to');
+  }
+  const db = Number(target.db ?? 0);
+  if (!Number.isInteger(db) || db < 0) {
+    throw new Error('target.db must be a database number');
+  }
+  if (target.connection && typeof target.connection !== 'string') {
+    throw new Error('target.connection must be a connection string');
+  }
+  if (!CONFLICT_MODES.includes(conflict)) {
+    throw new Error(`conflict must be one of ${CONFLICT_MODES.join(', ')}`);
+  }
+  return { target: { connection: target.connection || null, db }, conflict, move: Boolean(move) };
+}
+
+// Bytes as hex throughout a value read with readKey(..., { binary: true }),
+// and infinite scores as +inf or -inf, which JSON would both make null
+function hexBytes(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex');
+  }
+  if (typeof value === 'number') {
+    return formatScore(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(hexBytes);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, hexBytes(item)]));
+  }
+  return value;
+}
+
+// Comparable form of a value read as bytes, ignoring the order of set members
+// and hash fields
+function canonicalValue({ type, value }) {
+  const bytes = hexBytes(value);
+  if (type === 'set') {
+    return JSON.stringify(bytes.sort());
+  }
+  if (type === 'hash') {
+    return JSON.stringify(bytes.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  }
+  return JSON.stringify(bytes);
+}
+
+// Copy key from the source client to targetKey on the target client.
+// Returns 'copied', 'overwritten', 'skipped' (the target key exists and
+// conflict is 'skip') or 'missing' (the source key is gone). Throws when the
+// value cannot be written or, when moving, the copy does not match.
+export async function copyKey(source, target, key, { targetKey = key, conflict = 'skip', move = false } = {}) {
+  const entry = await readKey(source, key, { binary: true });
+  if (!entry) {
+    return 'missing';
+  }
+  const exists = await target.exists(targetKey) > 0;
+  if (exists && conflict === 'skip') {
+    return 'skipped';
+  }
+
+  const commands = writeCommands(targetKey, entry);
+  if (commands.length === 0) {
+    throw new Error(`An empty ${entry.type} cannot be copied`);
+  }
+  const pipeline = target.pipeline();
+  if (exists) pipeline.del(targetKey);
+  commands.forEach(([name, ...args]) => pipeline.call(name, ...args));
+  if (entry.ttl !== null) pipeline.expire(targetKey, entry.ttl);
+  const failure = (await pipeline.exec()).find(([err]) => err);
+  if (failure) {
+    // Don't leave a half-written value behind
+    await target.del(targetKey).catch(() => {});
+    throw failure[0];
+  }
+
+  if (move) {
+    const copy = await readKey(target, targetKey, { binary: true });
+    if (!copy || copy.type !== entry.type || canonicalValue(copy) !== canonicalValue(entry)) {
+      throw new Error('The copy does not match the source, so the source key was kept');
+    }
+    await source.del(key);
+  }
+  return exists ? 'overwritten' : 'copied';
+}
+
+async function run({ redis, target, params, scan, progress }) {
+  const report = params.dryRun
+    ? { matched: 0, conflicts: 0, sample: [] }
+    : { matched: 0, copied: 0, overwritten: 0, skipped: 0, moved: 0, failed: 0, sample: [], errors: [] };
+
+  await scan({ match: params.pattern }, async (batch) => {
+    const keys = params.type ? await filterByType(redis, batch, params.type) : batch;
+    report.matched += keys.length;
+    report.sample.push(...keys.slice(0, Math.max(0, SAMPLE_SIZE - report.sample.length)).map(readableBytes));
+    if (keys.length === 0) {
+      return;
+    }
+    if (params.dryRun) {
+      const existing = await target.pipeline(keys.map(key => ['exists', key])).exec();
+      report.conflicts += existing.filter(([, count]) => count > 0).length;
+      progress({ affected: keys.length });
+      return;
+    }
+
+    let affected = 0;
+    for (const key of keys) {
+      try {
+        const outcome = await copyKey(redis, target, key, params);
+        if (outcome === 'copied' || outcome === 'overwritten') {
+          report[outcome]++;
+          if (params.move) report.moved++;
+          affected++;
+        } else if (outcome === 'skipped') {
+          report.skipped++;
+        }
+      } catch (err) {
+        report.failed++;
+        if (report.errors.length < MAX_ERRORS) {
+          report.errors.push({ key: readableBytes(key), error: err.message });
+        }
+      }
+    }
+    progress({ affected });
+  });
+
+  return report;
+}
+
+export function registerCopyJobType() {
+  registerJobType('copy-keys', {
+    label: 'Copy keys',
+    role: 'operator',
+    writes: true,
+    writesSource: (params) => params.move,
+    confirm: (params) => params.pattern,
+    validate: ({ pattern, type = '', dryRun = false, ...options }) => {
+      if (typeof pattern !== 'string' || !pattern) {
+        throw new Error('pattern must be a non-empty string');
+      }
+      return { pattern, type: type || null, ...validateCopyOptions(options), dryRun: Boolean(dryRun) };
+    },
+    run,
+  });
+}
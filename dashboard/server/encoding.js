@@ -0,0 +1,82 @@
+// Binary-safe keys and values over JSON. Redis keys and values are byte
+// strings, which the API carries as text when they are valid UTF-8 and as
+// base64 otherwise, saying which encoding it used. Writes and key URLs may
+// name the encoding of what they send ('utf8', 'base64' or 'hex').
+
+import { isUtf8 } from 'buffer';
+
+export const ENCODINGS = ['utf8', 'base64', 'hex'];
+
+const ENCODED_FORMS = {
+  base64: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+  hex: /^(?:[0-9a-fA-F]{2})*$/,
+};
+
+// The bytes text stands for in the given encoding: the text itself for
+// 'utf8' (or no encoding), a Buffer otherwise. Throws (with status 400) for
+// unknown encodings and text that is not valid base64 or hex, which Buffer
+// would quietly cut short.
+export function decodeBytes(text, encoding = 'utf8') {
+  if (!encoding || encoding === 'utf8') {
+    return text;
+  }
+  if (!ENCODINGS.includes(encoding)) {
+    throw Object.assign(new Error(`encoding must be one of ${ENCODINGS.join(', ')}`), { status: 400 });
+  }
+  if (typeof text !== 'string' || !ENCODED_FORMS[encoding].test(text)) {
+    throw Object.assign(new Error(`Invalid ${encoding} value`), { status: 400 });
+  }
+  return Buffer.from(text, encoding);
+}
+
+// { value, encoding } for bytes read from Redis: as text when they are valid
+// UTF-8, as base64 otherwise, or always in the given encoding
+export function encodeBytes(bytes, encoding = null) {
+  if (encoding && encoding !== 'utf8') {
+    return { value: bytes.toString(encoding), encoding };
+  }
+  if (isUtf8(bytes)) {
+    return { value: bytes.toString('utf8'), encoding: 'utf8' };
+  }
+  return { value: bytes.toString('base64'), encoding: 'base64' };
+}
+
+// A key read from Redis as { key, encoding }, key being its text or base64
+// form as for encodeBytes(), which is how the API lists keys
+export function encodeKey(bytes) {
+  const { value, encoding } = encodeBytes(bytes);
+  return { key: value, encoding };
+}
+
+// The bytes of a key sent back as { key, encoding }, or as plain text.
+// Throws (with status 400) for anything else.
+export function decodeKey(key) {
+  if (typeof key === 'string') {
+    return key;
+  }
+  if (typeof key?.key !== 'string') {
+    throw Object.assign(new Error('A key must be text or { key, encoding }'), { status: 400 });
+  }
+  return decodeBytes(key.key, key.encoding);
+}
+
+// Key (or value) bytes as readable text, for logs: printable ASCII as is,
+// other bytes escaped as \xNN the way redis-cli shows them
+export function displayBytes(bytes) {
+  if (!Buffer.isBuffer(bytes)) {
+    return bytes;
+  }
+  let text = '';
+  for (const byte of bytes) {
+    text += byte >= 0x20 && byte < 0x7f && byte !== 0x5c
+      ? String.fromCharCode(byte)
+      : `\\x${byte.toString(16).padStart(2, '0')}`;
+  }
+  return text;
+}
+
+// Key bytes as text for job reports: the text itself when they are valid
+// UTF-8, escaped as for displayBytes() otherwise
+export function readableBytes(bytes) {
+  return Buffer.isBuffer(bytes) && isUtf8(bytes) ? bytes.toString('utf8') : displayBytes(bytes);
+}
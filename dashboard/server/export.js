@@ -0,0 +1,111 @@
+import { isUtf8 } from 'buffer';
+import { readKey, formatScore } from './values.js';
+import { BATCH_SIZE, BATCH_DELAY_MS } from './jobs.js';
+import { decodeBytes } from './encoding.js';
+
+// Export of keys with their type, TTL and value. Entries are produced one at
+// a time while SCAN walks the database, so an export of any size streams
+// through the dashboard server without being held in memory. Each entry is
+//   { key, type, ttl, value }
+// with ttl in seconds (null for keys without one) and value as returned by
+// the readers in values.js, hashes and stream entries' fields as objects
+// and infinite sorted set scores as "+inf" or "-inf", which JSON has no
+// number for.
+// Keys and values are read as bytes: an entry whose key or value is not
+// valid UTF-8 is written as { key, encoding: 'base64', type, ttl, value }
+// with the key and every string, element, member, field and field value in
+// it in base64. Keys of a type there is no reader for are kept as
+// { key, type, ttl: null, error } so that nothing is dropped silently.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A value with each of its byte strings converted with convert: the string,
+// list elements, set and sorted set members, and hash and stream entry fields
+// and their values, which come out as [field, value] pairs. Values of the
+// wrong shape are left for writeCommands() to reject.
+function convertBytes(type, value, convert) {
+  const pairs = (fields) => (Array.isArray(fields) ? fields : Object.entries(fields ?? {}))
+    .map(([field, fieldValue]) => [convert(field), convert(fieldValue)]);
+  const each = (items, map) => (Array.isArray(items) ? items.map(map) : items);
+  switch (type) {
+    case 'string':
+      return convert(value);
+    case 'list':
+    case 'set':
+      return each(value, convert);
+    case 'zset':
+      return each(value, ({ member, score }) => ({ member: convert(member), score }));
+    case 'hash':
+      return value && typeof value === 'object' ? pairs(value) : value;
+    case 'stream':
+      return each(value, ({ id, fields }) => ({ id, fields: pairs(fields) }));
+    default:
+      return value;
+  }
+}
+
+// The dump entry of a key and its value read as bytes
+function dumpEntry(key, { type, ttl, value, error }) {
+  let binary = !isUtf8(key);
+  if (!error) {
+    convertBytes(type, value, (bytes) => {
+      binary ||= !isUtf8(bytes);
+    });
+  }
+  const encoding = binary ? 'base64' : 'utf8';
+  const entry = { key: key.toString(encoding), ...(binary && { encoding }), type, ttl };
+  if (error) {
+    return { ...entry, error };
+  }
+  const text = convertBytes(type, value, (bytes) => bytes.toString(encoding));
+  if (type === 'hash') {
+    return { ...entry, value: Object.fromEntries(text) };
+  }
+  if (type === 'stream') {
+    return { ...entry, value: text.map(({ id, fields }) => ({ id, fields: Object.fromEntries(fields) })) };
+  }
+  if (type === 'zset') {
+    return { ...entry, value: text.map(({ member, score }) => ({ member, score: formatScore(score) })) };
+  }
+  return { ...entry, value: text };
+}
+
+// A record of a dump with the bytes of a base64 entry decoded, as Buffers.
+// Throws (with status 400) for invalid base64.
+export function decodeRecord(record) {
+  if (!record?.encoding || record.encoding === 'utf8') {
+    return record;
+  }
+  const decode = (text) => decodeBytes(text, record.encoding);
+  return {
+    ...record,
+    key: decode(record.key),
+    ...(record.value !== undefined && { value: convertBytes(record.type, record.value, decode) }),
+  };
+}
+
+// Yields an entry for every key matching pattern (and of the given type, if
+// one is given) in the client's selected database
+export async function* exportEntries(redis, { pattern = '*', type = null } = {}) {
+  let cursor = '0';
+  do {
+    const [next, keys] = await redis.scanBuffer(cursor, 'MATCH', pattern, 'COUNT', BATCH_SIZE);
+    cursor = next.toString();
+    for (const key of keys) {
+      let entry;
+      try {
+        entry = await readKey(redis, key, { binary: true });
+      } catch (err) {
+        if (!err.type) throw err;
+        entry = { type: err.type, ttl: null, error: err.message };
+      }
+      // Skip keys deleted since the scan
+      if (entry && (!type || entry.type === type)) {
+        yield dumpEntry(key, entry);
+      }
+    }
+    if (cursor !== '0' && BATCH_DELAY_MS > 0) {
+      await sleep(BATCH_DELAY_MS);
+    }
+  } while (cursor !== '0');
+}
@@ -0,0 +1,342 @@
+import { createReadStream } from 'fs';
+import { readFile, stat } from 'fs/promises';
+import { createInterface } from 'readline';
+import { registerJobType } from './jobs.js';
+import { getUpload, claimUpload, removeUpload } from './uploads.js';
+import { parseRdb } from './rdb.js';
+import { writeCommands } from './values.js';
+import { decodeRecord } from './export.js';
+import { readableBytes } from './encoding.js';
+
+// Import of a JSON or NDJSON dump in the format written by export.js (one
+// { key, type, ttl, value } record per key, in base64 when it says so), or
+// of an RDB snapshot, as a background job. Keys and values are written as
+// bytes, so ones that are not valid UTF-8 come through unchanged. Records are written in pipelined batches with
+// type-appropriate commands, then their TTLs restored. NDJSON and RDB files
+// are read a record at a time; a JSON array has to be parsed whole, so JSON
+// dumps are held to a much lower size than uploads (JSON_MAX_BYTES). Keys
+// of an RDB snapshot go to the database they were saved from unless
+// params.databases is 'selected'. The job reports:
+//   { format, imported, overwritten, renamed, skipped, expired, failed,
+//     unsupported: { [description]: { count, keys } }, errors: [{ line, key, error }] }
+// where unsupported counts the RDB values that were read past but could not
+// be replayed, with a sample of their keys. Keys in the report that are not
+// valid UTF-8 are escaped as \xNN.
+
+export const FORMATS = ['json', 'ndjson', 'rdb'];
+export const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+export const DATABASE_MODES = ['preserve', 'selected'];
+
+// Parsing a JSON dump takes several times its size in memory
+const JSON_MAX_BYTES = parseInt(process.env.DASHBOARD_IMPORT_JSON_MAX_BYTES) || 64 * 1024 * 1024;
+const MAX_ERRORS = 100;
+const MAX_RENAME_ATTEMPTS = 100;
+const UNSUPPORTED_SAMPLE_SIZE = 10;
+
+// Bytes as latin1, one character per byte, to tell keys apart by their bytes
+const keyId = (key) => Buffer.from(key).toString('latin1');
+
+// Keys given as Buffers are rewritten byte by byte
+function rewriteKey(key, { from, to }) {
+  if (!from && !to) return key;
+  if (typeof key === 'string') {
+    return key.startsWith(from) ? to + key.slice(from.length) : key;
+  }
+  const prefix = Buffer.from(from);
+  return key.subarray(0, prefix.length).equals(prefix)
+    ? Buffer.concat([Buffer.from(to), key.subarray(prefix.length)])
+    : key;
+}
+
+// Yields { line, record }, { line, error } or, for RDB values that cannot be
+// replayed, { line, key, unsupported } for each record of the dump. onTotal
+// (count) is called with the number of records before the first, or for RDB
+// snapshots whenever the file announces the size of another database.
+async function* readRecords(path, format, onTotal) {
+  if (format === 'rdb') {
+    yield* readRdbRecords(path, onTotal);
+    return;
+  }
+  if (format === 'json') {
+    if ((await stat(path)).size > JSON_MAX_BYTES) {
+      throw new Error(`JSON dumps are limited to ${JSON_MAX_BYTES} bytes, as they are read whole; import larger dumps as NDJSON`);
+    }
+    const records = JSON.parse(await readFile(path, 'utf8'));
+    if (!Array.isArray(records)) {
+      throw new Error('A JSON dump must be an array of records');
+    }
+    onTotal(records.length);
+    yield* records.map((record, index) => ({ line: index + 1, record }));
+    return;
+  }
+
+  onTotal(await countLines(path));
+
+  const lines = createInterface({ input: createReadStream(path, 'utf8'), crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    try {
+      yield { line, record: JSON.parse(text) };
+    } catch (err) {
+      yield { line, error: `Invalid JSON: ${err.message}` };
+    }
+  }
+}
+
+// RDB records carry their database and an absolute expiry time instead of
+// a TTL, and have no line numbers. Their keys are left as Buffers.
+async function* readRdbRecords(path, onTotal) {
+  let total = 0;
+  onTotal(total);
+  for await (const item of parseRdb(path)) {
+    if (item.size !== undefined) {
+      total += item.size;
+      onTotal(total);
+    } else if (item.unsupported) {
+      yield { line: null, key: item.key ?? null, unsupported: item.unsupported };
+    } else {
+      yield { line: null, record: item };
+    }
+  }
+}
+
+async function countLines(path) {
+  let count = 0;
+  const lines = createInterface({ input: createReadStream(path, 'utf8'), crlfDelay: Infinity });
+  for await (const text of lines) {
+    if (text.trim()) count++;
+  }
+  return count;
+}
+
+async function detectFormat(path) {
+  const stream = createReadStream(path, { encoding: 'latin1', end: 1023 });
+  let head = '';
+  for await (const text of stream) head += text;
+  if (head.startsWith('REDIS')) return 'rdb';
+  return head.trimStart().startsWith('[') ? 'json' : 'ndjson';
+}
+
+// First name key + suffix (+ a counter) that is not taken, taken holding
+// the keyId() of names
+async function findFreeName(redis, key, suffix, taken) {
+  for (let attempt = 1; attempt <= MAX_RENAME_ATTEMPTS; attempt++) {
+    const ending = `${suffix}${attempt > 1 ? attempt : ''}`;
+    const candidate = typeof key === 'string' ? `${key}${ending}` : Buffer.concat([key, Buffer.from(ending)]);
+    if (!taken.has(keyId(candidate)) && !(await redis.exists(candidate))) {
+      return candidate;
+    }
+  }
+  throw new Error(`No free name found for ${readableBytes(key)} after ${MAX_RENAME_ATTEMPTS} attempts`);
+}
+
+function recordUnsupported(report, key, description) {
+  const entry = report.unsupported[description] ??= { count: 0, keys: [] };
+  entry.count++;
+  if (key !== null && entry.keys.length < UNSUPPORTED_SAMPLE_SIZE) {
+    entry.keys.push(readableBytes(key));
+  }
+}
+
+function recordError(report, line, key, error) {
+  report.failed++;
+  if (report.errors.length < MAX_ERRORS) {
+    report.errors.push({ line, key: readableBytes(key) ?? null, error });
+  }
+}
+
+// Write one batch of { line, key, record, commands }. Keys in a batch are
+// distinct, so conflicts can be settled with one EXISTS round trip.
+async function importBatch(redis, batch, params, report) {
+  if (batch.length === 0) return;
+  if (params.conflict !== 'overwrite') {
+    const existing = await redis.pipeline(batch.map(({ key }) => ['exists', key])).exec();
+    const taken = new Set(batch.map(({ key }) => keyId(key)));
+    for (let i = batch.length - 1; i >= 0; i--) {
+      if (!existing[i][1]) continue;
+      if (params.conflict === 'skip') {
+        report.skipped++;
+        batch.splice(i, 1);
+      } else {
+        const item = batch[i];
+        try {
+          item.key = await findFreeName(redis, item.key, params.suffix, taken);
+          item.commands = writeCommands(item.key, item.record);
+          taken.add(keyId(item.key));
+          report.renamed++;
+        } catch (err) {
+          recordError(report, item.line, item.key, err.message);
+          batch.splice(i, 1);
+        }
+      }
+    }
+  }
+
+  const pipeline = redis.pipeline();
+  const spans = batch.map(({ key, record, commands }) => {
+    const start = pipeline.length;
+    if (params.conflict === 'overwrite') pipeline.del(key);
+    commands.forEach(([name, ...args]) => pipeline.call(name, ...args));
+    if (record.expireAt) {
+      pipeline.pexpireat(key, record.expireAt);
+    } else if (record.ttl > 0) {
+      pipeline.expire(key, record.ttl);
+    }
+    return [start, pipeline.length];
+  });
+  const results = await pipeline.exec();
+
+  const failedKeys = [];
+  batch.forEach(({ line, key }, i) => {
+    const [start, end] = spans[i];
+    const replies = results.slice(start, end);
+    const failure = replies.find(([err]) => err);
+    if (failure) {
+      recordError(report, line, key, failure[0].message);
+      failedKeys.push(key);
+    } else {
+      report.imported++;
+      if (params.conflict === 'overwrite' && replies[0][1] > 0) report.overwritten++;
+    }
+  });
+  // Don't leave half-written values behind
+  if (failedKeys.length > 0) {
+    await redis.del(...failedKeys).catch(() => {});
+  }
+}
+
+async function run({ redis, params, owner, progress, checkCancelled, batchSize, throttle }) {
+  const upload = getUpload(params.upload, owner);
+  if (!upload) {
+    throw new Error('The uploaded file has expired; upload it again');
+  }
+  claimUpload(upload);
+  try {
+    const format = params.format || await detectFormat(upload.path);
+    const report = {
+      format,
+      imported: 0,
+      overwritten: 0,
+      renamed: 0,
+      skipped: 0,
+      expired: 0,
+      failed: 0,
+      unsupported: {},
+      errors: [],
+    };
+
+    let batch = [];
+    let scanned = 0;
+    // The database records are being written to, null for the job's own
+    let db = null;
+    const flush = async () => {
+      checkCancelled();
+      const before = report.imported;
+      await importBatch(redis, batch, params, report);
+      progress({ scanned, affected: report.imported - before });
+      batch = [];
+      scanned = 0;
+      await throttle();
+    };
+
+    const records = readRecords(upload.path, format, (total) => progress({ total }));
+    for await (const { line, record: item, error, key: unsupportedKey, unsupported } of records) {
+      scanned++;
+      if (error) {
+        recordError(report, line, null, error);
+        continue;
+      }
+      if (unsupported) {
+        recordUnsupported(report, unsupportedKey, unsupported);
+        continue;
+      }
+      let record;
+      try {
+        record = decodeRecord(item);
+      } catch (err) {
+        recordError(report, line, null, err.message);
+        continue;
+      }
+      if (!record || (typeof record.key !== 'string' && !Buffer.isBuffer(record.key))) {
+        recordError(report, line, null, 'Record has no key');
+        continue;
+      }
+      if (record.error) {
+        recordError(report, line, record.key, record.error);
+        continue;
+      }
+      if (record.expireAt && record.expireAt <= Date.now()) {
+        report.expired++;
+        continue;
+      }
+      if (record.groups?.some(group => group.pending > 0 || group.consumers > 0)) {
+        recordUnsupported(report, record.key, 'stream consumers and pending entries');
+      }
+      if (record.db !== undefined && params.databases === 'preserve' && record.db !== db) {
+        await flush();
+        await redis.select(record.db);
+        db = record.db;
+      }
+      const key = rewriteKey(record.key, params.prefix);
+      let commands;
+      try {
+        commands = writeCommands(key, record);
+        if (commands.length === 0) throw new Error(`Empty ${record.type} value`);
+      } catch (err) {
+        recordError(report, line, record.key, err.message);
+        continue;
+      }
+      // A key seen twice goes in the next batch, after its first record is written
+      const id = keyId(key);
+      if (batch.some(pending => pending.id === id)) {
+        await flush();
+      }
+      batch.push({ line, id, key, record, commands });
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+    return report;
+  } finally {
+    await removeUpload(upload);
+  }
+}
+
+export function registerImportJobType() {
+  registerJobType('import', {
+    label: 'Import keys',
+    role: 'operator',
+    writes: true,
+    validate: ({ upload, format = null, conflict = 'skip', suffix = ':imported', prefix = {}, databases = 'preserve' }, { owner }) => {
+      const file = getUpload(upload, owner);
+      if (!file) {
+        throw new Error('Upload not found; upload the file again');
+      }
+      if (format && !FORMATS.includes(format)) {
+        throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+      }
+      if (!CONFLICT_MODES.includes(conflict)) {
+        throw new Error(`conflict must be one of ${CONFLICT_MODES.join(', ')}`);
+      }
+      if (conflict === 'rename' && !suffix) {
+        throw new Error('A suffix is needed to rename conflicting keys');
+      }
+      if (!DATABASE_MODES.includes(databases)) {
+        throw new Error(`databases must be one of ${DATABASE_MODES.join(', ')}`);
+      }
+      return {
+        upload,
+        name: file.name,
+        format,
+        conflict,
+        suffix,
+        prefix: { from: prefix.from || '', to: prefix.to || '' },
+        databases,
+      };
+    },
+    run,
+  });
+}
@@ -1,17 +1,70 @@
+import { createHash } from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import Redis from 'ioredis';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync } from 'fs';
+import { getOrCreateSession, closeSessionsOwnedBy, closeAllSessions } from './sessions.js';
+import {
+  AUTH_COOKIE,
+  authCookieOptions,
+  bootstrapUsers,
+  createAuthSession,
+  destroyAuthSession,
+  getAuthSession,
+  hasRole,
+  readBearerToken,
+  readCookie,
+  verifyApiToken,
+  verifyUser,
+} from './auth.js';
+import {
+  parseConnectionString,
+  resolveTlsOptions,
+  isTlsError,
+  describeCertificate,
+  inspectCertificate,
+} from './connections.js';
+import { classifyCommand, commandName, isConnectionCommand } from './commands.js';
+import {
+  DEFAULT_INTERVAL_MS,
+  INTERVAL_CHOICES_MS,
+  closeAllPollers,
+  parseClientList,
+  subscribeMetrics,
+} from './metrics.js';
+import { createPubSubHandler } from './pubsub.js';
+import { createJob, validateJob, jobRole, jobWrites, jobWritesSource, getJob, getJobType, listJobs, cancelJob, removeJob, cancelAllJobs, describeJob } from './jobs.js';
+import { registerBulkJobTypes } from './bulk.js';
+import { readString, readHash, readList, readSet, readSortedSet, readStream, readJson, readMetadata, readPage } from './values.js';
+import { decodeBytes, encodeBytes, encodeKey, decodeKey, displayBytes } from './encoding.js';
+import { exportEntries } from './export.js';
+import { registerImportJobType } from './import.js';
+import { registerReplayJobType } from './replay.js';
+import { registerCopyJobType, validateCopyOptions, copyKey } from './copy.js';
+import { registerCompareJobType, syncKeys } from './compare.js';
+import { registerMemoryJobType } from './memory.js';
+import { listNamespace } from './namespaces.js';
+import { profileKeyspace, DEFAULT_SAMPLE, MAX_SAMPLE } from './profile.js';
+import { saveUpload } from './uploads.js';
+import { appendAuditEntry, readAuditEntries, redactCommand } from './audit.js';
+import { POLICY_FILE, loadPolicy, evaluateCommand, createChallenge, verifyChallenge } from './policy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3002;
+const HOST = process.env.HOST || '0.0.0.0';
 
-app.use(cors());
+// The UI is served from this server (or proxied by Vite in development), so
+// cross-origin access is off unless an origin is configured explicitly
+app.use(cors({
+  origin: process.env.CORS_ORIGIN || false,
+  credentials: true,
+  exposedHeaders: ['X-Dashboard-Session'],
+}));
 app.use(express.json());
 
 // Serve static files from dist directory in production
@@ -20,65 +73,418 @@ if (existsSync(distPath)) {
   app.use(express.static(distPath));
 }
 
-// Store Redis connections per session/connection string
-const connections = new Map();
+// What the session was given when it connected to the server of a
+// connection string: { username, password, tls, readOnly }. Kept per server,
+// so that a browser leaving readonly=true out of the string it sends gets
+// the same, read-only, credentials.
+function sessionCredentials(session, connectionString) {
+  return session.credentials.get(parseConnectionString(connectionString).server) || {};
+}
 
-function getRedisClient(connectionString) {
-  if (!connectionString) {
-    throw new Error('No connection string provided');
-  }
+// ioredis options for a not yet connected client using the credentials the
+// session holds for the connection string, on its database unless db is given
+function redisOptions(session, connectionString, db = null) {
+  const options = parseConnectionString(connectionString);
+  const credentials = sessionCredentials(session, connectionString);
+
+  return {
+    host: options.host,
+    port: options.port,
+    db: db ?? options.db,
+    username: credentials.username ?? options.username,
+    password: credentials.password ?? options.password,
+    connectionName: options.connectionName,
+    tls: credentials.tls ?? resolveTlsOptions(options),
+    lazyConnect: true,
+    retryStrategy: () => null, // Don't auto-retry
+  };
+}
 
-  if (connections.has(connectionString)) {
-    const client = connections.get(connectionString);
-    if (client.status === 'ready') {
-      return client;
+function createRedis(session, connectionString, db = null) {
+  return new Redis(redisOptions(session, connectionString, db));
+}
+
+function getRedisClient(session, connectionString) {
+  if (session.clients.has(connectionString)) {
+    const entry = session.clients.get(connectionString);
+    if (entry.redis.status !== 'end' && entry.redis.status !== 'close') {
+      return entry;
     }
     // Remove stale connection
-    connections.delete(connectionString);
+    entry.redis.disconnect();
+    session.clients.delete(connectionString);
   }
 
-  // Parse connection string (format: redis://host:port or just host:port)
-  let host = 'localhost';
-  let port = 6379;
-
-  if (connectionString.startsWith('redis://')) {
-    const url = new URL(connectionString);
-    host = url.hostname;
-    port = parseInt(url.port) || 6379;
-  } else if (connectionString.includes(':')) {
-    const parts = connectionString.split(':');
-    host = parts[0];
-    port = parseInt(parts[1]) || 6379;
-  } else {
-    host = connectionString;
-  }
+  const options = parseConnectionString(connectionString);
+  const redis = createRedis(session, connectionString);
+  // Read-only as connected to, whatever the string now says
+  const readOnly = options.readOnly || Boolean(sessionCredentials(session, connectionString).readOnly);
+  // users, exclusive and waiting track the requests using the client (see
+  // claimClient)
+  const entry = { redis, db: options.db, readOnly, lastError: null, users: 0, exclusive: false, waiting: [], selecting: Promise.resolve() };
 
-  const client = new Redis({
-    host,
-    port,
-    lazyConnect: true,
-    retryStrategy: () => null, // Don't auto-retry
+  // Handshake failures (AUTH, SELECT) surface as error events before the
+  // connection closes; keep the last one so callers can report it instead of
+  // a bare "Connection is closed"
+  redis.on('error', (err) => {
+    entry.lastError = err;
   });
 
-  connections.set(connectionString, client);
-  return client;
+  session.clients.set(connectionString, entry);
+  return entry;
 }
 
-// Middleware to get Redis client from header
-function withRedis(req, res, next) {
-  const connectionString = req.headers['x-redis-connection'];
-  if (!connectionString) {
-    return res.status(400).json({ error: 'Missing X-Redis-Connection header' });
+// Drop the session's clients and credentials for a server, under whichever
+// connection strings it was used
+function forgetServer(session, server) {
+  for (const [connectionString, entry] of session.clients) {
+    if (parseConnectionString(connectionString).server === server) {
+      entry.redis.disconnect();
+      session.clients.delete(connectionString);
+    }
   }
+  session.credentials.delete(server);
+}
 
+// Redis reports failed or missing authentication with these error prefixes
+function isAuthError(err) {
+  return /^(NOAUTH|WRONGPASS|NOPERM)\b/.test(err.message) || /invalid password|invalid username/i.test(err.message);
+}
+
+// Dashboard sign-in. These routes are registered before requireAuth so they
+// are reachable without a session cookie.
+app.post('/api/auth/login', async (req, res) => {
   try {
-    req.redis = getRedisClient(connectionString);
-    next();
+    const { username, password } = req.body;
+    const user = await verifyUser(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const auth = createAuthSession(user);
+    res.cookie(AUTH_COOKIE, auth.token, authCookieOptions(req));
+    res.json({ username: auth.username, role: auth.role });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = readCookie(req, AUTH_COOKIE);
+  if (token) {
+    destroyAuthSession(token);
+    closeSessionsOwnedBy(token);
+  }
+  res.clearCookie(AUTH_COOKIE, { ...authCookieOptions(req), maxAge: undefined });
+  res.json({ success: true });
+});
+
+// Resolve the dashboard identity of a request from its session cookie or a
+// configured API token
+function authenticate(req) {
+  const bearer = readBearerToken(req);
+  return bearer ? verifyApiToken(bearer) : getAuthSession(readCookie(req, AUTH_COOKIE));
+}
+
+// Middleware protecting every other /api route
+function requireAuth(req, res, next) {
+  const auth = authenticate(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Sign in to the dashboard first', code: 'DASHBOARD_AUTH_REQUIRED' });
+  }
+  req.auth = auth;
+  next();
+}
+
+app.use('/api', requireAuth);
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ username: req.auth.username, role: req.auth.role });
+});
+
+// Middleware limiting a route to identities with at least the given role.
+// Routes that read data, or only change the caller's own dashboard session
+// (connect, disconnect, TLS inspection, database selection), are open to
+// every role.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.auth.role, role)) {
+      return res.status(403).json({
+        error: `This action requires the ${role} role (you are ${req.auth.role})`,
+        code: 'DASHBOARD_FORBIDDEN',
+        role: req.auth.role,
+      });
+    }
+    next();
+  };
+}
+
+// Middleware to attach the browser session. The server issues a new session
+// id whenever the browser's is missing, has expired or belongs to another
+// dashboard login. EventSource cannot set headers, so event streams pass the
+// session id as a query parameter instead.
+function withSession(req, res, next) {
+  const sessionId = req.headers['x-dashboard-session'] || req.query.session;
+  req.session = getOrCreateSession(sessionId, req.auth.token);
+  res.set('X-Dashboard-Session', req.session.id);
+  next();
+}
+
+// Let waiting requests use a client, in order, while they can share it: any
+// request when no other uses it, and more requests on the database it is on
+// unless one of them uses it alone. SELECT goes out ahead of the first
+// request's commands, so the requests after it run on the new database.
+function admitWaiting(entry) {
+  while (entry.waiting.length > 0) {
+    const next = entry.waiting[0];
+    if (entry.users > 0 && (entry.exclusive || next.exclusive || entry.db !== next.db)) {
+      return;
+    }
+    entry.waiting.shift();
+    next.admitted = true;
+    entry.users++;
+    entry.exclusive = next.exclusive;
+    if (entry.db !== next.db) {
+      entry.db = next.db;
+      entry.selecting = entry.redis.select(next.db).catch((err) => {
+        // Unknown now; the next request selects its database again
+        entry.db = null;
+        throw err;
+      });
+    }
+    entry.selecting.then(next.resolve, next.reject);
+  }
+}
+
+// A request's claim on the session's client: ready once the client is on db
+// and free for it, and released when the request is done. A session's
+// requests share one client, which cannot be on two databases at once, so
+// requests on another database wait for those using it to finish.
+function claimClient(entry, db, { exclusive = false } = {}) {
+  const claim = { db, exclusive, admitted: false, released: false };
+  claim.ready = new Promise((resolve, reject) => Object.assign(claim, { resolve, reject }));
+  claim.release = () => {
+    if (claim.released) return;
+    claim.released = true;
+    if (claim.admitted) {
+      entry.users--;
+      if (entry.users === 0) entry.exclusive = false;
+    } else {
+      entry.waiting.splice(entry.waiting.indexOf(claim), 1);
+      claim.reject(new Error('The request was closed'));
+    }
+    admitWaiting(entry);
+  };
+  entry.waiting.push(claim);
+  admitWaiting(entry);
+  return claim;
+}
+
+// Middleware to get the session's Redis client from headers. The browser
+// sends its selected database with every request, and the session's client
+// is switched to that database before the route runs and kept on it until
+// the response is done (see claimClient). Routes that may switch it
+// themselves use it exclusively.
+function withRedisClient({ exclusive = false } = {}) {
+  return async (req, res, next) => {
+    const connectionString = req.headers['x-redis-connection'];
+    if (!connectionString) {
+      return res.status(400).json({ error: 'Missing X-Redis-Connection header' });
+    }
+
+    const db = parseInt(req.headers['x-redis-db']) || 0;
+
+    let entry;
+    try {
+      entry = getRedisClient(req.session, connectionString);
+      if (entry.redis.status === 'wait') {
+        await entry.redis.connect();
+      }
+      const claim = claimClient(entry, db, { exclusive });
+      res.once('close', claim.release);
+      await claim.ready;
+      req.redisEntry = entry;
+      req.redis = entry.redis;
+      next();
+    } catch (err) {
+      const cause = entry?.lastError || err;
+      res.status(isAuthError(cause) ? 401 : 500).json({ error: cause.message });
+    }
+  };
+}
+
+const withRedis = withRedisClient();
+
+// Middleware refusing mutating routes on read-only connections; runs after
+// withRedis
+function requireWritable(req, res, next) {
+  if (req.redisEntry.readOnly) {
+    return res.status(403).json({ error: 'This connection is read-only', code: 'READ_ONLY_CONNECTION' });
+  }
+  next();
 }
 
+app.use('/api', withSession);
+
+// Middleware appending an audit entry for a mutating route once its response
+// has been sent, whatever the outcome. `describe` is the Redis command name,
+// or a function returning { command, key, detail } for the request (or null
+// when the request changes nothing and needs no entry).
+function audited(describe) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditError = body?.error;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const description = typeof describe === 'function' ? describe(req) : { command: describe };
+      if (!description) return;
+      const { command, key = displayBytes(req.params.key), detail } = description;
+      const status = res.statusCode;
+      appendAuditEntry({
+        timestamp: new Date().toISOString(),
+        user: req.auth.username,
+        role: req.auth.role,
+        session: req.session.id,
+        connection: req.headers['x-redis-connection'] || null,
+        db: parseInt(req.headers['x-redis-db']) || 0,
+        command,
+        key: key ?? null,
+        detail: detail ?? null,
+        outcome: status < 400 ? 'success'
+          : status === 401 || status === 403 ? 'denied'
+          : status === 428 ? 'confirmation-required'
+          : 'error',
+        status,
+        error: res.locals.auditError || null,
+      });
+    });
+    next();
+  };
+}
+
+// Audit descriptions for routes whose command or detail depends on the request
+const describeExpire = (req) => ({ command: 'EXPIRE', detail: `${req.body.seconds}s` });
+const describeRename = (req) => ({ command: 'RENAME', detail: `to ${req.body.newKey}` });
+const describeCopy = (req) => ({
+  command: req.body.move ? 'MOVE' : 'COPY',
+  detail: `to ${req.body.targetKey || displayBytes(req.params.key)} in db${req.body.target?.db ?? 0}`
+    + (req.body.target?.connection ? ` on ${req.body.target.connection}` : ''),
+});
+const describeSet = (req) => ({ command: req.body.ttl ? 'SETEX' : 'SET' });
+const describeHashSet = (req) => ({ command: 'HSET', detail: `field ${req.body.field}` });
+const describeHashDelete = (req) => ({ command: 'HDEL', detail: `field ${displayBytes(req.params.field)}` });
+const describeListPush = (req) => ({ command: req.body.position === 'left' ? 'LPUSH' : 'RPUSH' });
+const describeListPop = (req) => ({ command: req.query.position === 'left' ? 'LPOP' : 'RPOP' });
+const describeJsonSet = (req) => ({ command: 'JSON.SET', detail: req.body.path || '.' });
+
+// Parse the body of a connect or TLS inspect request
+function parseConnectRequest(body) {
+  const { connection, tls, readOnly } = body;
+  const options = parseConnectionString(connection, { readOnly: Boolean(readOnly) });
+  const tlsOptions = resolveTlsOptions(options, tls);
+  if (tls?.enabled && !tlsOptions) {
+    throw new Error('TLS settings were given for a plaintext connection; use a rediss:// connection string');
+  }
+  return { options, tlsOptions };
+}
+
+// Describe the TLS session of a connected client
+function describeTlsSession(redis) {
+  const socket = redis.stream;
+  if (!socket?.getPeerCertificate) {
+    return null;
+  }
+  return {
+    authorized: socket.authorized,
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+    protocol: socket.getProtocol(),
+    cipher: socket.getCipher()?.name || null,
+    certificate: describeCertificate(socket.getPeerCertificate()),
+  };
+}
+
+// Connect to a Redis server. Credentials and TLS material from the form (or
+// embedded in the connection string) are kept in the session; the response
+// carries the sanitized connection string and initial database for the
+// browser to use, plus certificate details for TLS connections.
+app.post('/api/connect', async (req, res) => {
+  const { username, password } = req.body;
+
+  let options;
+  let tlsOptions;
+  try {
+    ({ options, tlsOptions } = parseConnectRequest(req.body));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  forgetServer(req.session, options.server);
+  req.session.credentials.set(options.server, {
+    username: username || options.username,
+    password: password || options.password,
+    tls: tlsOptions,
+    readOnly: options.readOnly,
+  });
+
+  let entry;
+  try {
+    entry = getRedisClient(req.session, options.connection);
+    await entry.redis.connect();
+    await entry.redis.ping();
+    res.json({
+      connection: options.connection,
+      db: options.db,
+      readOnly: options.readOnly,
+      tls: tlsOptions ? describeTlsSession(entry.redis) : null,
+    });
+  } catch (err) {
+    const cause = entry?.lastError || err;
+    forgetServer(req.session, options.server);
+    if (isAuthError(cause)) {
+      return res.status(401).json({ error: `Authentication failed: ${cause.message}` });
+    }
+    if (tlsOptions && isTlsError(cause)) {
+      // Report what the server presented so the user can fix their settings
+      const inspection = await inspectCertificate(options, tlsOptions).catch(() => null);
+      return res.status(502).json({ error: `TLS handshake failed: ${cause.message}`, tls: inspection });
+    }
+    res.status(500).json({ error: cause.message });
+  }
+});
+
+// Inspect the certificate a TLS server presents without connecting to Redis
+app.post('/api/tls/inspect', async (req, res) => {
+  let options;
+  let tlsOptions;
+  try {
+    ({ options, tlsOptions } = parseConnectRequest(req.body));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (!tlsOptions) {
+    return res.status(400).json({ error: 'Certificate inspection requires a rediss:// connection string' });
+  }
+
+  try {
+    res.json(await inspectCertificate(options, tlsOptions));
+  } catch (err) {
+    res.status(502).json({ error: `TLS handshake failed: ${err.message}` });
+  }
+});
+
+// Disconnect from a Redis server and forget its credentials
+app.post('/api/disconnect', (req, res) => {
+  try {
+    forgetServer(req.session, parseConnectionString(req.headers['x-redis-connection']).server);
+  } catch {
+    // Nothing was connected under a string that does not parse
+  }
+  res.json({ success: true });
+});
+
 // Health check / ping
 app.get('/api/ping', withRedis, async (req, res) => {
   try {
@@ -124,20 +530,35 @@ app.get('/api/database/size', withRedis, async (req, res) => {
   }
 });
 
-// Select database
-app.post('/api/database/select', withRedis, async (req, res) => {
+// Number of databases the server is configured with, for the database list.
+// A plain read rather than a console command, so it isn't audited. Fails
+// where CONFIG is renamed or disabled, e.g. on managed services.
+app.get('/api/database/count', withRedis, async (req, res) => {
+  try {
+    await req.redis.connect().catch(() => {});
+    const [, value] = await req.redis.config('GET', 'databases');
+    res.json({ count: parseInt(value) || null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Select database for this session. Later requests carry the db in the
+// X-Redis-Db header; this validates the index against the server.
+app.post('/api/database/select', withRedisClient({ exclusive: true }), async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const { db } = req.body;
     await req.redis.select(db);
-    res.json({ success: true });
+    req.redisEntry.db = parseInt(db) || 0;
+    res.json({ success: true, db: parseInt(db) || 0 });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Flush database
-app.post('/api/database/flush', withRedis, async (req, res) => {
+app.post('/api/database/flush', audited('FLUSHDB'), requireRole('admin'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     await req.redis.flushdb();
@@ -147,17 +568,96 @@ app.post('/api/database/flush', withRedis, async (req, res) => {
   }
 });
 
-// Get keys
+// Largest COUNT hint a key listing may ask SCAN for, and most keys to
+// describe in one metadata request
+const MAX_SCAN_COUNT = 10000;
+const MAX_METADATA_KEYS = 1000;
+
+// Keys and hash fields in URLs are text, unless ?keyEncoding= (or
+// ?fieldEncoding=) says they are base64 or hex, for keys that are not valid
+// UTF-8 (see encoding.js)
+for (const [param, encodingParam] of [['key', 'keyEncoding'], ['field', 'fieldEncoding']]) {
+  app.param(param, (req, res, next, value) => {
+    try {
+      req.params[param] = decodeBytes(value, req.query[encodingParam]);
+      next();
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+}
+
+// Get keys, as { key, encoding }: keys that are not valid UTF-8 come
+// base64-encoded (see encodeKey).
 app.get('/api/keys', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const pattern = req.query.pattern || '*';
     const cursor = req.query.cursor || '0';
-    const count = parseInt(req.query.count) || 100;
+    const count = Math.min(parseInt(req.query.count) || 100, MAX_SCAN_COUNT);
 
     // Use SCAN for production safety
-    const [newCursor, keys] = await req.redis.scan(cursor, 'MATCH', pattern, 'COUNT', count);
-    res.json({ cursor: newCursor, keys });
+    const [newCursor, rawKeys] = await req.redis.scanBuffer(cursor, 'MATCH', pattern, 'COUNT', count);
+    res.json({ cursor: newCursor.toString(), keys: rawKeys.map(encodeKey) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One level of the namespace tree (see namespaces.js): the folders and keys
+// under ?prefix=, split on ?delimiter= (default ':'), continuing from ?cursor=
+app.get('/api/namespaces', withRedis, async (req, res) => {
+  try {
+    await req.redis.connect().catch(() => {});
+    const { prefix = '', delimiter = ':', cursor = '0' } = req.query;
+    res.json(await listNamespace(req.redis, { prefix, delimiter, cursor }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Keyspace profile of the selected database from a sample of its keys (see
+// profile.js). Query: sample (keys), horizon (minutes ahead to count expiring
+// keys for) and delimiter of prefixes.
+app.get('/api/keyspace/profile', withRedis, async (req, res) => {
+  const sample = parseInt(req.query.sample ?? DEFAULT_SAMPLE);
+  const horizon = parseInt(req.query.horizon ?? 60);
+  const { delimiter = ':' } = req.query;
+  if (!(sample > 0 && sample <= MAX_SAMPLE)) {
+    return res.status(400).json({ error: `sample must be a number of keys from 1 to ${MAX_SAMPLE}` });
+  }
+  if (!(horizon >= 0)) {
+    return res.status(400).json({ error: 'horizon must be a number of minutes' });
+  }
+  try {
+    await req.redis.connect().catch(() => {});
+    res.json(await profileKeyspace(req.redis, { sample, horizon, delimiter }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Type, TTL, length and memory usage of a page of keys (see readMetadata).
+// Body: { keys }, each as GET /api/keys lists it ({ key, encoding }) or as
+// text; responds with { metadata: [{ type, ttl, length, memory }] } in the
+// same order, null for keys that no longer exist.
+app.post('/api/keys/metadata', withRedis, async (req, res) => {
+  const { keys } = req.body;
+  if (!Array.isArray(keys) || keys.length > MAX_METADATA_KEYS) {
+    return res.status(400).json({ error: `keys must list up to ${MAX_METADATA_KEYS} keys` });
+  }
+  let decoded;
+  try {
+    decoded = keys.map(decodeKey);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    await req.redis.connect().catch(() => {});
+    // Listed by position, as a text key and a binary one may share a name
+    const indexes = keys.map((key, i) => i);
+    const metadata = keys.length > 0 ? await readMetadata(req.redis, decoded, { names: indexes }) : {};
+    res.json({ metadata: indexes.map(i => metadata[i] ?? null) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -186,7 +686,7 @@ app.get('/api/keys/:key/ttl', withRedis, async (req, res) => {
 });
 
 // Set key TTL
-app.put('/api/keys/:key/ttl', withRedis, async (req, res) => {
+app.put('/api/keys/:key/ttl', audited(describeExpire), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const { seconds } = req.body;
@@ -198,7 +698,7 @@ app.put('/api/keys/:key/ttl', withRedis, async (req, res) => {
 });
 
 // Remove key TTL
-app.delete('/api/keys/:key/ttl', withRedis, async (req, res) => {
+app.delete('/api/keys/:key/ttl', audited('PERSIST'), requireRole('admin'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     await req.redis.persist(req.params.key);
@@ -209,7 +709,7 @@ app.delete('/api/keys/:key/ttl', withRedis, async (req, res) => {
 });
 
 // Delete key
-app.delete('/api/keys/:key', withRedis, async (req, res) => {
+app.delete('/api/keys/:key', audited('DEL'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const deleted = await req.redis.del(req.params.key);
@@ -220,7 +720,7 @@ app.delete('/api/keys/:key', withRedis, async (req, res) => {
 });
 
 // Rename key
-app.post('/api/keys/:key/rename', withRedis, async (req, res) => {
+app.post('/api/keys/:key/rename', audited(describeRename), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const { newKey } = req.body;
@@ -231,21 +731,101 @@ app.post('/api/keys/:key/rename', withRedis, async (req, res) => {
   }
 });
 
-// String operations
+// Whether the session may only read from a connection, as its string says or
+// as it was connected to
+function connectionReadOnly(session, connectionString) {
+  return parseConnectionString(connectionString).readOnly || Boolean(sessionCredentials(session, connectionString).readOnly);
+}
+
+// Where a copy goes: { connection, db } with connection null for the
+// request's own server. Another server has to have been connected to in this
+// session, which holds its credentials. Returns { connectionString, readOnly,
+// sameDatabase }, sameDatabase telling whether that is the request's database.
+function resolveCopyTarget(req, target) {
+  const sourceString = req.headers['x-redis-connection'];
+  const connectionString = target.connection || sourceString;
+  if (connectionString !== sourceString && !req.session.credentials.has(parseConnectionString(connectionString).server)) {
+    throw Object.assign(new Error(`Connect to ${connectionString} before copying to it`), { status: 400 });
+  }
+  const options = parseConnectionString(connectionString);
+  return {
+    connectionString,
+    readOnly: connectionReadOnly(req.session, connectionString),
+    sameDatabase: options.connection === parseConnectionString(sourceString).connection && target.db === req.redisEntry.db,
+  };
+}
+
+// Copy (or move) a key to another database or server, preserving its type
+// and TTL. Body: { target: { connection, db }, targetKey, conflict, move }
+// with targetKey as text or { key, encoding } and conflict 'skip' or
+// 'overwrite'. Responds with { outcome } ('copied',
+// 'overwritten' or 'skipped').
+app.post('/api/keys/:key/copy', audited(describeCopy), requireRole('operator'), withRedis, async (req, res) => {
+  const { key } = req.params;
+  let options;
+  let targetKey;
+  try {
+    options = validateCopyOptions(req.body);
+    targetKey = req.body.targetKey ? decodeKey(req.body.targetKey) : key;
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (options.move && req.redisEntry.readOnly) {
+    return res.status(403).json({ error: 'This connection is read-only', code: 'READ_ONLY_CONNECTION' });
+  }
+
+  let target = null;
+  try {
+    const { connectionString, readOnly, sameDatabase } = resolveCopyTarget(req, options.target);
+    if (readOnly) {
+      return res.status(403).json({ error: 'The target connection is read-only', code: 'READ_ONLY_CONNECTION' });
+    }
+    if (sameDatabase && Buffer.from(targetKey).equals(Buffer.from(key))) {
+      return res.status(400).json({ error: 'The target is the key itself' });
+    }
+    await req.redis.connect().catch(() => {});
+    target = createRedis(req.session, connectionString, options.target.db);
+    target.on('error', () => {});
+    await target.connect();
+    const outcome = await copyKey(req.redis, target, key, { ...options, targetKey });
+    if (outcome === 'missing') {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    res.json({ outcome });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    target?.disconnect();
+  }
+});
+
+// String operations. With ?encoding= the value is read as bytes and comes as
+// { value, encoding }: 'auto' for text when it is valid UTF-8 and base64
+// otherwise, 'base64' or 'hex' to always have it so. Without, as text.
 app.get('/api/strings/:key', withRedis, async (req, res) => {
+  const { encoding } = req.query;
+  if (encoding !== undefined && !['auto', 'base64', 'hex'].includes(encoding)) {
+    return res.status(400).json({ error: 'encoding must be auto, base64 or hex' });
+  }
   try {
     await req.redis.connect().catch(() => {});
-    const value = await req.redis.get(req.params.key);
-    res.json(value);
+    if (encoding === undefined) {
+      return res.json(await readString(req.redis, req.params.key));
+    }
+    const bytes = await req.redis.getBuffer(req.params.key);
+    res.json(bytes && encodeBytes(bytes, encoding === 'auto' ? null : encoding));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.put('/api/strings/:key', withRedis, async (req, res) => {
+// Body: { value, ttl, encoding }, encoding saying how value is encoded
+// ('utf8', the default, 'base64' or 'hex'); as for the writes below
+app.put('/api/strings/:key', audited(describeSet), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { value, ttl } = req.body;
+    const { ttl } = req.body;
+    const value = decodeBytes(req.body.value, req.body.encoding);
     if (ttl) {
       await req.redis.setex(req.params.key, ttl, value);
     } else {
@@ -253,33 +833,42 @@ app.put('/api/strings/:key', withRedis, async (req, res) => {
     }
     res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// Collection reads take ?cursor=&count=&match= to read a page at a time
+// (see readPage), and return the whole value without a cursor
+const pageOptions = (query) => ({ cursor: query.cursor, count: parseInt(query.count) || 100, match: query.match || '' });
+
 // Hash operations
 app.get('/api/hashes/:key', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const value = await req.redis.hgetall(req.params.key);
-    res.json(value);
+    if (req.query.cursor !== undefined) {
+      return res.json(await readPage(req.redis, req.params.key, 'hash', pageOptions(req.query)));
+    }
+    res.json(await readHash(req.redis, req.params.key));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.put('/api/hashes/:key', withRedis, async (req, res) => {
+// Body: { field, value, encoding, fieldEncoding }, encoding being the
+// value's and fieldEncoding the field's
+app.put('/api/hashes/:key', audited(describeHashSet), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { field, value } = req.body;
+    const field = decodeBytes(req.body.field, req.body.fieldEncoding);
+    const value = decodeBytes(req.body.value, req.body.encoding);
     await req.redis.hset(req.params.key, field, value);
     res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.delete('/api/hashes/:key/:field', withRedis, async (req, res) => {
+app.delete('/api/hashes/:key/:field', audited(describeHashDelete), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const deleted = await req.redis.hdel(req.params.key, req.params.field);
@@ -289,23 +878,27 @@ app.delete('/api/hashes/:key/:field', withRedis, async (req, res) => {
   }
 });
 
-// List operations
+// List operations. Pushes, like the set and sorted set writes, take one
+// encoding for all the items they carry.
 app.get('/api/lists/:key', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
+    if (req.query.cursor !== undefined) {
+      return res.json(await readPage(req.redis, req.params.key, 'list', pageOptions(req.query)));
+    }
     const start = parseInt(req.query.start) || 0;
     const stop = parseInt(req.query.stop) || -1;
-    const value = await req.redis.lrange(req.params.key, start, stop);
-    res.json(value);
+    res.json(await readList(req.redis, req.params.key, start, stop));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/lists/:key', withRedis, async (req, res) => {
+app.post('/api/lists/:key', audited(describeListPush), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { values, position } = req.body;
+    const { position, encoding } = req.body;
+    const values = req.body.values.map(value => decodeBytes(value, encoding));
     let length;
     if (position === 'left') {
       length = await req.redis.lpush(req.params.key, ...values);
@@ -314,11 +907,11 @@ app.post('/api/lists/:key', withRedis, async (req, res) => {
     }
     res.json({ length });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.post('/api/lists/:key/pop', withRedis, async (req, res) => {
+app.post('/api/lists/:key/pop', audited(describeListPop), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const position = req.query.position || 'right';
@@ -338,32 +931,34 @@ app.post('/api/lists/:key/pop', withRedis, async (req, res) => {
 app.get('/api/sets/:key', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const members = await req.redis.smembers(req.params.key);
-    res.json(members);
+    if (req.query.cursor !== undefined) {
+      return res.json(await readPage(req.redis, req.params.key, 'set', pageOptions(req.query)));
+    }
+    res.json(await readSet(req.redis, req.params.key));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/sets/:key', withRedis, async (req, res) => {
+app.post('/api/sets/:key', audited('SADD'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { members } = req.body;
+    const members = req.body.members.map(member => decodeBytes(member, req.body.encoding));
     const added = await req.redis.sadd(req.params.key, ...members);
     res.json({ added });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.post('/api/sets/:key/remove', withRedis, async (req, res) => {
+app.post('/api/sets/:key/remove', audited('SREM'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { members } = req.body;
+    const members = req.body.members.map(member => decodeBytes(member, req.body.encoding));
     const removed = await req.redis.srem(req.params.key, ...members);
     res.json({ removed });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -371,52 +966,47 @@ app.post('/api/sets/:key/remove', withRedis, async (req, res) => {
 app.get('/api/zsets/:key', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
+    if (req.query.cursor !== undefined) {
+      return res.json(await readPage(req.redis, req.params.key, 'zset', pageOptions(req.query)));
+    }
     const start = parseInt(req.query.start) || 0;
     const stop = parseInt(req.query.stop) || -1;
     const withScores = req.query.withScores !== 'false';
 
-    let result;
     if (withScores) {
-      result = await req.redis.zrange(req.params.key, start, stop, 'WITHSCORES');
-      // Convert to array of {member, score} objects
-      const formatted = [];
-      for (let i = 0; i < result.length; i += 2) {
-        formatted.push({ member: result[i], score: parseFloat(result[i + 1]) });
-      }
-      res.json(formatted);
+      res.json(await readSortedSet(req.redis, req.params.key, start, stop));
     } else {
-      result = await req.redis.zrange(req.params.key, start, stop);
-      res.json(result);
+      res.json(await req.redis.zrange(req.params.key, start, stop));
     }
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/zsets/:key', withRedis, async (req, res) => {
+app.post('/api/zsets/:key', audited('ZADD'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { members } = req.body;
+    const { members, encoding } = req.body;
     // members is array of {member, score}
     const args = [];
     for (const m of members) {
-      args.push(m.score, m.member);
+      args.push(m.score, decodeBytes(m.member, encoding));
     }
     const added = await req.redis.zadd(req.params.key, ...args);
     res.json({ added });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.post('/api/zsets/:key/remove', withRedis, async (req, res) => {
+app.post('/api/zsets/:key/remove', audited('ZREM'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { members } = req.body;
+    const members = req.body.members.map(member => decodeBytes(member, req.body.encoding));
     const removed = await req.redis.zrem(req.params.key, ...members);
     res.json({ removed });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -428,22 +1018,13 @@ app.get('/api/streams/:key', withRedis, async (req, res) => {
     const end = req.query.end || '+';
     const count = parseInt(req.query.count) || 100;
 
-    const result = await req.redis.xrange(req.params.key, start, end, 'COUNT', count);
-    // Format entries
-    const entries = result.map(([id, fields]) => {
-      const fieldObj = {};
-      for (let i = 0; i < fields.length; i += 2) {
-        fieldObj[fields[i]] = fields[i + 1];
-      }
-      return { id, fields: fieldObj };
-    });
-    res.json(entries);
+    res.json(await readStream(req.redis, req.params.key, start, end, count));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/streams/:key', withRedis, async (req, res) => {
+app.post('/api/streams/:key', audited('XADD'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const { id = '*', fields } = req.body;
@@ -468,7 +1049,7 @@ app.get('/api/streams/:key/info', withRedis, async (req, res) => {
   }
 });
 
-app.post('/api/streams/:key/delete', withRedis, async (req, res) => {
+app.post('/api/streams/:key/delete', audited('XDEL'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const { ids } = req.body;
@@ -483,16 +1064,14 @@ app.post('/api/streams/:key/delete', withRedis, async (req, res) => {
 app.get('/api/json/:key', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const path = req.query.path || '.';
-    const result = await req.redis.call('JSON.GET', req.params.key, path);
-    res.json(result ? JSON.parse(result) : null);
+    res.json(await readJson(req.redis, req.params.key, req.query.path || '.'));
   } catch (err) {
     // If JSON module not available, return null
     res.json(null);
   }
 });
 
-app.put('/api/json/:key', withRedis, async (req, res) => {
+app.put('/api/json/:key', audited(describeJsonSet), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const { path = '.', value } = req.body;
@@ -503,7 +1082,7 @@ app.put('/api/json/:key', withRedis, async (req, res) => {
   }
 });
 
-app.delete('/api/json/:key', withRedis, async (req, res) => {
+app.delete('/api/json/:key', audited('JSON.DEL'), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
     const path = req.query.path || '.';
@@ -518,29 +1097,363 @@ app.delete('/api/json/:key', withRedis, async (req, res) => {
 app.get('/api/clients', withRedis, async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const result = await req.redis.client('LIST');
-    // Parse client list string into objects
-    const clients = result.split('\n').filter(Boolean).map(line => {
-      const client = {};
-      line.split(' ').forEach(pair => {
-        const [key, value] = pair.split('=');
-        if (key && value !== undefined) {
-          client[key] = value;
-        }
+    const clients = parseClientList(await req.redis.client('LIST'));
+    res.json(clients);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Live INFO and CLIENT LIST updates as server-sent events. Browsers watching
+// the same server with the same credentials, TLS options and interval share
+// one poller.
+// The connection string and session id come as query parameters since
+// EventSource cannot send headers.
+app.get('/api/metrics/stream', (req, res) => {
+  const connectionString = req.query.connection;
+  if (!connectionString) {
+    return res.status(400).json({ error: 'Missing connection parameter' });
+  }
+  // Intervals are limited to a few choices so browsers end up sharing pollers
+  const requested = parseInt(req.query.interval);
+  const interval = INTERVAL_CHOICES_MS.includes(requested) ? requested : DEFAULT_INTERVAL_MS;
+
+  // The poller keeps these settings to connect with, whichever browsers
+  // subscribe to it later
+  let settings;
+  try {
+    settings = redisOptions(req.session, connectionString);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Only browsers using the same Redis credentials and TLS options share a
+  // poller; the digest keeps passwords and keys out of the key
+  const identity = createHash('sha256')
+    .update(JSON.stringify([settings.username, settings.password, settings.tls ?? null]))
+    .digest('hex');
+  const key = `${connectionString}|${identity}|${interval}`;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`event: ready\ndata: ${JSON.stringify({ interval, choices: INTERVAL_CHOICES_MS })}\n\n`);
+
+  const unsubscribe = subscribeMetrics(
+    key,
+    interval,
+    settings,
+    (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+  );
+  req.on('close', unsubscribe);
+});
+
+// Export keys matching a pattern as a file download (see export.js). The
+// browser downloads it through a plain link, so the connection, session and
+// database come as query parameters. The export runs on its own client and
+// stops as soon as the download is aborted.
+app.get('/api/export', async (req, res) => {
+  const connectionString = req.query.connection;
+  if (!connectionString) {
+    return res.status(400).json({ error: 'Missing connection parameter' });
+  }
+  try {
+    parseConnectionString(connectionString);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const db = parseInt(req.query.db) || 0;
+  const format = req.query.format === 'json' ? 'json' : 'ndjson';
+
+  const redis = createRedis(req.session, connectionString);
+  redis.on('error', () => {});
+  let aborted = false;
+  req.on('close', () => { aborted = true; });
+
+  try {
+    await redis.connect();
+    if (db) {
+      await redis.select(db);
+    }
+  } catch (err) {
+    redis.disconnect();
+    return res.status(isAuthError(err) ? 401 : 500).json({ error: err.message });
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.set({
+    'Content-Type': format === 'json' ? 'application/json' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="redish-db${db}-${stamp}.${format}"`,
+  });
+
+  // Wait for the socket to drain when the browser reads slower than we scan
+  const write = (chunk) => res.write(chunk) || new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+
+  try {
+    let first = true;
+    if (format === 'json') await write('[\n');
+    for await (const entry of exportEntries(redis, { pattern: req.query.pattern || '*', type: req.query.type || null })) {
+      if (aborted) break;
+      const text = JSON.stringify(entry);
+      await write(format === 'json' ? `${first ? '' : ',\n'}${text}` : `${text}\n`);
+      first = false;
+    }
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (err) {
+    // Too late for an error status; cut the download short so the browser
+    // reports it as failed instead of saving a truncated file
+    console.error('Export failed:', err.message);
+    res.destroy(err);
+  } finally {
+    redis.disconnect();
+  }
+});
+
+// Publish a message to a channel. Subscriptions are made over the Pub/Sub
+// WebSocket (see pubsub.js).
+app.post('/api/pubsub/publish', audited((req) => ({ command: 'PUBLISH', key: req.body.channel })), requireRole('operator'), withRedis, requireWritable, async (req, res) => {
+  try {
+    await req.redis.connect().catch(() => {});
+    const { channel, message } = req.body;
+    if (!channel) {
+      return res.status(400).json({ error: 'No channel given' });
+    }
+    const receivers = await req.redis.publish(channel, message ?? '');
+    res.json({ receivers });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Background jobs (see jobs.js). Each type declares the role it needs and
+// whether it writes; only writing jobs (and not their dry runs) are audited,
+// once when they are started and again with the outcome when they finish.
+registerBulkJobTypes();
+registerImportJobType();
+registerReplayJobType();
+registerCopyJobType();
+registerCompareJobType();
+registerMemoryJobType();
+
+const describeJobStart = (req) => jobWrites(getJobType(req.body.type), req.body.params)
+  ? { command: `JOB ${req.body.type}`, key: req.body.params?.pattern, detail: JSON.stringify(req.body.params || {}) }
+  : null;
+
+function auditJobFinish(req) {
+  const { username, role } = req.auth;
+  const session = req.session.id;
+  return (job) => appendAuditEntry({
+    timestamp: new Date().toISOString(),
+    user: username,
+    role,
+    session,
+    connection: job.connection,
+    db: job.db,
+    command: `JOB ${job.type}`,
+    key: job.params.pattern ?? null,
+    detail: `${job.progress.scanned} scanned, ${job.progress.affected} affected`,
+    outcome: job.status === 'completed' ? 'success' : job.status === 'cancelled' ? 'cancelled' : 'error',
+    status: null,
+    error: job.error,
+  });
+}
+
+// Jobs are owned by the dashboard user rather than the browser session, so
+// they outlive page reloads and sign-outs; admins may act on anyone's job
+function findOwnJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job || (job.owner !== req.auth.username && !hasRole(req.auth.role, 'admin'))) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+// Start a job. Writing job types may require a typed confirmation: the first
+// request gets 428 CONFIRMATION_REQUIRED with a challenge, as for /api/command.
+app.post('/api/jobs', audited(describeJobStart), withRedis, (req, res) => {
+  const { type, params, batchSize, delayMs, confirmation } = req.body;
+  try {
+    const { jobType, params: validated } = validateJob(type, params, { owner: req.auth.username });
+    const role = jobRole(jobType, validated);
+    if (!hasRole(req.auth.role, role)) {
+      return res.status(403).json({
+        error: `This job requires the ${role} role (you are ${req.auth.role})`,
+        code: 'DASHBOARD_FORBIDDEN',
+        role: req.auth.role,
+      });
+    }
+    const writes = jobWrites(jobType, validated);
+    if (jobWritesSource(jobType, validated) && req.redisEntry.readOnly) {
+      return res.status(403).json({ error: 'This connection is read-only', code: 'READ_ONLY_CONNECTION' });
+    }
+    // Jobs that work on a second database (copies, comparisons) get a client for it
+    const target = validated.target && resolveCopyTarget(req, validated.target);
+    if (target?.sameDatabase) {
+      return res.status(400).json({ error: 'The target is the database the job runs on' });
+    }
+    if (writes && target?.readOnly) {
+      return res.status(403).json({ error: 'The target connection is read-only', code: 'READ_ONLY_CONNECTION' });
+    }
+    const challenge = `JOB ${type} ${JSON.stringify(params || {})}`;
+    if (writes && jobType.confirm && !verifyChallenge(req.session.id, challenge, confirmation)) {
+      return res.status(428).json({
+        error: `${jobType.label} requires confirmation`,
+        code: 'CONFIRMATION_REQUIRED',
+        confirmation: createChallenge(req.session.id, challenge, jobType.confirm(validated)),
       });
-      return client;
+    }
+
+    const connectionString = req.headers['x-redis-connection'];
+    const job = createJob({
+      type,
+      params,
+      owner: req.auth.username,
+      connection: parseConnectionString(connectionString).connection,
+      db: req.redisEntry.db,
+      redis: createRedis(req.session, connectionString),
+      target: target ? createRedis(req.session, target.connectionString, validated.target.db) : null,
+      batchSize,
+      delayMs,
+      onFinish: writes ? auditJobFinish(req) : null,
     });
-    res.json(clients);
+    res.status(202).json({ job: describeJob(job) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Upload a file for a job to read (e.g. a dump to import). The body is the
+// raw file; its name comes URI-encoded in X-Upload-Name. Returns
+// { upload: { id, name, size } }.
+app.post('/api/uploads', requireRole('operator'), async (req, res) => {
+  try {
+    const name = decodeURIComponent(req.headers['x-upload-name'] || '');
+    const upload = await saveUpload(req, req.auth.username, name);
+    res.status(201).json({ upload: { id: upload.id, name: upload.name, size: upload.size } });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: listJobs(req.auth.username).map(describeJob) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (job) {
+    res.json({ job: describeJob(job) });
+  }
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  if (!cancelJob(job)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  res.json({ job: describeJob(job) });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  if (!removeJob(job)) {
+    return res.status(409).json({ error: 'Cancel the job before removing it' });
+  }
+  res.json({ success: true });
+});
+
+// Keys per sync request, as many as a comparison reports
+const MAX_SYNC_KEYS = 1000;
+
+const describeSync = (req) => ({
+  command: 'SYNC',
+  detail: `${req.body.keys?.length ?? 0} keys ${req.body.direction === 'b-to-a' ? 'from B to A' : 'from A to B'} (job ${req.params.id})`,
+});
+
+// Copy keys a compare-keys job found to differ from one of its databases to
+// the other, deleting those the source side lacks. Body: { keys, direction }
+// with keys as text or { key, encoding } and direction 'a-to-b' or 'b-to-a'.
+// Responds with { results: [{ key, encoding, outcome, error }] }.
+app.post('/api/jobs/:id/sync', audited(describeSync), requireRole('operator'), async (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  const { keys, direction = 'a-to-b' } = req.body;
+  if (job.type !== 'compare-keys') {
+    return res.status(400).json({ error: 'Only the keys of a comparison can be synced' });
+  }
+  if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_SYNC_KEYS) {
+    return res.status(400).json({ error: `keys must list 1 to ${MAX_SYNC_KEYS} keys` });
+  }
+  if (direction !== 'a-to-b' && direction !== 'b-to-a') {
+    return res.status(400).json({ error: 'direction must be a-to-b or b-to-a' });
+  }
+  let names;
+  try {
+    names = keys.map(decodeKey);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const sides = {
+    a: { connectionString: job.connection, db: job.db },
+    b: { connectionString: job.params.target.connection || job.connection, db: job.params.target.db },
+  };
+  const [from, to] = direction === 'a-to-b' ? [sides.a, sides.b] : [sides.b, sides.a];
+  if (connectionReadOnly(req.session, to.connectionString)) {
+    return res.status(403).json({ error: 'The connection to sync to is read-only', code: 'READ_ONLY_CONNECTION' });
+  }
+  const clients = [from, to].map(({ connectionString, db }) => createRedis(req.session, connectionString, db));
+  try {
+    await Promise.all(clients.map(client => {
+      client.on('error', () => {});
+      return client.connect();
+    }));
+    res.json({ results: await syncKeys(clients[0], clients[1], names) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    clients.forEach(client => client.disconnect());
+  }
+});
+
+// Audit description of a raw command; arguments of commands that can carry
+// passwords are not logged
+function describeRawCommand(req) {
+  const command = String(req.body.command || '').trim();
+  const parts = parseCommand(command);
+  const name = parts.length ? commandName(parts) : '';
+  return { command: name, key: null, detail: redactCommand(name, command) };
+}
+
+// Browse the audit log, newest first. Filters match substrings except for
+// outcome and db; since/until are ISO timestamps.
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const { user, connection, command, key, outcome, since, until } = req.query;
+    const db = req.query.db !== undefined && req.query.db !== '' ? parseInt(req.query.db) : undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 5000);
+    res.json(await readAuditEntries({ user, connection, command, key, outcome, db, since, until }, limit));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Execute raw command
-app.post('/api/command', withRedis, async (req, res) => {
+app.post('/api/command', audited(describeRawCommand), requireRole('admin'), withRedisClient({ exclusive: true }), async (req, res) => {
   try {
     await req.redis.connect().catch(() => {});
-    const { command } = req.body;
+    const { command, confirmation } = req.body;
 
     // Parse command string into parts
     const parts = parseCommand(command);
@@ -548,10 +1461,43 @@ app.post('/api/command', withRedis, async (req, res) => {
       return res.json({ error: 'Empty command' });
     }
 
+    if (isConnectionCommand(parts)) {
+      return res.status(403).json({
+        error: `${commandName(parts)} is not allowed in the console, as it would change or block the dashboard's own connection`,
+        code: 'CONNECTION_COMMAND',
+      });
+    }
+
+    if (req.redisEntry.readOnly && classifyCommand(parts) === 'write') {
+      return res.status(403).json({
+        error: `${commandName(parts)} is not allowed on a read-only connection`,
+        code: 'READ_ONLY_CONNECTION',
+      });
+    }
+
+    // Apply the command policy; confirmable commands are answered with a
+    // challenge the console re-submits along with the typed phrase
+    const { action, rule } = evaluateCommand(parts);
+    if (action === 'deny') {
+      return res.status(403).json({ error: `${rule} is denied by the command policy`, code: 'COMMAND_DENIED' });
+    }
+    if (action === 'confirm' && !verifyChallenge(req.session.id, command, confirmation)) {
+      return res.status(428).json({
+        error: `${rule} requires confirmation`,
+        code: 'CONFIRMATION_REQUIRED',
+        confirmation: createChallenge(req.session.id, command, rule),
+      });
+    }
+
     const cmd = parts[0].toLowerCase();
     const args = parts.slice(1);
 
     const result = await req.redis.call(cmd, ...args);
+    // SELECT switches the session's client to another database; record it
+    // so that withRedis selects the request's database again next time
+    if (cmd === 'select') {
+      req.redisEntry.db = parseInt(args[0]);
+    }
     res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -596,9 +1542,9 @@ function parseCommand(command) {
 // Clean up connections on exit
 process.on('SIGINT', () => {
   console.log('\nShutting down...');
-  for (const client of connections.values()) {
-    client.disconnect();
-  }
+  closeAllSessions();
+  closeAllPollers();
+  cancelAllJobs();
   process.exit(0);
 });
 
@@ -609,6 +1555,47 @@ if (existsSync(distPath)) {
   });
 }
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Redish Dashboard server running on http://0.0.0.0:${PORT}`);
+await bootstrapUsers();
+loadPolicy();
+console.log(`Loaded command policy from ${POLICY_FILE}`);
+
+const server = app.listen(PORT, HOST, () => {
+  console.log(`Redish Dashboard server running on http://${HOST}:${PORT}`);
+});
+
+// Pub/Sub WebSocket. Browsers cannot set headers on a WebSocket, so the
+// connection string and session id come as query parameters; the cookie is
+// checked as for every other /api route.
+const PUBSUB_PATH = '/api/pubsub/ws';
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const handlePubSubUpgrade = createPubSubHandler({
+  authorize: (req) => {
+    const origin = req.headers.origin;
+    if (origin && new URL(origin).host !== req.headers.host && origin !== process.env.CORS_ORIGIN) {
+      throw httpError(403, 'Forbidden');
+    }
+    const auth = authenticate(req);
+    if (!auth) {
+      throw httpError(401, 'Unauthorized');
+    }
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const connectionString = params.get('connection');
+    if (!connectionString) {
+      throw httpError(400, 'Bad Request');
+    }
+    return { session: getOrCreateSession(params.get('session'), auth.token), connectionString };
+  },
+  createClient: createRedis,
+});
+
+server.on('upgrade', (req, socket, head) => {
+  if (new URL(req.url, 'http://localhost').pathname === PUBSUB_PATH) {
+    handlePubSubUpgrade(req, socket, head);
+  } else {
+    socket.destroy();
+  }
 });
@@ -0,0 +1,372 @@
+import { randomUUID } from 'crypto';
+
+// Background jobs for work that has to walk the keyspace. A job runs on its
+// own Redis client, so it neither blocks the session's interactive client nor
+// depends on the browser staying open, and walks keys with SCAN in batches
+// with a pause between them so it never monopolizes the server.
+//
+// Job types register themselves with registerJobType(); a type's run(context)
+// receives:
+//   redis        the job's Redis client, with the job's database selected
+//   target       for types that write somewhere else (copies), the client
+//                for that database or server, or null
+//   params       the validated params
+//   owner        the dashboard user who started the job
+//   scan(options, onBatch)  throttled SCAN over the database, calling
+//                onBatch(keys) for each batch of matching keys, as Buffers
+//   progress({ scanned, affected, total })  add to the job's counters, or
+//                set the total for jobs that do not walk the keyspace
+//                (it defaults to the database size)
+//   report(result)          publish a partial result while the job runs
+//   checkCancelled()        throws once the job has been cancelled
+//   batchSize, throttle()   for jobs that batch work other than SCAN: the
+//                job's batch size, and the pause to take between batches
+// and returns the job's result. Types that write must change nothing when
+// params.dryRun is set, and may ask for a typed confirmation phrase (derived
+// from the params) before a real run.
+
+export const BATCH_SIZE = parseInt(process.env.DASHBOARD_JOB_BATCH_SIZE) || 500;
+export const BATCH_DELAY_MS = parseInt(process.env.DASHBOARD_JOB_BATCH_DELAY_MS || '20');
+const MAX_RUNNING = parseInt(process.env.DASHBOARD_JOB_CONCURRENCY) || 2;
+const MAX_BATCH_SIZE = 10000;
+const FINISHED_RETENTION_MS = 60 * 60 * 1000;
+const MAX_FINISHED = 100;
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// type -> { label, role, writes, writesSource, confirm, validate, run }
+const jobTypes = new Map();
+// id -> job, in creation order
+const jobs = new Map();
+let running = 0;
+
+function jobError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+const CANCELLED = Symbol('cancelled');
+
+// writesSource tells, from the params, whether a writing job changes the
+// connection it runs on and not only its target (copies only do when moving).
+// role is a role name, or a function of the params returning one.
+export function registerJobType(type, {
+  label = type, role = 'viewer', writes = false, writesSource = () => true, confirm = null, validate = (params) => params, run,
+}) {
+  jobTypes.set(type, { label, role, writes, writesSource, confirm, validate, run });
+}
+
+export function getJobType(type) {
+  return jobTypes.get(type) || null;
+}
+
+// Whether a job of this type with these params changes data
+export function jobWrites(jobType, params) {
+  return Boolean(jobType?.writes && !params?.dryRun);
+}
+
+// The role a job of this type with these params requires
+export function jobRole(jobType, params) {
+  return typeof jobType.role === 'function' ? jobType.role(params) : jobType.role;
+}
+
+// Whether it changes data on the connection it runs on
+export function jobWritesSource(jobType, params) {
+  return jobWrites(jobType, params) && Boolean(jobType.writesSource(params));
+}
+
+// Check a job request. Returns { jobType, params } with the params as the
+// type validated them; throws with .status 400 for an unknown type or params
+// the type rejects. context ({ owner }) is passed on to the type's validate.
+export function validateJob(type, params = {}, context = {}) {
+  const jobType = jobTypes.get(type);
+  if (!jobType) {
+    throw jobError(400, `Unknown job type "${type}"`, 'UNKNOWN_JOB_TYPE');
+  }
+  try {
+    return { jobType, params: jobType.validate(params || {}, context) };
+  } catch (err) {
+    throw jobError(400, err.message, 'INVALID_JOB_PARAMS');
+  }
+}
+
+// Convert a Redis glob pattern (*, ?, [abc], [^a-z], \x) to a RegExp
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = pattern.slice(i + 1, end);
+      const negate = body.startsWith('^');
+      if (negate) body = body.slice(1);
+      source += `[${negate ? '^' : ''}${body.replace(/[\]\\]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Public view of a job, with an ETA extrapolated from the scan rate so far
+export function describeJob(job) {
+  const { scanned, total } = job.progress;
+  let eta = null;
+  if (job.status === 'running' && scanned > 0 && total > scanned) {
+    const elapsed = Date.now() - job.startedAt;
+    eta = Math.round((elapsed / scanned) * (total - scanned));
+  }
+  return {
+    id: job.id,
+    type: job.type,
+    label: jobTypes.get(job.type)?.label || job.type,
+    owner: job.owner,
+    connection: job.connection,
+    db: job.db,
+    params: job.params,
+    status: job.status === 'running' && job.cancelRequested ? 'cancelling' : job.status,
+    progress: { ...job.progress },
+    eta,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    result: job.result,
+  };
+}
+
+function pruneFinished() {
+  const cutoff = Date.now() - FINISHED_RETENTION_MS;
+  const finished = [...jobs.values()].filter(job => FINISHED.includes(job.status));
+  finished.forEach((job, index) => {
+    if (job.finishedAt < cutoff || index < finished.length - MAX_FINISHED) {
+      jobs.delete(job.id);
+    }
+  });
+}
+
+// A RegExp matching a glob the way Redis does, byte by byte, against key
+// bytes read as latin1 (one character per byte)
+export function globToBytesRegExp(pattern) {
+  return globToRegExp(Buffer.from(pattern).toString('latin1'));
+}
+
+async function scanKeys(job, redis, { match = '*' } = {}, onBatch) {
+  // Patterns are matched here rather than with SCAN MATCH so that the
+  // number of keys scanned (and so the ETA) is exact
+  const matcher = match === '*' ? null : globToBytesRegExp(match);
+  let cursor = '0';
+  do {
+    checkCancelled(job);
+    // Keys are read as bytes, so that jobs keep keys that are not valid UTF-8
+    const [next, keys] = await redis.scanBuffer(cursor, 'COUNT', job.batchSize);
+    cursor = next.toString();
+    job.progress.scanned += keys.length;
+    const matching = matcher ? keys.filter(key => matcher.test(key.toString('latin1'))) : keys;
+    if (matching.length > 0) {
+      await onBatch(matching);
+    }
+    if (cursor !== '0' && job.delayMs > 0) {
+      await sleep(job.delayMs);
+    }
+  } while (cursor !== '0');
+  // SCAN may return a key more than once, and the database may have grown
+  job.progress.total = Math.max(job.progress.total, job.progress.scanned);
+}
+
+function checkCancelled(job) {
+  if (job.cancelRequested) {
+    throw CANCELLED;
+  }
+}
+
+async function runJob(job) {
+  running++;
+  job.status = 'running';
+  job.startedAt = Date.now();
+
+  const { redis, target } = job;
+  redis.on('error', () => {});
+  target?.on('error', () => {});
+  try {
+    await redis.connect();
+    await target?.connect();
+    if (job.db) {
+      await redis.select(job.db);
+    }
+    job.progress.total = await redis.dbsize();
+    job.result = await jobTypes.get(job.type).run({
+      redis,
+      target,
+      params: job.params,
+      owner: job.owner,
+      scan: (options, onBatch) => scanKeys(job, redis, options, onBatch),
+      progress: ({ scanned = 0, affected = 0, total }) => {
+        job.progress.scanned += scanned;
+        job.progress.affected += affected;
+        if (total !== undefined) job.progress.total = total;
+      },
+      report: (result) => {
+        job.result = result;
+      },
+      checkCancelled: () => checkCancelled(job),
+      batchSize: job.batchSize,
+      throttle: () => job.delayMs > 0 ? sleep(job.delayMs) : Promise.resolve(),
+    }) ?? null;
+    job.status = 'completed';
+  } catch (err) {
+    if (err === CANCELLED) {
+      job.status = 'cancelled';
+    } else {
+      job.status = 'failed';
+      job.error = err.message;
+    }
+  } finally {
+    job.finishedAt = Date.now();
+    redis.disconnect();
+    target?.disconnect();
+    running--;
+    job.onFinish?.(job);
+    startQueued();
+  }
+}
+
+function startQueued() {
+  for (const job of jobs.values()) {
+    if (running >= MAX_RUNNING) break;
+    if (job.status === 'queued') {
+      runJob(job);
+    }
+  }
+}
+
+// Queue a job. redis must be a new, lazily connecting client for the
+// connection the job works on, and target (for jobs that write elsewhere)
+// one for the database they write to; the job connects them when it starts
+// and disconnects them when it finishes. onFinish(job) is called once the
+// job has completed, failed or been cancelled. Throws like validateJob().
+export function createJob({
+  type, params = {}, owner, connection, db = 0, redis, target = null, batchSize, delayMs, onFinish = null,
+}) {
+  let validated;
+  try {
+    validated = validateJob(type, params, { owner }).params;
+  } catch (err) {
+    redis.disconnect();
+    target?.disconnect();
+    throw err;
+  }
+
+  pruneFinished();
+  const job = {
+    id: randomUUID(),
+    type,
+    owner,
+    connection,
+    db,
+    params: validated,
+    status: 'queued',
+    progress: { scanned: 0, total: 0, affected: 0 },
+    batchSize: Math.min(parseInt(batchSize) || BATCH_SIZE, MAX_BATCH_SIZE),
+    delayMs: Number.isInteger(delayMs) && delayMs >= 0 ? delayMs : BATCH_DELAY_MS,
+    cancelRequested: false,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+    redis,
+    target,
+    onFinish,
+  };
+  jobs.set(job.id, job);
+  startQueued();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Jobs started by owner, newest first; every job when owner is null
+export function listJobs(owner = null) {
+  pruneFinished();
+  return [...jobs.values()]
+    .filter(job => owner === null || job.owner === owner)
+    .reverse();
+}
+
+// Ask a job to stop. A queued job is cancelled at once; a running job stops
+// before its next batch.
+export function cancelJob(job) {
+  if (FINISHED.includes(job.status)) {
+    return false;
+  }
+  job.cancelRequested = true;
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    job.redis.disconnect();
+    job.target?.disconnect();
+    job.onFinish?.(job);
+  }
+  return true;
+}
+
+// Forget a finished job
+export function removeJob(job) {
+  if (!FINISHED.includes(job.status)) {
+    return false;
+  }
+  jobs.delete(job.id);
+  return true;
+}
+
+export function cancelAllJobs() {
+  for (const job of jobs.values()) {
+    cancelJob(job);
+  }
+}
+
+// Count keys matching a pattern, optionally only those of one type
+registerJobType('count-keys', {
+  label: 'Count keys',
+  validate: ({ pattern = '*', type = '' }) => {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('pattern must be a non-empty string');
+    }
+    return { pattern, type: type || null };
+  },
+  run: async ({ redis, params, scan, progress }) => {
+    const byType = {};
+    await scan({ match: params.pattern }, async (keys) => {
+      const pipeline = redis.pipeline();
+      keys.forEach(key => pipeline.type(key));
+      const types = (await pipeline.exec()).map(([, type]) => type);
+      let matched = 0;
+      for (const type of types) {
+        if (type === 'none' || (params.type && type !== params.type)) continue;
+        byType[type] = (byType[type] || 0) + 1;
+        matched++;
+      }
+      progress({ affected: matched });
+    });
+    return { byType };
+  },
+});
@@ -0,0 +1,125 @@
+import { registerJobType } from './jobs.js';
+import { readMetadata } from './values.js';
+import { keyPrefix } from './namespaces.js';
+import { encodeKey, readableBytes } from './encoding.js';
+
+// Memory analysis of a database: the memory-analysis job walks the keys
+// matching a pattern, measures each with MEMORY USAGE and its element count
+// (see readMetadata), and reports:
+//   { keys, memory, unmeasured,
+//     byType: { type: { keys, memory } },
+//     byPrefix: [{ prefix, keys, memory }], prefixes,
+//     histogram: [{ min, max, keys, memory }],
+//     biggest: [{ key, encoding, type, ttl, length, memory }], longest: [...] }
+// memory is in bytes and only adds up the keys that could be measured;
+// unmeasured counts the others (all of them on servers without MEMORY USAGE).
+// Keys come as for encodeKey(): text, or base64 when not valid UTF-8.
+// A key's prefix is its name up to and including the first delimiter, ''
+// for keys without one (names that are not valid UTF-8 escaped as \xNN);
+// byPrefix lists the prefixes taking the most memory out of the prefixes
+// seen. biggest are the keys taking the most memory and longest the
+// collections with the most elements, top of each.
+
+const DEFAULT_TOP = 50;
+const MAX_TOP = 1000;
+const DEFAULT_SAMPLES = 5;
+const MAX_REPORTED_PREFIXES = 100;
+// Distinct prefixes tracked; keys under further prefixes are added up under
+// prefix null
+const MAX_PREFIXES = 10000;
+// Upper bounds of the size histogram's buckets; the last is unbounded
+const BUCKET_BOUNDS = [100, 1024, 10 * 1024, 100 * 1024, 1024 * 1024, 10 * 1024 * 1024];
+
+const COLLECTION_TYPES = ['hash', 'list', 'set', 'zset', 'stream'];
+
+// Merge entries into a list of the n entries with the most of field
+function keepTop(list, entries, n, field) {
+  return [...list, ...entries].sort((a, b) => b[field] - a[field]).slice(0, n);
+}
+
+function validate({ pattern = '*', top = DEFAULT_TOP, samples = DEFAULT_SAMPLES, delimiter = ':' }) {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new Error('pattern must be a non-empty string');
+  }
+  const params = { pattern, top: Number(top), samples: Number(samples), delimiter };
+  if (!Number.isInteger(params.top) || params.top < 1 || params.top > MAX_TOP) {
+    throw new Error(`top must be a number of keys from 1 to ${MAX_TOP}`);
+  }
+  if (!Number.isInteger(params.samples) || params.samples < 0) {
+    throw new Error('samples must be a number of elements, 0 for all of them');
+  }
+  if (typeof delimiter !== 'string') {
+    throw new Error('delimiter must be a string');
+  }
+  return params;
+}
+
+async function run({ redis, params, scan, progress, report: publish }) {
+  const report = {
+    keys: 0,
+    memory: 0,
+    unmeasured: 0,
+    byType: {},
+    byPrefix: [],
+    prefixes: 0,
+    histogram: [...BUCKET_BOUNDS, null].map((max, i) => ({ min: BUCKET_BOUNDS[i - 1] ?? 0, max, keys: 0, memory: 0 })),
+    biggest: [],
+    longest: [],
+  };
+  const prefixes = new Map();
+
+  const prefixOf = (key) => {
+    const prefix = keyPrefix(readableBytes(key), params.delimiter);
+    return prefixes.has(prefix) || prefixes.size < MAX_PREFIXES ? prefix : null;
+  };
+
+  await scan({ match: params.pattern }, async (keys) => {
+    const metadata = await readMetadata(redis, keys, { samples: params.samples, names: keys.map((key, i) => i) });
+    const measured = keys.flatMap((key, i) => (metadata[i] ? [[key, metadata[i]]] : []));
+    const entries = measured.map(([key, meta]) => ({ ...encodeKey(key), ...meta }));
+
+    for (const [key, { type, memory }] of measured) {
+      report.keys++;
+      const byType = report.byType[type] ||= { keys: 0, memory: 0 };
+      byType.keys++;
+      const prefix = prefixOf(key);
+      if (!prefixes.has(prefix)) {
+        prefixes.set(prefix, { prefix, keys: 0, memory: 0 });
+      }
+      const byPrefix = prefixes.get(prefix);
+      byPrefix.keys++;
+      if (memory === null) {
+        report.unmeasured++;
+        continue;
+      }
+      report.memory += memory;
+      byType.memory += memory;
+      byPrefix.memory += memory;
+      const bucket = report.histogram.find(({ max }) => max === null || memory < max);
+      bucket.keys++;
+      bucket.memory += memory;
+    }
+
+    report.biggest = keepTop(report.biggest, entries.filter(({ memory }) => memory !== null), params.top, 'memory');
+    report.longest = keepTop(
+      report.longest,
+      entries.filter(({ type, length }) => COLLECTION_TYPES.includes(type) && length !== null),
+      params.top,
+      'length',
+    );
+    report.byPrefix = keepTop([], [...prefixes.values()], MAX_REPORTED_PREFIXES, 'memory');
+    report.prefixes = prefixes.size;
+    progress({ affected: entries.length });
+    publish(report);
+  });
+
+  return report;
+}
+
+export function registerMemoryJobType() {
+  registerJobType('memory-analysis', {
+    label: 'Memory analysis',
+    validate,
+    run,
+  });
+}
@@ -0,0 +1,191 @@
+import Redis from 'ioredis';
+
+// Shared metrics polling. Browsers watching the same target (connection,
+// Redis credentials, TLS options and interval) share one poller, which runs
+// INFO and CLIENT LIST on its own Redis client once per interval and pushes
+// what changed to every subscriber. A new subscriber first receives a full
+// snapshot, then deltas:
+//   snapshot: { at, info: { section: { field: value } }, clients: [...] }
+//   delta:    { at, info: { section: { field: value | null } },
+//               clients: { added: [...], changed: [...], removed: [ids] } }
+
+export const DEFAULT_INTERVAL_MS = parseInt(process.env.DASHBOARD_METRICS_INTERVAL_MS) || 5000;
+export const INTERVAL_CHOICES_MS = [1000, 2000, 5000, 10000, 30000];
+
+// key -> { redis, settings, interval, timer, subscribers: Set, info, clients, polling }
+const pollers = new Map();
+
+// Parse INFO output into { section: { field: value } }
+export function parseInfo(text) {
+  const sections = {};
+  let current = 'default';
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith('#')) {
+      current = line.slice(1).trim().toLowerCase();
+      sections[current] = {};
+    } else {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        sections[current] ||= {};
+        sections[current][line.slice(0, index)] = line.slice(index + 1);
+      }
+    }
+  }
+  return sections;
+}
+
+// Parse CLIENT LIST output into one object per client
+export function parseClientList(text) {
+  return (text || '').split('\n').filter(Boolean).map(line => {
+    const client = {};
+    line.split(' ').forEach(pair => {
+      const [key, value] = pair.split('=');
+      if (key && value !== undefined) {
+        client[key] = value;
+      }
+    });
+    return client;
+  });
+}
+
+function diffInfo(previous, next) {
+  const delta = {};
+  for (const [section, fields] of Object.entries(next)) {
+    const before = previous[section] || {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (before[field] !== value) {
+        (delta[section] ||= {})[field] = value;
+      }
+    }
+    for (const field of Object.keys(before)) {
+      if (!(field in fields)) {
+        (delta[section] ||= {})[field] = null;
+      }
+    }
+  }
+  for (const section of Object.keys(previous)) {
+    if (!(section in next)) {
+      delta[section] = Object.fromEntries(Object.keys(previous[section]).map(field => [field, null]));
+    }
+  }
+  return delta;
+}
+
+function diffClients(previous, next) {
+  const before = new Map(previous.map(client => [client.id, client]));
+  const after = new Set(next.map(client => client.id));
+  const added = [];
+  const changed = [];
+  for (const client of next) {
+    const old = before.get(client.id);
+    if (!old) {
+      added.push(client);
+    } else if (JSON.stringify(old) !== JSON.stringify(client)) {
+      changed.push(client);
+    }
+  }
+  const removed = previous.filter(client => !after.has(client.id)).map(client => client.id);
+  return { added, changed, removed };
+}
+
+async function poll(poller) {
+  if (poller.polling) return;
+  poller.polling = true;
+  try {
+    // Clients don't retry, so one that lost its connection has ended for
+    // good; start over with a new one rather than failing every poll after
+    if (poller.redis.status === 'end') {
+      poller.redis.disconnect();
+      poller.redis = createPollerClient(poller.settings);
+    }
+    if (poller.redis.status === 'wait') {
+      await poller.redis.connect();
+    }
+    const [infoText, clientText] = await Promise.all([
+      poller.redis.info(),
+      poller.redis.client('LIST'),
+    ]);
+    const info = parseInfo(infoText);
+    const clients = parseClientList(clientText);
+    const at = Date.now();
+
+    const delta = poller.info
+      ? { at, info: diffInfo(poller.info, info), clients: diffClients(poller.clients, clients) }
+      : null;
+    poller.info = info;
+    poller.clients = clients;
+
+    for (const subscriber of poller.subscribers) {
+      if (!subscriber.ready || !delta) {
+        subscriber.send('snapshot', { at, info, clients });
+        subscriber.ready = true;
+      } else {
+        subscriber.send('delta', delta);
+      }
+    }
+  } catch (err) {
+    for (const subscriber of poller.subscribers) {
+      subscriber.send('failure', { error: err.message });
+    }
+  } finally {
+    poller.polling = false;
+  }
+}
+
+function createPollerClient(settings) {
+  const redis = new Redis(settings);
+  // Errors are reported through failed polls
+  redis.on('error', () => {});
+  return redis;
+}
+
+// Subscribe to metrics for a target. settings are the ioredis options the
+// poller connects with when it is created, and again when its client has
+// ended; they are those of the first subscriber, which the key should make
+// the same for all. send(event, data) receives snapshot, delta and failure
+// events. Returns a function that unsubscribes.
+export function subscribeMetrics(key, interval, settings, send) {
+  let poller = pollers.get(key);
+  if (!poller) {
+    poller = {
+      redis: createPollerClient(settings),
+      settings,
+      interval,
+      subscribers: new Set(),
+      info: null,
+      clients: null,
+      polling: false,
+    };
+    poller.timer = setInterval(() => poll(poller), interval);
+    pollers.set(key, poller);
+  }
+
+  const subscriber = { send, ready: false };
+  poller.subscribers.add(subscriber);
+
+  if (poller.info) {
+    subscriber.send('snapshot', { at: Date.now(), info: poller.info, clients: poller.clients });
+    subscriber.ready = true;
+  } else {
+    poll(poller);
+  }
+
+  return () => {
+    poller.subscribers.delete(subscriber);
+    if (poller.subscribers.size === 0) {
+      clearInterval(poller.timer);
+      poller.redis.disconnect();
+      pollers.delete(key);
+    }
+  };
+}
+
+export function closeAllPollers() {
+  for (const poller of pollers.values()) {
+    clearInterval(poller.timer);
+    poller.redis.disconnect();
+  }
+  pollers.clear();
+}
@@ -0,0 +1,72 @@
+import { isUtf8 } from 'buffer';
+import { normalizeType } from './values.js';
+import { encodeKey } from './encoding.js';
+
+// The keyspace as a tree of namespaces: keys are grouped by the segments of
+// their names, so tenant:42:user:9 sits in tenant: > tenant:42: > tenant:42:user:.
+// One level of the tree is listed with a SCAN over its prefix, with TYPE
+// pipelined for the keys found so that folders come with key counts and type
+// breakdowns. A level of a big keyspace takes several requests: each scans a
+// bounded slice of the keyspace and returns the cursor to go on from, and its
+// counts are to be added to those of the slices before. Keys are read as
+// bytes; folders are named by text, so a key whose next segment is not valid
+// UTF-8 is listed as a key of the level rather than under a folder.
+
+const SCAN_COUNT = 500;
+// SCAN calls per request
+const SCAN_CALLS = 10;
+
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// The top-level namespace of a key: its name up to and including the first
+// delimiter, '' for keys without one
+export function keyPrefix(key, delimiter) {
+  const end = delimiter ? key.indexOf(delimiter) : -1;
+  return end === -1 ? '' : key.slice(0, end + delimiter.length);
+}
+
+// List the keys under prefix, from cursor on. Returns { folders: [{ name,
+// prefix, count, types: { type: count } }], keys: [{ key, encoding, type }],
+// cursor }, keys (as encodeKey() gives them) being those with no delimiter
+// after the prefix and cursor '0' once the level has been listed in full.
+// SCAN may return a key twice, so counts can run slightly high while the
+// keyspace changes.
+export async function listNamespace(redis, { prefix = '', delimiter = ':', cursor = '0' } = {}) {
+  const folders = new Map();
+  const keys = [];
+  const prefixBytes = Buffer.from(prefix);
+  const delimiterBytes = Buffer.from(delimiter);
+  let calls = 0;
+  do {
+    const [next, batch] = await redis.scanBuffer(cursor, 'MATCH', `${escapeGlob(prefix)}*`, 'COUNT', SCAN_COUNT);
+    cursor = next.toString();
+    calls++;
+    if (batch.length === 0) continue;
+
+    const pipeline = redis.pipeline();
+    batch.forEach(key => pipeline.type(key));
+    const types = (await pipeline.exec()).map(([, type]) => normalizeType(type));
+    batch.forEach((key, i) => {
+      const type = types[i];
+      if (type === 'none') return;
+      const rest = key.subarray(prefixBytes.length);
+      const end = delimiter ? rest.indexOf(delimiterBytes) : -1;
+      if (end === -1 || !isUtf8(rest.subarray(0, end))) {
+        keys.push({ ...encodeKey(key), type });
+        return;
+      }
+      const name = rest.subarray(0, end).toString();
+      let folder = folders.get(name);
+      if (!folder) {
+        folder = { name, prefix: `${prefix}${name}${delimiter}`, count: 0, types: {} };
+        folders.set(name, folder);
+      }
+      folder.count++;
+      folder.types[type] = (folder.types[type] || 0) + 1;
+    });
+  } while (cursor !== '0' && calls < SCAN_CALLS);
+
+  return { folders: [...folders.values()], keys, cursor };
+}
@@ -0,0 +1,101 @@
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Command policy for the raw command endpoint. The policy file lists rules
+// by command ("KEYS") or command and subcommand ("CONFIG SET"):
+//   { "default": "allow", "deny": [...], "confirm": [...], "allow": [...] }
+// A subcommand rule wins over a rule for the whole command; at the same
+// level deny beats confirm beats allow. Commands no rule matches get the
+// default action. The file is read once at startup.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const POLICY_FILE = process.env.DASHBOARD_COMMAND_POLICY || join(__dirname, 'command-policy.json');
+
+const ACTIONS = ['deny', 'confirm', 'allow'];
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+
+let policy = null;
+
+// token -> { owner, command, phrase, expiresAt }
+const challenges = new Map();
+
+function normalizeRule(rule) {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new Error(`Invalid rule ${JSON.stringify(rule)} in ${POLICY_FILE}`);
+  }
+  return rule.trim().split(/\s+/).join(' ').toUpperCase();
+}
+
+export function loadPolicy() {
+  const data = JSON.parse(readFileSync(POLICY_FILE, 'utf8'));
+  const defaultAction = data.default || 'allow';
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new Error(`Invalid default action "${defaultAction}" in ${POLICY_FILE} (expected ${ACTIONS.join(', ')})`);
+  }
+
+  const rules = new Map();
+  for (const action of ACTIONS) {
+    for (const rule of data[action] || []) {
+      const name = normalizeRule(rule);
+      // Keep the strictest action when a rule is listed more than once
+      const current = rules.get(name);
+      if (!current || ACTIONS.indexOf(action) < ACTIONS.indexOf(current)) {
+        rules.set(name, action);
+      }
+    }
+  }
+
+  policy = { defaultAction, rules };
+  return policy;
+}
+
+// Decide what to do with a parsed command. Returns { action, rule } where
+// rule is the matched rule name (or the command name for the default).
+export function evaluateCommand(parts) {
+  if (!policy) {
+    loadPolicy();
+  }
+  const name = String(parts[0]).toUpperCase();
+  const candidates = parts.length > 1 ? [`${name} ${String(parts[1]).toUpperCase()}`, name] : [name];
+  for (const rule of candidates) {
+    const action = policy.rules.get(rule);
+    if (action) {
+      return { action, rule };
+    }
+  }
+  return { action: policy.defaultAction, rule: name };
+}
+
+// Issue a single-use challenge for a command. The caller must send the
+// token back with the phrase typed out to run the command.
+export function createChallenge(owner, command, phrase) {
+  const challenge = { token: randomUUID(), owner, command, phrase, expiresAt: Date.now() + CHALLENGE_TTL_MS };
+  challenges.set(challenge.token, challenge);
+  return { token: challenge.token, phrase, expiresAt: challenge.expiresAt };
+}
+
+// Check (and consume) a confirmation sent with a command. The challenge has
+// to belong to the same browser session and be for the exact same command.
+export function verifyChallenge(owner, command, confirmation) {
+  const challenge = confirmation?.token ? challenges.get(confirmation.token) : null;
+  if (!challenge || challenge.owner !== owner || challenge.command !== command) {
+    return false;
+  }
+  challenges.delete(challenge.token);
+  return challenge.expiresAt >= Date.now() && confirmation.phrase === challenge.phrase;
+}
+
+// Drop challenges that were never answered
+function closeExpiredChallenges() {
+  const now = Date.now();
+  for (const [token, challenge] of challenges) {
+    if (challenge.expiresAt < now) {
+      challenges.delete(token);
+    }
+  }
+}
+
+setInterval(closeExpiredChallenges, 60 * 1000).unref();
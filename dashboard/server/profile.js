@@ -0,0 +1,100 @@
+import { normalizeType } from './values.js';
+import { keyPrefix } from './namespaces.js';
+import { readableBytes } from './encoding.js';
+
+// Keyspace profile of a database, from a sample of its keys: the share of
+// each type, how TTLs are spread, how many keys expire soon and which
+// prefixes (top-level namespaces) are the most common, to spot keys left
+// without a TTL and namespaces growing out of hand. The sample is the first
+// keys SCAN returns, so it is not random, but it is spread over the
+// keyspace's hash table rather than ordered by name. Keys are read as bytes,
+// so that keys that are not valid UTF-8 are profiled too.
+
+export const DEFAULT_SAMPLE = 10000;
+export const MAX_SAMPLE = 100000;
+const SCAN_COUNT = 1000;
+// Keys whose TYPE and TTL go in one pipeline
+const PIPELINE_BATCH = 1000;
+const MAX_REPORTED_PREFIXES = 20;
+
+// Upper bounds, in seconds, of the TTL buckets after 'none'
+const TTL_BUCKETS = [
+  ['minute', 60],
+  ['hour', 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['longer', Infinity],
+];
+
+// Profile up to sample keys. Returns:
+//   { total, sampled, complete, byType: { type: keys },
+//     ttl: { none, minute, hour, day, longer }, expiringSoon, horizon,
+//     prefixes: [{ prefix, keys, noTtl }], prefixCount }
+// total is the database size, complete whether the sample is the whole
+// database, expiringSoon the keys whose TTL runs out within horizon minutes,
+// and ttl buckets count keys with a TTL under a minute, an hour, a day or
+// longer. prefixes are the most common in the sample, with bytes that are not
+// valid UTF-8 escaped as \xNN.
+export async function profileKeyspace(redis, { sample = DEFAULT_SAMPLE, horizon = 60, delimiter = ':' } = {}) {
+  // Keyed by their bytes as latin1 (one character per byte), as SCAN may
+  // return a key more than once
+  const keys = new Map();
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scanBuffer(cursor, 'COUNT', Math.min(SCAN_COUNT, sample));
+    cursor = next.toString();
+    for (const key of batch) {
+      if (keys.size >= sample) break;
+      keys.set(key.toString('latin1'), key);
+    }
+  } while (cursor !== '0' && keys.size < sample);
+
+  // In batches, so a large sample doesn't make one huge pipeline
+  const sampled = [...keys.values()];
+  const replies = [];
+  for (let i = 0; i < sampled.length; i += PIPELINE_BATCH) {
+    const pipeline = redis.pipeline();
+    sampled.slice(i, i + PIPELINE_BATCH).forEach(key => pipeline.type(key).ttl(key));
+    replies.push(...await pipeline.exec());
+  }
+
+  const profile = {
+    total: await redis.dbsize(),
+    sampled: 0,
+    complete: cursor === '0',
+    byType: {},
+    ttl: { none: 0, ...Object.fromEntries(TTL_BUCKETS.map(([name]) => [name, 0])) },
+    expiringSoon: 0,
+    horizon,
+    prefixes: [],
+    prefixCount: 0,
+  };
+  const prefixes = new Map();
+  sampled.forEach((key, i) => {
+    const type = normalizeType(replies[i * 2][1]);
+    const ttl = replies[i * 2 + 1][1];
+    if (type === 'none') return;
+    profile.sampled++;
+    profile.byType[type] = (profile.byType[type] || 0) + 1;
+
+    const prefix = keyPrefix(readableBytes(key), delimiter);
+    if (!prefixes.has(prefix)) {
+      prefixes.set(prefix, { prefix, keys: 0, noTtl: 0 });
+    }
+    const byPrefix = prefixes.get(prefix);
+    byPrefix.keys++;
+    if (ttl < 0) {
+      profile.ttl.none++;
+      byPrefix.noTtl++;
+      return;
+    }
+    const [bucket] = TTL_BUCKETS.find(([, max]) => ttl < max);
+    profile.ttl[bucket]++;
+    if (ttl <= horizon * 60) {
+      profile.expiringSoon++;
+    }
+  });
+
+  profile.prefixes = [...prefixes.values()].sort((a, b) => b.keys - a.keys).slice(0, MAX_REPORTED_PREFIXES);
+  profile.prefixCount = prefixes.size;
+  return profile;
+}
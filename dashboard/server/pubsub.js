@@ -0,0 +1,151 @@
+import { WebSocketServer } from 'ws';
+
+// Pub/Sub over WebSocket. Each browser session gets its own subscriber
+// connection per Redis server, since a client in subscriber mode cannot run
+// other commands. Subscriptions live with the session, so they survive the
+// Pub/Sub view being closed and reopened; sockets attached to the session
+// receive every message.
+//
+// Browser -> server: { type: 'subscribe' | 'unsubscribe', channels: [...] }
+//                    { type: 'psubscribe' | 'punsubscribe', patterns: [...] }
+// Server -> browser: { type: 'message', channel, pattern, message, at }
+//                    { type: 'subscriptions', channels, patterns }
+//                    { type: 'error', error }
+
+function send(socket, payload) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+}
+
+function broadcast(subscriber, payload) {
+  for (const socket of subscriber.sockets) {
+    send(socket, payload);
+  }
+}
+
+function subscriptionsOf(subscriber) {
+  return {
+    type: 'subscriptions',
+    channels: [...subscriber.channels],
+    patterns: [...subscriber.patterns],
+  };
+}
+
+// The session's subscriber for a server. One whose client has ended (clients
+// don't retry) is replaced, and its sockets and subscriptions move to the
+// new one, which subscribes to them again when it connects.
+function getSubscriber(session, connectionString, createClient) {
+  const existing = session.subscribers.get(connectionString);
+  if (existing && existing.redis.status !== 'end') {
+    return existing;
+  }
+
+  const subscriber = {
+    redis: createClient(),
+    connecting: null,
+    channels: new Set(existing?.channels),
+    patterns: new Set(existing?.patterns),
+    sockets: new Set(existing?.sockets),
+  };
+  subscriber.redis.on('message', (channel, message) => {
+    broadcast(subscriber, { type: 'message', channel, pattern: null, message, at: Date.now() });
+  });
+  subscriber.redis.on('pmessage', (pattern, channel, message) => {
+    broadcast(subscriber, { type: 'message', channel, pattern, message, at: Date.now() });
+  });
+  subscriber.redis.on('error', (err) => {
+    broadcast(subscriber, { type: 'error', error: err.message });
+  });
+  subscriber.redis.on('end', () => {
+    broadcast(subscriber, { type: 'error', error: 'Lost the Pub/Sub connection; it reconnects with the next request' });
+  });
+  session.subscribers.set(connectionString, subscriber);
+  return subscriber;
+}
+
+async function connectSubscriber(subscriber) {
+  const { redis } = subscriber;
+  await redis.connect();
+  if (subscriber.channels.size > 0) {
+    await redis.subscribe(...subscriber.channels);
+  }
+  if (subscriber.patterns.size > 0) {
+    await redis.psubscribe(...subscriber.patterns);
+  }
+}
+
+async function handleRequest(subscriber, request) {
+  const { redis } = subscriber;
+  subscriber.connecting ??= connectSubscriber(subscriber);
+  await subscriber.connecting;
+
+  const names = (request.channels || request.patterns || [])
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (names.length === 0) {
+    throw new Error('No channels or patterns given');
+  }
+
+  switch (request.type) {
+    case 'subscribe':
+      await redis.subscribe(...names);
+      names.forEach(name => subscriber.channels.add(name));
+      break;
+    case 'unsubscribe':
+      await redis.unsubscribe(...names);
+      names.forEach(name => subscriber.channels.delete(name));
+      break;
+    case 'psubscribe':
+      await redis.psubscribe(...names);
+      names.forEach(name => subscriber.patterns.add(name));
+      break;
+    case 'punsubscribe':
+      await redis.punsubscribe(...names);
+      names.forEach(name => subscriber.patterns.delete(name));
+      break;
+    default:
+      throw new Error(`Unknown request type "${request.type}"`);
+  }
+}
+
+// Returns an upgrade handler for the Pub/Sub WebSocket endpoint.
+// authorize(req) resolves the request to { session, connectionString } or
+// throws; createClient(session, connectionString) builds a new Redis client.
+export function createPubSubHandler({ authorize, createClient }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  return (req, socket, head) => {
+    let target;
+    try {
+      target = authorize(req);
+    } catch (err) {
+      socket.write(`HTTP/1.1 ${err.status || 400} ${err.message}\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const { session, connectionString } = target;
+      // Looked up on every use, as the subscriber may have been replaced
+      const currentSubscriber = () => getSubscriber(session, connectionString, () => createClient(session, connectionString));
+      const subscriber = currentSubscriber();
+      subscriber.sockets.add(ws);
+      send(ws, subscriptionsOf(subscriber));
+
+      ws.on('message', async (data) => {
+        session.lastSeen = Date.now();
+        const subscriber = currentSubscriber();
+        try {
+          await handleRequest(subscriber, JSON.parse(data.toString()));
+          broadcast(subscriber, subscriptionsOf(subscriber));
+        } catch (err) {
+          send(ws, { type: 'error', error: err.message });
+        }
+      });
+      ws.on('close', () => {
+        session.subscribers.get(connectionString)?.sockets.delete(ws);
+      });
+    });
+  };
+}
@@ -0,0 +1,666 @@
+import { open } from 'fs/promises';
+import { parseScore } from './values.js';
+
+// Parser for Redis RDB snapshot files, so a snapshot can be replayed into any
+// server through ordinary commands rather than DEBUG RELOAD or RESTORE. The
+// file is read a chunk at a time and keys are produced one by one, so a
+// snapshot never has to fit in memory as a whole.
+//
+// parseRdb(path) yields one item per key:
+//   { db, key, type, value, expireAt }
+// with key a Buffer, expireAt in epoch milliseconds (null when the key does
+// not expire) and value in the structured form the API uses, except that
+// strings are Buffers and hash fields are [field, value] pairs (with a third
+// element, the field's expiry time, for fields that have one). Streams also
+// carry their consumer groups as groups: [{ name, lastId, pending, consumers }].
+// Keys that can be read past but not decoded (module types) are yielded as
+//   { db, key, unsupported: description }
+// and the file's per-database key counts as { db, size } when it has them.
+
+const READ_SIZE = 64 * 1024;
+
+// Opcodes
+const OPCODE_SLOT_INFO = 244;
+const OPCODE_FUNCTION2 = 245;
+const OPCODE_FUNCTION_PRE_GA = 246;
+const OPCODE_MODULE_AUX = 247;
+const OPCODE_IDLE = 248;
+const OPCODE_FREQ = 249;
+const OPCODE_AUX = 250;
+const OPCODE_RESIZEDB = 251;
+const OPCODE_EXPIRETIME_MS = 252;
+const OPCODE_EXPIRETIME = 253;
+const OPCODE_SELECTDB = 254;
+const OPCODE_EOF = 255;
+
+// Value types
+const TYPE_STRING = 0;
+const TYPE_LIST = 1;
+const TYPE_SET = 2;
+const TYPE_ZSET = 3;
+const TYPE_HASH = 4;
+const TYPE_ZSET_2 = 5;
+const TYPE_MODULE_2 = 7;
+const TYPE_HASH_ZIPMAP = 9;
+const TYPE_LIST_ZIPLIST = 10;
+const TYPE_SET_INTSET = 11;
+const TYPE_ZSET_ZIPLIST = 12;
+const TYPE_HASH_ZIPLIST = 13;
+const TYPE_LIST_QUICKLIST = 14;
+const TYPE_STREAM_LISTPACKS = 15;
+const TYPE_HASH_LISTPACK = 16;
+const TYPE_ZSET_LISTPACK = 17;
+const TYPE_LIST_QUICKLIST_2 = 18;
+const TYPE_STREAM_LISTPACKS_2 = 19;
+const TYPE_SET_LISTPACK = 20;
+const TYPE_STREAM_LISTPACKS_3 = 21;
+const TYPE_HASH_METADATA_PRE_GA = 22;
+const TYPE_HASH_LISTPACK_EX_PRE_GA = 23;
+const TYPE_HASH_METADATA = 24;
+const TYPE_HASH_LISTPACK_EX = 25;
+
+// Module value opcodes
+const MODULE_OPCODE_EOF = 0;
+const MODULE_OPCODE_SINT = 1;
+const MODULE_OPCODE_UINT = 2;
+const MODULE_OPCODE_FLOAT = 3;
+const MODULE_OPCODE_DOUBLE = 4;
+const MODULE_OPCODE_STRING = 5;
+
+const QUICKLIST_NODE_PLAIN = 1;
+const STREAM_ITEM_FLAG_DELETED = 1;
+const STREAM_ITEM_FLAG_SAMEFIELDS = 2;
+
+const MODULE_NAME_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+export class RdbError extends Error {
+  constructor(message, offset) {
+    super(offset === undefined ? message : `${message} (at byte ${offset})`);
+    this.name = 'RdbError';
+  }
+}
+
+// Listpack and ziplist entries are Buffers or, for integer encodings, numbers
+// (BigInts for 64-bit ones)
+function toBuffer(entry) {
+  return Buffer.isBuffer(entry) ? entry : Buffer.from(String(entry));
+}
+
+function toNumber(entry) {
+  return Number(Buffer.isBuffer(entry) ? entry.toString() : entry);
+}
+
+function toBigInt(entry) {
+  return BigInt(Buffer.isBuffer(entry) ? entry.toString() : entry);
+}
+
+function pairs(entries, toValue = toBuffer) {
+  const result = [];
+  for (let i = 0; i + 1 < entries.length; i += 2) {
+    result.push([toBuffer(entries[i]), toValue(entries[i + 1])]);
+  }
+  return result;
+}
+
+// Listpack and ziplist encodings keep scores as text, infinite ones as inf
+// and -inf
+function members(entries) {
+  return pairs(entries, parseScore).map(([member, score]) => ({ member, score }));
+}
+
+class RdbReader {
+  constructor(handle) {
+    this.handle = handle;
+    this.buffer = Buffer.alloc(0);
+    this.offset = 0;
+    // Bytes consumed from the file so far
+    this.position = 0;
+  }
+
+  async read(length) {
+    if (this.buffer.length - this.offset < length) {
+      const rest = this.buffer.subarray(this.offset);
+      const chunk = Buffer.allocUnsafe(Math.max(READ_SIZE, length - rest.length));
+      let filled = 0;
+      while (rest.length + filled < length) {
+        const { bytesRead } = await this.handle.read(chunk, filled, chunk.length - filled, this.position + rest.length + filled);
+        if (bytesRead === 0) {
+          throw new RdbError('Unexpected end of file', this.position);
+        }
+        filled += bytesRead;
+      }
+      this.buffer = Buffer.concat([rest, chunk.subarray(0, filled)]);
+      this.offset = 0;
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    this.position += length;
+    return bytes;
+  }
+
+  async byte() {
+    return (await this.read(1))[0];
+  }
+
+  // { length } or, for the special string encodings, { encoding }
+  async lengthOrEncoding(big = false) {
+    const first = await this.byte();
+    switch (first >> 6) {
+      case 0:
+        return { length: big ? BigInt(first & 0x3f) : first & 0x3f };
+      case 1: {
+        const length = ((first & 0x3f) << 8) | await this.byte();
+        return { length: big ? BigInt(length) : length };
+      }
+      case 2:
+        if (first === 0x80) {
+          const length = (await this.read(4)).readUInt32BE();
+          return { length: big ? BigInt(length) : length };
+        }
+        if (first === 0x81) {
+          const length = (await this.read(8)).readBigUInt64BE();
+          return { length: big ? length : Number(length) };
+        }
+        throw new RdbError(`Unknown length encoding 0x${first.toString(16)}`, this.position - 1);
+      default:
+        return { encoding: first & 0x3f };
+    }
+  }
+
+  // A length, as a BigInt for values that may not fit a double (stream ids)
+  async length(big = false) {
+    const { length } = await this.lengthOrEncoding(big);
+    if (length === undefined) {
+      throw new RdbError('Expected a length', this.position - 1);
+    }
+    return length;
+  }
+
+  async string() {
+    const { length, encoding } = await this.lengthOrEncoding();
+    if (length !== undefined) {
+      return this.read(length);
+    }
+    switch (encoding) {
+      case 0:
+        return toBuffer((await this.read(1)).readInt8());
+      case 1:
+        return toBuffer((await this.read(2)).readInt16LE());
+      case 2:
+        return toBuffer((await this.read(4)).readInt32LE());
+      case 3: {
+        const compressedLength = await this.length();
+        const length = await this.length();
+        return lzfDecompress(await this.read(compressedLength), length, this.position);
+      }
+      default:
+        throw new RdbError(`Unknown string encoding ${encoding}`, this.position - 1);
+    }
+  }
+
+  // Sorted set score of the original ZSET type, stored as text
+  async stringDouble() {
+    const length = await this.byte();
+    switch (length) {
+      case 253: return NaN;
+      case 254: return Infinity;
+      case 255: return -Infinity;
+      default: return parseFloat((await this.read(length)).toString('latin1'));
+    }
+  }
+
+  async binaryDouble() {
+    return (await this.read(8)).readDoubleLE();
+  }
+
+  async millis() {
+    return Number((await this.read(8)).readBigInt64LE());
+  }
+}
+
+function lzfDecompress(input, length, offset) {
+  const output = Buffer.alloc(length);
+  let ip = 0;
+  let op = 0;
+  while (ip < input.length) {
+    const control = input[ip++];
+    if (control < 32) {
+      // A run of control + 1 literal bytes
+      const end = ip + control + 1;
+      if (end > input.length || op + control + 1 > length) break;
+      input.copy(output, op, ip, end);
+      op += control + 1;
+      ip = end;
+    } else {
+      // A back reference, which may overlap the bytes it produces
+      let run = control >> 5;
+      if (run === 7) run += input[ip++];
+      let ref = op - ((control & 0x1f) << 8) - input[ip++] - 1;
+      run += 2;
+      if (ref < 0 || op + run > length) break;
+      while (run-- > 0) output[op++] = output[ref++];
+    }
+  }
+  if (op !== length || ip !== input.length) {
+    throw new RdbError('Corrupt LZF-compressed string', offset);
+  }
+  return output;
+}
+
+function ziplistEntries(buffer) {
+  const entries = [];
+  let pos = 10;
+  while (buffer[pos] !== 0xff) {
+    if (pos >= buffer.length) throw new RdbError('Corrupt ziplist');
+    // Skip the previous entry's length
+    pos += buffer[pos] === 0xfe ? 5 : 1;
+    const encoding = buffer[pos];
+    let length;
+    switch (encoding >> 6) {
+      case 0:
+        length = encoding & 0x3f;
+        pos += 1;
+        break;
+      case 1:
+        length = ((encoding & 0x3f) << 8) | buffer[pos + 1];
+        pos += 2;
+        break;
+      case 2:
+        length = buffer.readUInt32BE(pos + 1);
+        pos += 5;
+        break;
+      default:
+        pos += 1;
+        switch (encoding) {
+          case 0xc0: entries.push(buffer.readInt16LE(pos)); pos += 2; break;
+          case 0xd0: entries.push(buffer.readInt32LE(pos)); pos += 4; break;
+          case 0xe0: entries.push(buffer.readBigInt64LE(pos)); pos += 8; break;
+          case 0xf0: entries.push(buffer.readIntLE(pos, 3)); pos += 3; break;
+          case 0xfe: entries.push(buffer.readInt8(pos)); pos += 1; break;
+          default:
+            if (encoding < 0xf1 || encoding > 0xfd) {
+              throw new RdbError(`Unknown ziplist encoding 0x${encoding.toString(16)}`);
+            }
+            entries.push((encoding & 0x0f) - 1);
+        }
+        continue;
+    }
+    entries.push(buffer.subarray(pos, pos + length));
+    pos += length;
+  }
+  return entries;
+}
+
+// Bytes of the back-length that follows a listpack entry of the given size,
+// with the bounds of lpEncodeBacklen() in Redis
+function listpackBacklen(size) {
+  if (size <= 127) return 1;
+  if (size < 16383) return 2;
+  if (size < 2097151) return 3;
+  if (size < 268435455) return 4;
+  return 5;
+}
+
+function listpackEntries(buffer) {
+  const entries = [];
+  let pos = 6;
+  for (;;) {
+    if (pos >= buffer.length) throw new RdbError('Corrupt listpack');
+    const encoding = buffer[pos];
+    if (encoding === 0xff) return entries;
+    let size;
+    if (encoding < 0x80) {
+      entries.push(encoding);
+      size = 1;
+    } else if ((encoding & 0xc0) === 0x80) {
+      const length = encoding & 0x3f;
+      entries.push(buffer.subarray(pos + 1, pos + 1 + length));
+      size = 1 + length;
+    } else if ((encoding & 0xe0) === 0xc0) {
+      const value = ((encoding & 0x1f) << 8) | buffer[pos + 1];
+      entries.push(value >= 1 << 12 ? value - (1 << 13) : value);
+      size = 2;
+    } else if ((encoding & 0xf0) === 0xe0) {
+      const length = ((encoding & 0x0f) << 8) | buffer[pos + 1];
+      entries.push(buffer.subarray(pos + 2, pos + 2 + length));
+      size = 2 + length;
+    } else {
+      switch (encoding) {
+        case 0xf0: {
+          const length = buffer.readUInt32LE(pos + 1);
+          entries.push(buffer.subarray(pos + 5, pos + 5 + length));
+          size = 5 + length;
+          break;
+        }
+        case 0xf1: entries.push(buffer.readInt16LE(pos + 1)); size = 3; break;
+        case 0xf2: entries.push(buffer.readIntLE(pos + 1, 3)); size = 4; break;
+        case 0xf3: entries.push(buffer.readInt32LE(pos + 1)); size = 5; break;
+        case 0xf4: entries.push(buffer.readBigInt64LE(pos + 1)); size = 9; break;
+        default:
+          throw new RdbError(`Unknown listpack encoding 0x${encoding.toString(16)}`);
+      }
+    }
+    pos += size + listpackBacklen(size);
+  }
+}
+
+function intsetEntries(buffer) {
+  const width = buffer.readUInt32LE(0);
+  const count = buffer.readUInt32LE(4);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const pos = 8 + i * width;
+    switch (width) {
+      case 2: entries.push(buffer.readInt16LE(pos)); break;
+      case 4: entries.push(buffer.readInt32LE(pos)); break;
+      case 8: entries.push(buffer.readBigInt64LE(pos)); break;
+      default: throw new RdbError(`Unknown intset width ${width}`);
+    }
+  }
+  return entries;
+}
+
+// The hash encoding of Redis before 2.6
+function zipmapEntries(buffer) {
+  const entries = [];
+  let pos = 1;
+  const length = () => {
+    const first = buffer[pos];
+    if (first < 254) {
+      pos += 1;
+      return first;
+    }
+    if (first === 254) {
+      pos += 5;
+      return buffer.readUInt32LE(pos - 4);
+    }
+    return null;
+  };
+  for (;;) {
+    const fieldLength = length();
+    if (fieldLength === null) return entries;
+    entries.push(buffer.subarray(pos, pos + fieldLength));
+    pos += fieldLength;
+    const valueLength = length();
+    const free = buffer[pos++];
+    entries.push(buffer.subarray(pos, pos + valueLength));
+    pos += valueLength + free;
+  }
+}
+
+// Entries of one stream listpack, whose ids are stored relative to the
+// node's master id and whose fields may be those of its master entry
+function streamEntries(entries, masterMs, masterSeq) {
+  let i = 0;
+  const next = () => entries[i++];
+  const count = toNumber(next()) + toNumber(next());
+  const masterFields = [];
+  for (let n = toNumber(next()); n > 0; n--) masterFields.push(toBuffer(next()));
+  i++; // master entry terminator
+
+  const result = [];
+  for (let n = 0; n < count; n++) {
+    const flags = toNumber(next());
+    const id = `${masterMs + toBigInt(next())}-${masterSeq + toBigInt(next())}`;
+    const fields = [];
+    if (flags & STREAM_ITEM_FLAG_SAMEFIELDS) {
+      masterFields.forEach(field => fields.push([field, toBuffer(next())]));
+    } else {
+      for (let f = toNumber(next()); f > 0; f--) fields.push([toBuffer(next()), toBuffer(next())]);
+    }
+    i++; // entry's element count
+    if (!(flags & STREAM_ITEM_FLAG_DELETED)) {
+      result.push({ id, fields });
+    }
+  }
+  return result;
+}
+
+async function readStreamId(reader) {
+  return `${await reader.length(true)}-${await reader.length(true)}`;
+}
+
+async function readStream(reader, type) {
+  const value = [];
+  for (let nodes = await reader.length(); nodes > 0; nodes--) {
+    const master = await reader.string();
+    const listpack = listpackEntries(await reader.string());
+    value.push(...streamEntries(listpack, master.readBigUInt64BE(0), master.readBigUInt64BE(8)));
+  }
+  await reader.length(); // entry count
+  await readStreamId(reader); // last id
+  if (type >= TYPE_STREAM_LISTPACKS_2) {
+    await readStreamId(reader); // first id
+    await readStreamId(reader); // max deleted id
+    await reader.length(); // entries added
+  }
+
+  const groups = [];
+  for (let count = await reader.length(); count > 0; count--) {
+    const name = await reader.string();
+    const groupLastId = await readStreamId(reader);
+    if (type >= TYPE_STREAM_LISTPACKS_2) {
+      await reader.length(); // entries read
+    }
+    const pending = await reader.length();
+    for (let n = 0; n < pending; n++) {
+      await reader.read(16); // id
+      await reader.millis(); // delivery time
+      await reader.length(); // delivery count
+    }
+    const consumers = await reader.length();
+    for (let n = 0; n < consumers; n++) {
+      await reader.string(); // name
+      await reader.millis(); // seen time
+      if (type >= TYPE_STREAM_LISTPACKS_3) {
+        await reader.millis(); // active time
+      }
+      await reader.read(16 * await reader.length()); // pending ids
+    }
+    groups.push({ name, lastId: groupLastId, pending, consumers });
+  }
+  return { type: 'stream', value, groups };
+}
+
+// Hash fields with expiry times, stored as a table
+async function readHashMetadata(reader, type) {
+  const minExpire = type === TYPE_HASH_METADATA ? await reader.millis() : 0;
+  const value = [];
+  for (let count = await reader.length(); count > 0; count--) {
+    const ttl = await reader.length();
+    const field = await reader.string();
+    const fieldValue = await reader.string();
+    if (ttl === 0) {
+      value.push([field, fieldValue]);
+    } else {
+      value.push([field, fieldValue, type === TYPE_HASH_METADATA ? ttl + minExpire - 1 : ttl]);
+    }
+  }
+  return { type: 'hash', value };
+}
+
+// Hash fields with expiry times, stored as field, value, expiry triples in
+// a listpack
+async function readHashListpackEx(reader, type) {
+  if (type === TYPE_HASH_LISTPACK_EX) {
+    await reader.millis(); // earliest expiry
+  }
+  const entries = listpackEntries(await reader.string());
+  const value = [];
+  for (let i = 0; i + 2 < entries.length; i += 3) {
+    const expireAt = toNumber(entries[i + 2]);
+    const field = [toBuffer(entries[i]), toBuffer(entries[i + 1])];
+    value.push(expireAt ? [...field, expireAt] : field);
+  }
+  return { type: 'hash', value };
+}
+
+function moduleTypeName(id) {
+  let name = '';
+  let rest = id >> 10n;
+  for (let i = 0; i < 9; i++) {
+    name = MODULE_NAME_CHARSET[Number(rest & 63n)] + name;
+    rest >>= 6n;
+  }
+  return name;
+}
+
+// Module data is a series of typed values up to an EOF opcode
+async function skipModuleData(reader) {
+  for (;;) {
+    const opcode = await reader.length();
+    switch (opcode) {
+      case MODULE_OPCODE_EOF: return;
+      case MODULE_OPCODE_SINT:
+      case MODULE_OPCODE_UINT: await reader.length(true); break;
+      case MODULE_OPCODE_FLOAT: await reader.read(4); break;
+      case MODULE_OPCODE_DOUBLE: await reader.read(8); break;
+      case MODULE_OPCODE_STRING: await reader.string(); break;
+      default: throw new RdbError(`Unknown module data opcode ${opcode}`, reader.position);
+    }
+  }
+}
+
+async function readList(reader, read) {
+  const items = [];
+  for (let count = await reader.length(); count > 0; count--) {
+    items.push(await read());
+  }
+  return items;
+}
+
+async function readValue(reader, type) {
+  switch (type) {
+    case TYPE_STRING:
+      return { type: 'string', value: await reader.string() };
+    case TYPE_LIST:
+      return { type: 'list', value: await readList(reader, () => reader.string()) };
+    case TYPE_SET:
+      return { type: 'set', value: await readList(reader, () => reader.string()) };
+    case TYPE_ZSET:
+    case TYPE_ZSET_2:
+      return {
+        type: 'zset',
+        value: await readList(reader, async () => ({
+          member: await reader.string(),
+          score: type === TYPE_ZSET ? await reader.stringDouble() : await reader.binaryDouble(),
+        })),
+      };
+    case TYPE_HASH:
+      return { type: 'hash', value: await readList(reader, async () => [await reader.string(), await reader.string()]) };
+    case TYPE_HASH_ZIPMAP:
+      return { type: 'hash', value: pairs(zipmapEntries(await reader.string())) };
+    case TYPE_LIST_ZIPLIST:
+      return { type: 'list', value: ziplistEntries(await reader.string()).map(toBuffer) };
+    case TYPE_SET_INTSET:
+      return { type: 'set', value: intsetEntries(await reader.string()).map(toBuffer) };
+    case TYPE_SET_LISTPACK:
+      return { type: 'set', value: listpackEntries(await reader.string()).map(toBuffer) };
+    case TYPE_ZSET_ZIPLIST:
+      return { type: 'zset', value: members(ziplistEntries(await reader.string())) };
+    case TYPE_ZSET_LISTPACK:
+      return { type: 'zset', value: members(listpackEntries(await reader.string())) };
+    case TYPE_HASH_ZIPLIST:
+      return { type: 'hash', value: pairs(ziplistEntries(await reader.string())) };
+    case TYPE_HASH_LISTPACK:
+      return { type: 'hash', value: pairs(listpackEntries(await reader.string())) };
+    case TYPE_LIST_QUICKLIST: {
+      const nodes = await readList(reader, async () => ziplistEntries(await reader.string()));
+      return { type: 'list', value: nodes.flat().map(toBuffer) };
+    }
+    case TYPE_LIST_QUICKLIST_2: {
+      const nodes = await readList(reader, async () => {
+        const container = await reader.length();
+        const data = await reader.string();
+        return container === QUICKLIST_NODE_PLAIN ? [data] : listpackEntries(data);
+      });
+      return { type: 'list', value: nodes.flat().map(toBuffer) };
+    }
+    case TYPE_STREAM_LISTPACKS:
+    case TYPE_STREAM_LISTPACKS_2:
+    case TYPE_STREAM_LISTPACKS_3:
+      return readStream(reader, type);
+    case TYPE_HASH_METADATA_PRE_GA:
+    case TYPE_HASH_METADATA:
+      return readHashMetadata(reader, type);
+    case TYPE_HASH_LISTPACK_EX_PRE_GA:
+    case TYPE_HASH_LISTPACK_EX:
+      return readHashListpackEx(reader, type);
+    case TYPE_MODULE_2: {
+      const name = moduleTypeName(await reader.length(true));
+      await skipModuleData(reader);
+      return { unsupported: `module type ${name}` };
+    }
+    default:
+      // Without knowing its layout there is no way past the value
+      throw new RdbError(`Unsupported value type ${type}`, reader.position - 1);
+  }
+}
+
+export async function* parseRdb(path) {
+  const handle = await open(path, 'r');
+  try {
+    const reader = new RdbReader(handle);
+    const magic = (await reader.read(9)).toString('latin1');
+    if (!/^REDIS\d{4}$/.test(magic)) {
+      throw new RdbError('Not an RDB file');
+    }
+
+    let db = 0;
+    let expireAt = null;
+    for (;;) {
+      const type = await reader.byte();
+      switch (type) {
+        case OPCODE_EOF:
+          return;
+        case OPCODE_SELECTDB:
+          db = await reader.length();
+          continue;
+        case OPCODE_RESIZEDB:
+          yield { db, size: await reader.length() };
+          await reader.length(); // keys with an expiry
+          continue;
+        case OPCODE_EXPIRETIME_MS:
+          expireAt = await reader.millis();
+          continue;
+        case OPCODE_EXPIRETIME:
+          expireAt = (await reader.read(4)).readUInt32LE() * 1000;
+          continue;
+        case OPCODE_IDLE:
+          await reader.length();
+          continue;
+        case OPCODE_FREQ:
+          await reader.byte();
+          continue;
+        case OPCODE_AUX:
+          await reader.string();
+          await reader.string();
+          continue;
+        case OPCODE_SLOT_INFO:
+          await reader.length(); // slot
+          await reader.length(); // keys
+          await reader.length(); // keys with an expiry
+          continue;
+        case OPCODE_MODULE_AUX:
+          await reader.length(true); // module id
+          await reader.length(); // when opcode
+          await reader.length(); // when
+          await skipModuleData(reader);
+          continue;
+        case OPCODE_FUNCTION2:
+          await reader.string();
+          yield { db, key: null, unsupported: 'function library' };
+          continue;
+        case OPCODE_FUNCTION_PRE_GA:
+          throw new RdbError('Functions saved by Redis 7.0 release candidates are not supported', reader.position - 1);
+      }
+
+      const key = await reader.string();
+      const value = await readValue(reader, type);
+      yield { db, key, ...value, expireAt };
+      expireAt = null;
+    }
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,371 @@
+import { createReadStream } from 'fs';
+import { registerJobType, globToRegExp } from './jobs.js';
+import { getUpload, claimUpload, releaseUpload, removeUpload } from './uploads.js';
+import { commandName } from './commands.js';
+import { evaluateCommand } from './policy.js';
+
+// Replay of an AOF file or a captured RESP command stream as a background
+// job. Commands are read from the upload one at a time, optionally filtered
+// by name and key pattern, and sent in pipelined batches: as fast as
+// possible, at a fixed rate, or at the pace they were logged at (from the
+// #TS annotations Redis writes into AOF files). SELECTs can be mapped to
+// other databases. Commands the command policy denies and ones that cannot
+// share the job's connection (blocking, subscribing, authenticating) are not
+// sent. The job reports a tally that is kept up to date while it runs:
+//   { read, sent, ok, errors, filtered, denied, skipped,
+//     commands: { [name]: { sent, ok, errors, replies: { string, integer, nil, array }, errorMessages } } }
+// with errorMessages counting each distinct error reply. A dry run reads and
+// filters the file without sending anything.
+
+export const RATES = ['max', 'fixed', 'original'];
+
+const MAX_ERROR_MESSAGES = 5;
+const MAX_WAIT_STEP_MS = 1000;
+// Pipelines per second when replaying at a fixed rate
+const FIXED_RATE_TICKS = 20;
+
+// Commands a replay cannot send on the job's connection
+const SKIPPED_COMMANDS = new Set([
+  'AUTH', 'HELLO', 'QUIT', 'RESET', 'MONITOR', 'SYNC', 'PSYNC',
+  'SUBSCRIBE', 'PSUBSCRIBE', 'SSUBSCRIBE', 'UNSUBSCRIBE', 'PUNSUBSCRIBE', 'SUNSUBSCRIBE',
+  'BLPOP', 'BRPOP', 'BRPOPLPUSH', 'BLMOVE', 'BLMPOP', 'BZPOPMIN', 'BZPOPMAX', 'BZMPOP', 'WAIT', 'WAITAOF',
+  'CLIENT REPLY', 'CLIENT PAUSE',
+]);
+
+// Commands that take no key, so that only the name filter applies to them
+const KEYLESS_COMMANDS = new Set([
+  'SELECT', 'PING', 'ECHO', 'MULTI', 'EXEC', 'DISCARD', 'UNWATCH', 'FLUSHDB', 'FLUSHALL', 'SWAPDB',
+  'DBSIZE', 'INFO', 'TIME', 'LASTSAVE', 'SAVE', 'BGSAVE', 'BGREWRITEAOF', 'RANDOMKEY', 'KEYS', 'SCAN',
+  'PUBLISH', 'SPUBLISH', 'SCRIPT', 'FUNCTION', 'CONFIG', 'CLIENT', 'ACL', 'COMMAND', 'MEMORY', 'LATENCY',
+  'SLOWLOG', 'MODULE', 'CLUSTER', 'PUBSUB', 'OBJECT', 'XINFO',
+]);
+
+// Commands whose keys follow a key count
+const NUMKEYS_COMMANDS = new Set(['EVAL', 'EVALSHA', 'EVAL_RO', 'EVALSHA_RO', 'FCALL', 'FCALL_RO']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function replayError(message) {
+  return Object.assign(new Error(message), { name: 'ReplayError' });
+}
+
+// Parse the command (or #TS annotation) at start: { end, args } or
+// { end, timestamp }, or { need } with the buffer length needed to tell.
+// Lines that are not RESP arrays are taken as inline commands.
+function parseEntry(buffer, start, fileOffset) {
+  const lineEnd = buffer.indexOf('\n', start);
+  if (lineEnd === -1) {
+    return { need: buffer.length + 1 };
+  }
+  const line = buffer.toString('latin1', start, lineEnd).replace(/\r$/, '');
+  if (line.startsWith('#TS:')) {
+    return { end: lineEnd + 1, timestamp: parseInt(line.slice(4)) * 1000 };
+  }
+  if (!line.startsWith('*')) {
+    const args = line.trim().split(/\s+/).filter(Boolean).map(arg => Buffer.from(arg, 'latin1'));
+    return { end: lineEnd + 1, args };
+  }
+
+  const count = parseInt(line.slice(1));
+  if (!(count >= 0)) {
+    throw replayError(`Invalid array header "${line}" at byte ${fileOffset + start}`);
+  }
+  const args = [];
+  let pos = lineEnd + 1;
+  for (let i = 0; i < count; i++) {
+    const headerEnd = buffer.indexOf('\r\n', pos);
+    if (headerEnd === -1) {
+      return { need: buffer.length + 1 };
+    }
+    const length = parseInt(buffer.toString('latin1', pos + 1, headerEnd));
+    if (buffer[pos] !== 0x24 || !(length >= 0)) {
+      throw replayError(`Invalid bulk string header at byte ${fileOffset + pos}`);
+    }
+    const dataStart = headerEnd + 2;
+    if (buffer.length < dataStart + length + 2) {
+      return { need: dataStart + length + 2 };
+    }
+    args.push(buffer.subarray(dataStart, dataStart + length));
+    pos = dataStart + length + 2;
+  }
+  return { end: pos, args };
+}
+
+// Yields { args, timestamp } for each command of the file, with args as
+// Buffers and timestamp the time of the latest #TS annotation (or null)
+async function* readCommands(path) {
+  let buffer = Buffer.alloc(0);
+  let fileOffset = 0;
+  let need = 0;
+  let pending = [];
+  let pendingLength = 0;
+  let timestamp = null;
+
+  for await (const chunk of createReadStream(path)) {
+    // Gather chunks until a large value is complete rather than copying it
+    // over and over
+    pending.push(chunk);
+    pendingLength += chunk.length;
+    if (buffer.length + pendingLength < need) continue;
+    buffer = Buffer.concat([buffer, ...pending]);
+    pending = [];
+    pendingLength = 0;
+
+    let pos = 0;
+    for (;;) {
+      const entry = parseEntry(buffer, pos, fileOffset);
+      if (entry.need) {
+        need = entry.need - pos;
+        break;
+      }
+      pos = entry.end;
+      if (entry.timestamp !== undefined) {
+        timestamp = entry.timestamp;
+      } else if (entry.args.length > 0) {
+        yield { args: entry.args, timestamp };
+      }
+    }
+    buffer = buffer.subarray(pos);
+    fileOffset += pos;
+  }
+
+  // An inline command may end the file without a newline
+  const rest = Buffer.concat([buffer, ...pending, Buffer.from('\n')]);
+  if (rest.toString('latin1').trim()) {
+    if (rest[0] === 0x2a) {
+      throw replayError(`The file ends in the middle of a command (at byte ${fileOffset})`);
+    }
+    const { args } = parseEntry(rest, 0, fileOffset);
+    yield { args, timestamp };
+  }
+}
+
+async function countCommands(path) {
+  let count = 0;
+  const commands = readCommands(path);
+  while (!(await commands.next()).done) count++;
+  return count;
+}
+
+// The key a command acts on, for the key pattern filter, or null
+function commandKey(name, args) {
+  if (NUMKEYS_COMMANDS.has(name)) {
+    return parseInt(args[2]) > 0 ? args[3] : null;
+  }
+  if (KEYLESS_COMMANDS.has(name) || args.length < 2) {
+    return null;
+  }
+  return args[1];
+}
+
+function isBlocking(name, args) {
+  return (name === 'XREAD' || name === 'XREADGROUP')
+    && args.some(arg => arg.length === 5 && arg.toString().toUpperCase() === 'BLOCK');
+}
+
+function createTally() {
+  return { read: 0, sent: 0, ok: 0, errors: 0, filtered: 0, denied: 0, skipped: 0, commands: {} };
+}
+
+function tallyCommand(tally, name) {
+  return tally.commands[name] ??= {
+    sent: 0,
+    ok: 0,
+    errors: 0,
+    replies: { string: 0, integer: 0, nil: 0, array: 0 },
+    errorMessages: {},
+  };
+}
+
+function tallyReply(entry, reply) {
+  if (reply === null) entry.replies.nil++;
+  else if (typeof reply === 'number') entry.replies.integer++;
+  else if (Array.isArray(reply)) entry.replies.array++;
+  else entry.replies.string++;
+}
+
+function tallyError(entry, message) {
+  if (Object.hasOwn(entry.errorMessages, message)) {
+    entry.errorMessages[message]++;
+  } else if (Object.keys(entry.errorMessages).length < MAX_ERROR_MESSAGES) {
+    entry.errorMessages[message] = 1;
+  }
+}
+
+// Wait until the given time, checking for cancellation along the way
+async function waitUntil(time, checkCancelled) {
+  for (let now = Date.now(); now < time; now = Date.now()) {
+    checkCancelled();
+    await sleep(Math.min(MAX_WAIT_STEP_MS, time - now));
+  }
+}
+
+async function run({ redis, params, owner, progress, report, checkCancelled, batchSize }) {
+  const upload = getUpload(params.upload, owner);
+  if (!upload) {
+    throw new Error('The uploaded file has expired; upload it again');
+  }
+  claimUpload(upload);
+  try {
+    progress({ total: await countCommands(upload.path) });
+
+    const tally = createTally();
+    report(tally);
+    const keyPattern = params.pattern ? globToRegExp(params.pattern) : null;
+    const pipelineSize = params.rate === 'fixed'
+      ? Math.max(1, Math.min(batchSize, Math.ceil(params.commandsPerSecond / FIXED_RATE_TICKS)))
+      : batchSize;
+
+    let batch = [];
+    let scanned = 0;
+    let startedAt = null;
+    let firstTimestamp = null;
+    const flush = async () => {
+      checkCancelled();
+      const before = tally.sent;
+      if (batch.length > 0 && !params.dryRun) {
+        const pipeline = redis.pipeline();
+        batch.forEach(({ args: [command, ...args] }) => pipeline.call(command.toString(), ...args));
+        const results = await pipeline.exec();
+        results.forEach(([err, reply], i) => {
+          const entry = tallyCommand(tally, batch[i].name);
+          if (err) {
+            tally.errors++;
+            entry.errors++;
+            tallyError(entry, err.message);
+          } else {
+            tally.ok++;
+            entry.ok++;
+            tallyReply(entry, reply);
+          }
+        });
+      }
+      batch.forEach(({ name }) => {
+        tally.sent++;
+        tallyCommand(tally, name).sent++;
+      });
+      progress({ scanned, affected: tally.sent - before });
+      batch = [];
+      scanned = 0;
+    };
+
+    for await (const { args, timestamp } of readCommands(upload.path)) {
+      tally.read++;
+      scanned++;
+      const head = args.slice(0, 2).map(String);
+      const name = commandName(head);
+      const baseName = head[0].toUpperCase();
+
+      if (baseName === 'SELECT') {
+        // Always replayed, so the commands that follow reach the right database
+        const db = parseInt(head[1]);
+        if (params.dbMap[db] !== undefined) {
+          args[1] = String(params.dbMap[db]);
+        }
+      } else {
+        if ((params.include.length > 0 && !params.include.includes(baseName) && !params.include.includes(name))
+          || params.exclude.includes(baseName) || params.exclude.includes(name)) {
+          tally.filtered++;
+          continue;
+        }
+        const key = keyPattern && commandKey(baseName, args);
+        if (key && !keyPattern.test(key.toString())) {
+          tally.filtered++;
+          continue;
+        }
+        if (SKIPPED_COMMANDS.has(baseName) || SKIPPED_COMMANDS.has(name) || isBlocking(baseName, args)) {
+          tally.skipped++;
+          continue;
+        }
+        if (evaluateCommand(head).action === 'deny') {
+          tally.denied++;
+          continue;
+        }
+      }
+
+      // When the command is due, relative to the first one sent. At a fixed
+      // rate, each pipeline is due in turn.
+      let due = null;
+      startedAt ??= Date.now();
+      if (params.rate === 'fixed' && batch.length === 0) {
+        due = startedAt + tally.sent * 1000 / params.commandsPerSecond;
+      } else if (params.rate === 'original' && timestamp !== null) {
+        firstTimestamp ??= timestamp;
+        due = startedAt + timestamp - firstTimestamp;
+      }
+      if (due !== null && due > Date.now() && !params.dryRun) {
+        await flush();
+        await waitUntil(due, checkCancelled);
+      }
+
+      batch.push({ name, args });
+      if (batch.length >= pipelineSize) {
+        await flush();
+      }
+    }
+    await flush();
+    return tally;
+  } finally {
+    if (params.dryRun) {
+      releaseUpload(upload);
+    } else {
+      await removeUpload(upload);
+    }
+  }
+}
+
+function commandList(value, label) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const names = list.map(name => String(name).trim().split(/\s+/).join(' ').toUpperCase()).filter(Boolean);
+  if (names.length === 0 && list.length > 0) {
+    throw new Error(`${label} must list command names`);
+  }
+  return names;
+}
+
+export function registerReplayJobType() {
+  registerJobType('replay', {
+    label: 'Replay commands',
+    role: 'admin',
+    writes: true,
+    confirm: (params) => params.name,
+    validate: ({
+      upload, include, exclude, pattern = '', dbMap = {}, rate = 'max', commandsPerSecond = 1000, dryRun = false,
+    }, { owner }) => {
+      const file = getUpload(upload, owner);
+      if (!file) {
+        throw new Error('Upload not found; upload the file again');
+      }
+      if (!RATES.includes(rate)) {
+        throw new Error(`rate must be one of ${RATES.join(', ')}`);
+      }
+      const perSecond = Number(commandsPerSecond);
+      if (rate === 'fixed' && !(perSecond > 0)) {
+        throw new Error('commandsPerSecond must be a positive number');
+      }
+      if (!dbMap || typeof dbMap !== 'object' || Array.isArray(dbMap)) {
+        throw new Error('dbMap must map database numbers to database numbers');
+      }
+      const databases = {};
+      for (const [from, to] of Object.entries(dbMap)) {
+        if (!/^\d+$/.test(from) || !Number.isInteger(Number(to)) || Number(to) < 0) {
+          throw new Error(`Invalid database mapping ${from} → ${to}`);
+        }
+        databases[from] = Number(to);
+      }
+      return {
+        upload,
+        name: file.name,
+        include: commandList(include, 'include'),
+        exclude: commandList(exclude, 'exclude'),
+        pattern: String(pattern),
+        dbMap: databases,
+        rate,
+        commandsPerSecond: perSecond,
+        dryRun: Boolean(dryRun),
+      };
+    },
+    run,
+  });
+}
@@ -0,0 +1,88 @@
+import { randomUUID } from 'crypto';
+
+// Browser sessions. Each session owns its own Redis clients (one per
+// connection string, along with the database that client has selected) so
+// that SELECT and other connection state never leaks between tabs or users
+// sharing the dashboard server. Credentials entered at login are kept here,
+// server-side, rather than in the browser. A session belongs to the signed-in
+// dashboard login that created it and is never handed to anyone else.
+// Pub/Sub subscriber connections (see pubsub.js) are kept per session too.
+
+const SESSION_IDLE_MS = parseInt(process.env.SESSION_IDLE_MS) || 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sessions = new Map();
+
+export function createSession(owner) {
+  const session = {
+    id: randomUUID(),
+    owner,
+    clients: new Map(),
+    credentials: new Map(),
+    subscribers: new Map(),
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+// Look up a session by id, issuing a new one when the id is missing, has
+// expired or belongs to another login. Callers should echo session.id back
+// to the browser.
+export function getOrCreateSession(id, owner) {
+  const session = id ? sessions.get(id) : null;
+  if (!session || session.owner !== owner) {
+    return createSession(owner);
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+export function closeSession(session) {
+  for (const { redis } of session.clients.values()) {
+    redis.disconnect();
+  }
+  for (const subscriber of session.subscribers.values()) {
+    for (const socket of subscriber.sockets) {
+      socket.close(1001, 'Session closed');
+    }
+    subscriber.redis.disconnect();
+  }
+  session.clients.clear();
+  session.credentials.clear();
+  session.subscribers.clear();
+  sessions.delete(session.id);
+}
+
+// Close every session created under a dashboard login (on sign-out)
+export function closeSessionsOwnedBy(owner) {
+  for (const session of [...sessions.values()]) {
+    if (session.owner === owner) {
+      closeSession(session);
+    }
+  }
+}
+
+export function closeAllSessions() {
+  for (const session of [...sessions.values()]) {
+    closeSession(session);
+  }
+}
+
+function hasOpenSockets(session) {
+  return [...session.subscribers.values()].some(subscriber => subscriber.sockets.size > 0);
+}
+
+// Close sessions that have not made a request within the idle timeout and
+// are not streaming Pub/Sub messages to an open page
+function closeIdleSessions() {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const session of [...sessions.values()]) {
+    if (session.lastSeen < cutoff && !hasOpenSockets(session)) {
+      closeSession(session);
+    }
+  }
+}
+
+setInterval(closeIdleSessions, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,90 @@
+import { randomUUID } from 'crypto';
+import { createWriteStream, mkdirSync, rmSync } from 'fs';
+import { unlink } from 'fs/promises';
+import { join } from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { DATA_DIR } from './auth.js';
+
+// Files uploaded for background jobs to read (dumps to import and the like).
+// The request body is streamed straight to the uploads directory, so a file
+// never has to fit in memory. Uploads belong to the dashboard user who sent
+// them and are deleted once a job has used them, or after UPLOAD_TTL_MS if no
+// job has started reading them.
+
+export const UPLOADS_DIR = join(DATA_DIR, 'uploads');
+
+const UPLOAD_MAX_BYTES = parseInt(process.env.DASHBOARD_UPLOAD_MAX_BYTES) || 1024 * 1024 * 1024;
+const UPLOAD_TTL_MS = 60 * 60 * 1000;
+
+// id -> { id, owner, name, size, path, createdAt, claimed }
+const uploads = new Map();
+
+// Leftovers from a previous run can never be claimed
+rmSync(UPLOADS_DIR, { recursive: true, force: true });
+
+function uploadError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Stream a request body to a new upload
+export async function saveUpload(req, owner, name) {
+  const declared = parseInt(req.headers['content-length']);
+  if (declared > UPLOAD_MAX_BYTES) {
+    throw uploadError(413, `Uploads are limited to ${UPLOAD_MAX_BYTES} bytes`);
+  }
+
+  mkdirSync(UPLOADS_DIR, { recursive: true, mode: 0o700 });
+  const upload = { id: randomUUID(), owner, name: name || 'upload', size: 0, createdAt: Date.now(), claimed: false };
+  upload.path = join(UPLOADS_DIR, upload.id);
+
+  // Counts the bytes written, since Content-Length may be missing or wrong
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      upload.size += chunk.length;
+      callback(upload.size > UPLOAD_MAX_BYTES ? uploadError(413, `Uploads are limited to ${UPLOAD_MAX_BYTES} bytes`) : null, chunk);
+    },
+  });
+  try {
+    await pipeline(req, limit, createWriteStream(upload.path, { mode: 0o600 }));
+  } catch (err) {
+    await unlink(upload.path).catch(() => {});
+    throw err;
+  }
+
+  uploads.set(upload.id, upload);
+  return upload;
+}
+
+// An upload of the given user, or null
+export function getUpload(id, owner) {
+  const upload = uploads.get(id);
+  return upload && upload.owner === owner ? upload : null;
+}
+
+// Mark an upload as being read by a job, so it is not expired underneath it
+export function claimUpload(upload) {
+  upload.claimed = true;
+}
+
+// Hand an upload back after a job has only previewed it, to be read again
+export function releaseUpload(upload) {
+  upload.claimed = false;
+  upload.createdAt = Date.now();
+}
+
+export async function removeUpload(upload) {
+  uploads.delete(upload.id);
+  await unlink(upload.path).catch(() => {});
+}
+
+function removeExpiredUploads() {
+  const cutoff = Date.now() - UPLOAD_TTL_MS;
+  for (const upload of uploads.values()) {
+    if (!upload.claimed && upload.createdAt < cutoff) {
+      removeUpload(upload);
+    }
+  }
+}
+
+setInterval(removeExpiredUploads, 60 * 1000).unref();
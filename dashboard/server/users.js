@@ -0,0 +1,113 @@
+import { randomBytes } from 'crypto';
+import { createInterface } from 'readline';
+import { hashPassword, hashToken, loadAccounts, saveAccounts, ROLES, USERS_FILE } from './auth.js';
+
+// Manage dashboard accounts and API tokens in the users file.
+//
+//   npm run users -- list
+//   npm run users -- add <username> [password] [--role=viewer|operator|admin]
+//   npm run users -- passwd <username> [password]
+//   npm run users -- role <username> <viewer|operator|admin>
+//   npm run users -- remove <username>
+//   npm run users -- token-add <name> [--role=viewer|operator|admin]
+//   npm run users -- token-remove <name>
+//
+// When the password is omitted it is read from stdin. New users and tokens
+// get the viewer role unless --role is given.
+
+function readPassword() {
+  return new Promise((resolve) => {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password: ', (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}" (expected ${ROLES.join(', ')})`);
+  }
+  return role;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const roleFlag = args.find((arg) => arg.startsWith('--role='));
+  const [command, name, value] = args.filter((arg) => arg !== roleFlag);
+  const role = checkRole(roleFlag ? roleFlag.slice('--role='.length) : 'viewer');
+
+  const accounts = loadAccounts();
+  const { users, tokens } = accounts;
+  const existing = users.find((u) => u.username === name);
+  const existingToken = tokens.find((t) => t.name === name);
+
+  switch (command) {
+    case 'list':
+      for (const user of users) {
+        console.log(`${user.username}\t${user.role || 'viewer'}`);
+      }
+      for (const token of tokens) {
+        console.log(`${token.name}\t${token.role || 'viewer'}\t(token)`);
+      }
+      return;
+
+    case 'add':
+    case 'passwd': {
+      if (!name) throw new Error(`Usage: users ${command} <username> [password]`);
+      if (command === 'add' && existing) throw new Error(`User "${name}" already exists`);
+      if (command === 'passwd' && !existing) throw new Error(`User "${name}" does not exist`);
+      const password = value || await readPassword();
+      if (!password) throw new Error('Password must not be empty');
+      const passwordHash = await hashPassword(password);
+      if (existing) {
+        existing.passwordHash = passwordHash;
+      } else {
+        users.push({ username: name, passwordHash, role });
+      }
+      saveAccounts(accounts);
+      console.log(`${command === 'add' ? `Added ${role}` : 'Updated'} user "${name}" in ${USERS_FILE}`);
+      return;
+    }
+
+    case 'role':
+      if (!existing) throw new Error(`User "${name}" does not exist`);
+      existing.role = checkRole(value);
+      saveAccounts(accounts);
+      console.log(`User "${name}" is now ${value}`);
+      return;
+
+    case 'remove':
+      if (!existing) throw new Error(`User "${name}" does not exist`);
+      saveAccounts({ users: users.filter((u) => u !== existing), tokens });
+      console.log(`Removed user "${name}" from ${USERS_FILE}`);
+      return;
+
+    case 'token-add': {
+      if (!name) throw new Error('Usage: users token-add <name> [--role=viewer|operator|admin]');
+      if (existingToken) throw new Error(`Token "${name}" already exists`);
+      // Only the digest is stored, so the token is shown this one time
+      const token = randomBytes(32).toString('base64url');
+      tokens.push({ name, tokenHash: hashToken(token), role });
+      saveAccounts(accounts);
+      console.log(`Added ${role} token "${name}". Send it as "Authorization: Bearer <token>":`);
+      console.log(token);
+      return;
+    }
+
+    case 'token-remove':
+      if (!existingToken) throw new Error(`Token "${name}" does not exist`);
+      saveAccounts({ users, tokens: tokens.filter((t) => t !== existingToken) });
+      console.log(`Removed token "${name}" from ${USERS_FILE}`);
+      return;
+
+    default:
+      throw new Error('Usage: users <list|add|passwd|role|remove|token-add|token-remove> [name] [value] [--role=...]');
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
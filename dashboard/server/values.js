@@ -0,0 +1,398 @@
+// Readers for each Redis data type, shared by the per-type routes, the
+// export and key copies, and the matching writer used by the import and key
+// copies. Values come back in the structured form the API uses: strings as
+// text, hashes as { field: value }, lists and sets as arrays, sorted sets as
+// [{ member, score }], streams as [{ id, fields }] and RedisJSON documents
+// parsed.
+
+import { globToRegExp } from './jobs.js';
+import { encodeBytes } from './encoding.js';
+
+const STREAM_PAGE_SIZE = 1000;
+// Collection items per write command, so huge values don't become huge commands
+const CHUNK_SIZE = 500;
+
+// TYPE reports RedisJSON documents under the module's type name
+export function normalizeType(type) {
+  return type === 'ReJSON-RL' ? 'json' : type;
+}
+
+export function readString(redis, key) {
+  return redis.get(key);
+}
+
+export function readHash(redis, key) {
+  return redis.hgetall(key);
+}
+
+export function readList(redis, key, start = 0, stop = -1) {
+  return redis.lrange(key, start, stop);
+}
+
+export function readSet(redis, key) {
+  return redis.smembers(key);
+}
+
+// A sorted set score as Redis replies with it (or stores it in a snapshot):
+// a number, or inf, +inf or -inf, which parseFloat() would make NaN
+export function parseScore(score) {
+  const text = Buffer.isBuffer(score) ? score.toString() : String(score);
+  switch (text.toLowerCase()) {
+    case 'inf':
+    case '+inf':
+      return Infinity;
+    case '-inf':
+      return -Infinity;
+    default:
+      return parseFloat(text);
+  }
+}
+
+export async function readSortedSet(redis, key, start = 0, stop = -1) {
+  const result = await redis.zrange(key, start, stop, 'WITHSCORES');
+  const members = [];
+  for (let i = 0; i < result.length; i += 2) {
+    members.push({ member: result[i], score: parseScore(result[i + 1]) });
+  }
+  return members;
+}
+
+export async function readStream(redis, key, start = '-', end = '+', count = null) {
+  const args = count ? ['COUNT', count] : [];
+  const result = await redis.xrange(key, start, end, ...args);
+  return result.map(([id, fields]) => {
+    const fieldObj = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      fieldObj[fields[i]] = fields[i + 1];
+    }
+    return { id, fields: fieldObj };
+  });
+}
+
+export async function readJson(redis, key, path = '.') {
+  const result = await redis.call('JSON.GET', key, path);
+  return result ? JSON.parse(result) : null;
+}
+
+// A stream read as bytes, with entry fields as [field, value] pairs
+async function readStreamBytes(redis, key, start, end, count) {
+  const result = await redis.xrangeBuffer(key, start, end, 'COUNT', count);
+  return result.map(([id, fields]) => ({ id: id.toString(), fields: toPairs(fields) }));
+}
+
+// Every entry of a stream, read a page at a time
+async function readWholeStream(redis, key, read = readStream) {
+  const entries = [];
+  let start = '-';
+  for (;;) {
+    const page = await read(redis, key, start, '+', STREAM_PAGE_SIZE);
+    // Each page after the first starts with the last entry of the previous one
+    const fresh = start === '-' ? page : page.slice(1);
+    entries.push(...fresh);
+    if (page.length < STREAM_PAGE_SIZE || fresh.length === 0) {
+      return entries;
+    }
+    start = page[page.length - 1].id;
+  }
+}
+
+const VALUE_READERS = {
+  string: readString,
+  hash: readHash,
+  list: readList,
+  set: readSet,
+  zset: readSortedSet,
+  stream: readWholeStream,
+  json: readJson,
+};
+
+// The same as bytes: strings, list elements, set and sorted set members as
+// Buffers, hash and stream entry fields as [field, value] pairs of Buffers,
+// since object keys would have to be (lossy) text
+const BINARY_READERS = {
+  string: (redis, key) => redis.getBuffer(key),
+  hash: async (redis, key) => toPairs(await redis.callBuffer('HGETALL', key)),
+  list: (redis, key) => redis.lrangeBuffer(key, 0, -1),
+  set: (redis, key) => redis.smembersBuffer(key),
+  zset: async (redis, key) => toPairs(await redis.zrangeBuffer(key, 0, -1, 'WITHSCORES'))
+    .map(([member, score]) => ({ member, score: parseScore(score) })),
+  stream: (redis, key) => readWholeStream(redis, key, readStreamBytes),
+  json: readJson,
+};
+
+// Read a whole key: { type, ttl, value }, with ttl in seconds or null when
+// the key does not expire. Returns null when the key no longer exists and
+// throws for types there is no reader for. With binary, the value is read as
+// bytes (see BINARY_READERS), which writeCommands() takes back unchanged, so
+// that copies keep values that are not valid UTF-8.
+export async function readKey(redis, key, { binary = false } = {}) {
+  const [[, rawType], [, ttl]] = await redis.pipeline().type(key).ttl(key).exec();
+  const type = normalizeType(rawType);
+  if (type === 'none') {
+    return null;
+  }
+  const reader = (binary ? BINARY_READERS : VALUE_READERS)[type];
+  if (!reader) {
+    throw Object.assign(new Error(`Unsupported type ${type}`), { type });
+  }
+  return { type, ttl: ttl >= 0 ? ttl : null, value: await reader(redis, key) };
+}
+
+// Pages of collection values, for browsing keys too big to read whole.
+// readPage(redis, key, type, { cursor, count, match }) returns
+// { cursor, items, total }: about count items from cursor on ('0' to start
+// from the beginning; the cursor returned is '0' once the value has been read
+// in full), as hash { field, value }, list { index, value }, set { member } or
+// sorted set { member, score }, and the total number of elements. Fields,
+// members and list elements are read as bytes and come as text, or as base64
+// when they are not valid UTF-8, which an item notes in its encodings
+// ({ member: 'base64' }). match is a glob on fields, members or list
+// elements. Hashes and sets are read with
+// HSCAN / SSCAN, falling back to reading the value whole and paging through
+// it on servers without them; lists and sorted sets by index, in windows
+// (sorted sets by ZSCAN when matching, so they need not be read through).
+export const MAX_PAGE_SIZE = 1000;
+// Windows of a list or sorted set read in one request looking for matches
+const MAX_WINDOWS = 10;
+
+const isUnknownCommand = (err) => /unknown command/i.test(err.message);
+
+function toPairs(flat) {
+  const pairs = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    pairs.push([flat[i], flat[i + 1]]);
+  }
+  return pairs;
+}
+
+// A page of an array read whole; the cursor is the offset into the matches
+function pageOf(items, { cursor, count, matcher }, text) {
+  const matching = matcher ? items.filter(item => matcher.test(text(item))) : items;
+  const offset = parseInt(cursor) || 0;
+  const next = offset + count;
+  return { cursor: next < matching.length ? String(next) : '0', items: matching.slice(offset, next) };
+}
+
+// A page read by index with read(start, stop), a window of count at a time
+// until count matches turn up; the cursor is the index to go on from
+async function readWindows(read, { cursor, count, matcher }, text) {
+  let offset = parseInt(cursor) || 0;
+  const items = [];
+  for (let windows = 0; windows < (matcher ? MAX_WINDOWS : 1) && items.length < count; windows++) {
+    const window = await read(offset, offset + count - 1);
+    items.push(...(matcher ? window.filter(item => matcher.test(text(item))) : window));
+    offset += window.length;
+    if (window.length < count) {
+      return { cursor: '0', items };
+    }
+  }
+  return { cursor: String(offset), items };
+}
+
+// Scan a collection with HSCAN, SSCAN or ZSCAN (their Buffer-returning
+// forms); null when the server has no such command
+async function scanPage(redis, command, key, { cursor, count, match }) {
+  try {
+    const [next, flat] = await redis[command](key, cursor, ...(match ? ['MATCH', match] : []), 'COUNT', count);
+    return { cursor: next.toString(), flat };
+  } catch (err) {
+    if (isUnknownCommand(err)) return null;
+    throw err;
+  }
+}
+
+const toMembers = flat => toPairs(flat).map(([member, score]) => ({ member, score: parseScore(score) }));
+
+// Page readers, whose items hold Buffers until encodeItem() turns them into
+// text
+const PAGE_READERS = {
+  hash: async (redis, key, options) => {
+    const page = await scanPage(redis, 'hscanBuffer', key, options);
+    if (page) {
+      return { cursor: page.cursor, items: toPairs(page.flat).map(([field, value]) => ({ field, value })) };
+    }
+    const items = toPairs(await redis.callBuffer('HGETALL', key)).map(([field, value]) => ({ field, value }));
+    return pageOf(items, options, item => item.field.toString());
+  },
+  set: async (redis, key, options) => {
+    const page = await scanPage(redis, 'sscanBuffer', key, options);
+    if (page) {
+      return { cursor: page.cursor, items: page.flat.map(member => ({ member })) };
+    }
+    return pageOf((await redis.smembersBuffer(key)).map(member => ({ member })), options, item => item.member.toString());
+  },
+  zset: async (redis, key, options) => {
+    const page = options.match ? await scanPage(redis, 'zscanBuffer', key, options) : null;
+    if (page) {
+      return { cursor: page.cursor, items: toMembers(page.flat) };
+    }
+    return readWindows(
+      async (start, stop) => toMembers(await redis.zrangeBuffer(key, start, stop, 'WITHSCORES')),
+      options,
+      item => item.member.toString(),
+    );
+  },
+  list: (redis, key, options) => readWindows(
+    async (start, stop) => (await redis.lrangeBuffer(key, start, stop)).map((value, i) => ({ index: start + i, value })),
+    options,
+    item => item.value.toString(),
+  ),
+};
+
+// An item with its Buffers as text (see encodeBytes), and the parts that are
+// not valid UTF-8 listed in encodings
+function encodeItem(item) {
+  const encoded = {};
+  const encodings = {};
+  for (const [name, part] of Object.entries(item)) {
+    if (!Buffer.isBuffer(part)) {
+      encoded[name] = part;
+      continue;
+    }
+    const { value, encoding } = encodeBytes(part);
+    encoded[name] = value;
+    if (encoding !== 'utf8') {
+      encodings[name] = encoding;
+    }
+  }
+  return Object.keys(encodings).length > 0 ? { ...encoded, encodings } : encoded;
+}
+
+const TOTAL_COMMANDS = { hash: 'hlen', list: 'llen', set: 'scard', zset: 'zcard' };
+
+export async function readPage(redis, key, type, { cursor = '0', count = 100, match = '' } = {}) {
+  const options = {
+    cursor: String(cursor),
+    count: Math.min(Math.max(1, count), MAX_PAGE_SIZE),
+    match: match && match !== '*' ? match : null,
+  };
+  options.matcher = options.match ? globToRegExp(options.match) : null;
+  const [page, total] = await Promise.all([
+    PAGE_READERS[type](redis, key, options),
+    redis[TOTAL_COMMANDS[type]](key),
+  ]);
+  return { cursor: page.cursor, items: page.items.map(encodeItem), total };
+}
+
+// The command counting the elements of each type: string length, hash
+// fields, list, set or sorted set members, stream entries
+const LENGTH_COMMANDS = {
+  string: 'strlen',
+  hash: 'hlen',
+  list: 'llen',
+  set: 'scard',
+  zset: 'zcard',
+  stream: 'xlen',
+};
+
+// Type, TTL, element count and MEMORY USAGE of each key, in two pipelined
+// round trips: TYPE, TTL and MEMORY USAGE first, then the one length command
+// matching each key's type. Returns { key: { type, ttl, length, memory } }
+// with ttl in seconds, and null where a key does not expire, has no length
+// (RedisJSON) or the server does not support MEMORY USAGE. Keys that do not
+// exist are left out. samples is passed on to MEMORY USAGE: how many elements
+// of a collection it measures to estimate the whole (0 for all of them).
+// names are what to list each key under, for keys given as Buffers.
+export async function readMetadata(redis, keys, { samples = null, names = keys } = {}) {
+  const memoryArgs = samples === null ? [] : ['SAMPLES', samples];
+  const pipeline = redis.pipeline();
+  for (const key of keys) {
+    pipeline.type(key).ttl(key).call('MEMORY', 'USAGE', key, ...memoryArgs);
+  }
+  const replies = await pipeline.exec();
+  const types = keys.map((key, i) => normalizeType(replies[i * 3][1]));
+
+  // Only keys with a length to read; a key that changed type in between
+  // fails with WRONGTYPE and is listed without a length
+  const measured = keys.flatMap((key, i) => (LENGTH_COMMANDS[types[i]] ? [i] : []));
+  const lengthPipeline = redis.pipeline();
+  measured.forEach(i => lengthPipeline[LENGTH_COMMANDS[types[i]]](keys[i]));
+  const lengthReplies = measured.length > 0 ? await lengthPipeline.exec() : [];
+  const lengths = new Map(measured.map((keyIndex, i) => [keyIndex, lengthReplies[i]]));
+
+  const metadata = {};
+  names.forEach((name, i) => {
+    if (types[i] === 'none') return;
+    const [, ttl] = replies[i * 3 + 1];
+    const [memoryError, memory] = replies[i * 3 + 2];
+    const length = lengths.get(i);
+    metadata[name] = {
+      type: types[i],
+      ttl: ttl >= 0 ? ttl : null,
+      length: length && !length[0] ? length[1] : null,
+      memory: memoryError ? null : memory,
+    };
+  });
+  return metadata;
+}
+
+function chunk(items, size = CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function expectArray(value, type) {
+  if (!Array.isArray(value)) {
+    throw new Error(`A ${type} value must be an array`);
+  }
+  return value;
+}
+
+// Fields of a hash or stream entry as [field, value] pairs. Dumps hold them
+// as objects; RDB snapshots as pairs, which keep binary field names intact.
+function fieldPairs(fields) {
+  return Array.isArray(fields) ? fields : Object.entries(fields || {});
+}
+
+// A score as ZADD takes it: infinite ones (as numbers or as dumps write them)
+// as +inf or -inf
+export function formatScore(score) {
+  const number = parseScore(score);
+  if (number === Infinity) return '+inf';
+  if (number === -Infinity) return '-inf';
+  return score;
+}
+
+// Commands ([name, ...args]) that recreate a value read by readKey() (or
+// imported from a dump) under the given key. Large collections are split
+// over several commands. Streams may come with consumer groups to create.
+export function writeCommands(key, { type, value, groups = [] }) {
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+        throw new Error('A string value must be a string');
+      }
+      return [['SET', key, value]];
+    case 'hash': {
+      if (!value || typeof value !== 'object') {
+        throw new Error('A hash value must be an object');
+      }
+      const fields = fieldPairs(value);
+      // Fields of an RDB snapshot may carry their own expiry time
+      const expiring = fields.filter(([, , expireAt]) => expireAt);
+      return [
+        ...chunk(fields).map(items => ['HSET', key, ...items.flatMap(([field, fieldValue]) => [field, fieldValue])]),
+        ...expiring.map(([field, , expireAt]) => ['HPEXPIREAT', key, expireAt, 'FIELDS', 1, field]),
+      ];
+    }
+    case 'list':
+      return chunk(expectArray(value, type)).map(items => ['RPUSH', key, ...items]);
+    case 'set':
+      return chunk(expectArray(value, type)).map(members => ['SADD', key, ...members]);
+    case 'zset':
+      return chunk(expectArray(value, type)).map(members =>
+        ['ZADD', key, ...members.flatMap(({ member, score }) => [formatScore(score), member])]);
+    case 'stream':
+      return [
+        ...expectArray(value, type).map(({ id, fields }) => ['XADD', key, id, ...fieldPairs(fields).flat()]),
+        ...groups.map(({ name, lastId }) => ['XGROUP', 'CREATE', key, name, lastId, 'MKSTREAM']),
+      ];
+    case 'json':
+      return [['JSON.SET', key, '.', JSON.stringify(value)]];
+    default:
+      throw new Error(`Unsupported type ${type}`);
+  }
+}
@@ -1,5 +1,6 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { useApp } from './context/AppContext';
+import { hasRole } from './utils/api';
 import ErrorBoundary from './components/ErrorBoundary';
 import Login from './views/Login';
 import Dashboard from './views/Dashboard';
@@ -7,10 +8,23 @@ import Overview from './views/Overview';
 import Databases from './views/Databases';
 import Keys from './views/Keys';
 import Clients from './views/Clients';
+import PubSub from './views/PubSub';
+import Jobs from './views/Jobs';
+import Compare from './views/Compare';
+import Memory from './views/Memory';
 import Console from './views/Console';
+import Audit from './views/Audit';
 
 export default function App() {
-  const { isConnected } = useApp();
+  const { isConnected, authChecked, user } = useApp();
+
+  if (!authChecked) {
+    return (
+      <div className="dashboard-loading">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
 
   return (
     <ErrorBoundary>
@@ -24,7 +38,22 @@ export default function App() {
           <Route path="databases" element={<ErrorBoundary><Databases /></ErrorBoundary>} />
           <Route path="keys" element={<ErrorBoundary><Keys /></ErrorBoundary>} />
           <Route path="clients" element={<ErrorBoundary><Clients /></ErrorBoundary>} />
-          <Route path="console" element={<ErrorBoundary><Console /></ErrorBoundary>} />
+          <Route path="pubsub" element={<ErrorBoundary><PubSub /></ErrorBoundary>} />
+          <Route path="jobs" element={<ErrorBoundary><Jobs /></ErrorBoundary>} />
+          <Route path="compare" element={<ErrorBoundary><Compare /></ErrorBoundary>} />
+          <Route path="memory" element={<ErrorBoundary><Memory /></ErrorBoundary>} />
+          <Route
+            path="console"
+            element={hasRole(user, 'admin')
+              ? <ErrorBoundary><Console /></ErrorBoundary>
+              : <Navigate to="/overview" replace />}
+          />
+          <Route
+            path="audit"
+            element={hasRole(user, 'admin')
+              ? <ErrorBoundary><Audit /></ErrorBoundary>
+              : <Navigate to="/overview" replace />}
+          />
         </Route>
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
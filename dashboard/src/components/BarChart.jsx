@@ -0,0 +1,28 @@
+import './BarChart.css';
+
+// Horizontal bars, one per item ({ label, value, detail }), scaled to the
+// largest value. format renders each value; detail is shown after it.
+export default function BarChart({ items, format = (value) => value.toLocaleString() }) {
+  const max = Math.max(0, ...items.map((item) => item.value));
+
+  if (items.length === 0) {
+    return <div className="bar-chart-empty">Nothing to show</div>;
+  }
+
+  return (
+    <div className="bar-chart">
+      {items.map((item) => (
+        <div key={item.label} className="bar-chart-row">
+          <span className="bar-chart-label mono truncate" title={item.label}>{item.label}</span>
+          <span className="bar-chart-track">
+            <span className="bar-chart-bar" style={{ width: `${max > 0 ? (item.value / max) * 100 : 0}%` }}></span>
+          </span>
+          <span className="bar-chart-value">
+            {format(item.value)}
+            {item.detail && <span className="bar-chart-detail"> {item.detail}</span>}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+// Flags a key or value that is not valid UTF-8, shown with its unprintable
+// bytes escaped (see utils/binary.js)
+export default function BinaryBadge() {
+  return (
+    <span className="type-badge binary-badge" title="Not valid UTF-8; unprintable bytes are shown as \xNN">
+      binary
+    </span>
+  );
+}
@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import Modal from './Modal';
+import JobProgress from './JobProgress';
+import './BulkActionModal.css';
+
+const ACTIONS = {
+  'bulk-delete': { label: 'Delete', button: 'Delete Keys', verb: 'deleted' },
+  'bulk-expire': { label: 'Set TTL', button: 'Set TTL', verb: 'given a TTL' },
+  'bulk-persist': { label: 'Remove TTL', button: 'Remove TTL', verb: 'made persistent' },
+};
+
+const KEY_TYPES = ['string', 'hash', 'list', 'set', 'zset', 'stream'];
+
+function KeySample({ sample, matched }) {
+  if (sample.length === 0) return null;
+  return (
+    <ul className="bulk-sample mono">
+      {sample.map((key) => (
+        <li key={key} className="truncate" title={key}>{key}</li>
+      ))}
+      {matched > sample.length && <li className="bulk-sample-more">and {(matched - sample.length).toLocaleString()} more</li>}
+    </ul>
+  );
+}
+
+// Delete, expire or persist every key matching a pattern. The operation is
+// first run as a dry-run job to preview what matches; the real job has to be
+// confirmed by typing the pattern, and its report is shown when it finishes.
+export default function BulkActionModal({ isOpen, onClose, initialPattern = '*', onFinished }) {
+  const { api, selectedDb } = useApp();
+  const [action, setAction] = useState('bulk-delete');
+  const [pattern, setPattern] = useState(initialPattern);
+  const [type, setType] = useState('');
+  const [seconds, setSeconds] = useState('3600');
+  const [previewId, setPreviewId] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [challenge, setChallenge] = useState(null);
+  const [confirmText, setConfirmText] = useState('');
+  const [error, setError] = useState(null);
+  const { job: preview } = useJob(previewId);
+  const { job: run } = useJob(runId);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPattern(initialPattern);
+      setPreviewId(null);
+      setRunId(null);
+      setChallenge(null);
+      setError(null);
+    }
+  }, [isOpen, initialPattern]);
+
+  useEffect(() => {
+    if (run && !isJobActive(run)) {
+      onFinished?.();
+    }
+  }, [run, onFinished]);
+
+  const params = {
+    pattern,
+    type,
+    ...(action === 'bulk-expire' ? { seconds: parseInt(seconds) } : {}),
+  };
+
+  const editParams = (update) => {
+    update();
+    setPreviewId(null);
+    setChallenge(null);
+  };
+
+  const startJob = async (jobParams, confirmation) => {
+    setError(null);
+    try {
+      const data = await api.startJob(action, jobParams, { confirmation });
+      return data.job.id;
+    } catch (err) {
+      if (err.data?.code === 'CONFIRMATION_REQUIRED') {
+        setConfirmText('');
+        setChallenge(err.data.confirmation);
+      } else {
+        setError(err?.message || String(err) || 'An error occurred');
+      }
+      return null;
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setPreviewId(await startJob({ ...params, dryRun: true }));
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const { token } = challenge;
+    setChallenge(null);
+    setRunId(await startJob(params, { token, phrase: confirmText }));
+  };
+
+  const previewDone = preview?.status === 'completed';
+  const { label, button, verb } = ACTIONS[action];
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Bulk Key Action" wide>
+      {runId ? (
+        <div className="bulk-run">
+          {run ? (
+            <JobProgress job={run} onCancel={(id) => api.cancelJob(id)}>
+              {run.result && (
+                <div className="bulk-report">
+                  <p>
+                    <strong>{run.result.changed.toLocaleString()}</strong> of{' '}
+                    {run.result.matched.toLocaleString()} matching keys {verb}
+                    {run.result.unchanged > 0 && <>, {run.result.unchanged.toLocaleString()} unchanged</>}
+                    {run.result.failed > 0 && <>, <span className="text-danger">{run.result.failed.toLocaleString()} failed</span></>}
+                  </p>
+                  {run.result.errors.length > 0 && (
+                    <ul className="bulk-errors mono">
+                      {run.result.errors.map(({ key, error: message }, index) => (
+                        <li key={index}>{key}: {message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </JobProgress>
+          ) : (
+            <div className="loading">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              {run && isJobActive(run) ? 'Run in Background' : 'Close'}
+            </button>
+          </div>
+        </div>
+      ) : challenge ? (
+        <form onSubmit={handleConfirm}>
+          <p className="bulk-text">
+            {label} on every key matching <code className="mono">{pattern}</code> in db{selectedDb}
+            {preview?.result && <> ({preview.result.matched.toLocaleString()} keys at the time of the preview)</>}.
+            This cannot be undone.
+          </p>
+          <div className="form-group">
+            <label className="form-label">
+              Type <strong className="mono">{challenge.phrase}</strong> to confirm
+            </label>
+            <input
+              type="text"
+              className="input mono"
+              value={confirmText}
+              onChange={(e) => setConfirmText(e.target.value)}
+              autoComplete="off"
+              spellCheck="false"
+              autoFocus
+            />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={() => setChallenge(null)}>
+              Back
+            </button>
+            <button type="submit" className="btn btn-danger" disabled={confirmText !== challenge.phrase}>
+              {button}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handlePreview}>
+          <div className="bulk-fields">
+            <div className="form-group">
+              <label className="form-label">Action</label>
+              <select className="select" value={action} onChange={(e) => editParams(() => setAction(e.target.value))}>
+                {Object.entries(ACTIONS).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group bulk-pattern">
+              <label className="form-label">Pattern</label>
+              <input
+                type="text"
+                className="input mono"
+                value={pattern}
+                onChange={(e) => editParams(() => setPattern(e.target.value))}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Type</label>
+              <select className="select" value={type} onChange={(e) => editParams(() => setType(e.target.value))}>
+                <option value="">All types</option>
+                {KEY_TYPES.map((t) => (
+                  <option key={t} value={t}>{t}</option>
+                ))}
+              </select>
+            </div>
+            {action === 'bulk-expire' && (
+              <div className="form-group">
+                <label className="form-label">TTL (seconds)</label>
+                <input
+                  type="number"
+                  className="input"
+                  min="1"
+                  value={seconds}
+                  onChange={(e) => editParams(() => setSeconds(e.target.value))}
+                  required
+                />
+              </div>
+            )}
+          </div>
+
+          {error && <div className="bulk-error">{error}</div>}
+
+          {preview && (
+            <JobProgress job={preview} onCancel={(id) => api.cancelJob(id)}>
+              {previewDone && (
+                <div className="bulk-report">
+                  <p>
+                    <strong>{preview.result.matched.toLocaleString()}</strong> keys in db{selectedDb} match
+                  </p>
+                  <KeySample sample={preview.result.sample} matched={preview.result.matched} />
+                </div>
+              )}
+            </JobProgress>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-secondary" disabled={preview && isJobActive(preview)}>
+              {preview ? 'Preview Again' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger"
+              disabled={!previewDone || preview.result.matched === 0}
+              onClick={() => startJob(params)}
+            >
+              {button}…
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+}
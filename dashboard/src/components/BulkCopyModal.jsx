@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { DEFAULT_COPY_FIELDS } from '../utils/api';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import Modal from './Modal';
+import JobProgress from './JobProgress';
+import CopyTargetFields from './CopyTargetFields';
+import './BulkActionModal.css';
+
+const KEY_TYPES = ['string', 'hash', 'list', 'set', 'zset', 'stream'];
+
+function describeTarget(target) {
+  return `db${target.db}${target.connection ? ` on ${target.connection}` : ''}`;
+}
+
+// Copy or move every key matching a pattern to another database, on this
+// server or another one. As with the other bulk actions, a dry run previews
+// what matches (and how many keys the target already has), and the real job
+// has to be confirmed by typing the pattern.
+export default function BulkCopyModal({ isOpen, onClose, initialPattern = '*', canMove, onFinished }) {
+  const { api, selectedDb } = useApp();
+  const [pattern, setPattern] = useState(initialPattern);
+  const [type, setType] = useState('');
+  const [fields, setFields] = useState(DEFAULT_COPY_FIELDS);
+  const [target, setTarget] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [challenge, setChallenge] = useState(null);
+  const [confirmText, setConfirmText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { job: preview } = useJob(previewId);
+  const { job: run } = useJob(runId);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPattern(initialPattern);
+      setPreviewId(null);
+      setRunId(null);
+      setChallenge(null);
+      setError(null);
+    }
+  }, [isOpen, initialPattern]);
+
+  useEffect(() => {
+    if (run && !isJobActive(run)) {
+      onFinished?.();
+    }
+  }, [run, onFinished]);
+
+  const move = canMove && fields.move;
+  const buildParams = (resolved) => ({ pattern, type, target: resolved, conflict: fields.conflict, move });
+
+  const editParams = (update) => {
+    update();
+    setPreviewId(null);
+    setChallenge(null);
+  };
+
+  const startJob = async (jobParams, confirmation) => {
+    setError(null);
+    try {
+      const data = await api.startJob('copy-keys', jobParams, { confirmation });
+      return data.job.id;
+    } catch (err) {
+      if (err.data?.code === 'CONFIRMATION_REQUIRED') {
+        setConfirmText('');
+        setChallenge(err.data.confirmation);
+      } else {
+        setError(err?.message || String(err) || 'An error occurred');
+      }
+      return null;
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const resolved = await api.resolveCopyTarget(fields);
+      setTarget(resolved);
+      setPreviewId(await startJob({ ...buildParams(resolved), dryRun: true }));
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const { token } = challenge;
+    setChallenge(null);
+    setRunId(await startJob(buildParams(target), { token, phrase: confirmText }));
+  };
+
+  const previewDone = preview?.status === 'completed';
+  const verb = move ? 'Move' : 'Copy';
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Copy or Move Keys" wide>
+      {runId ? (
+        <div className="bulk-run">
+          {run ? (
+            <JobProgress job={run} onCancel={(id) => api.cancelJob(id)}>
+              {run.result && (
+                <div className="bulk-report">
+                  <p>
+                    <strong>{(run.result.copied + run.result.overwritten).toLocaleString()}</strong> of{' '}
+                    {run.result.matched.toLocaleString()} matching keys copied to {describeTarget(target)}
+                    {run.result.overwritten > 0 && <> ({run.result.overwritten.toLocaleString()} overwritten)</>}
+                    {run.result.moved > 0 && <>, {run.result.moved.toLocaleString()} moved</>}
+                    {run.result.skipped > 0 && <>, {run.result.skipped.toLocaleString()} skipped as they exist</>}
+                    {run.result.failed > 0 && <>, <span className="text-danger">{run.result.failed.toLocaleString()} failed</span></>}
+                  </p>
+                  {run.result.errors.length > 0 && (
+                    <ul className="bulk-errors mono">
+                      {run.result.errors.map(({ key, error: message }, index) => (
+                        <li key={index}>{key}: {message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </JobProgress>
+          ) : (
+            <div className="loading">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              {run && isJobActive(run) ? 'Run in Background' : 'Close'}
+            </button>
+          </div>
+        </div>
+      ) : challenge ? (
+        <form onSubmit={handleConfirm}>
+          <p className="bulk-text">
+            {verb} every key matching <code className="mono">{pattern}</code> in db{selectedDb} to {describeTarget(target)}
+            {preview?.result && <> ({preview.result.matched.toLocaleString()} keys at the time of the preview)</>}
+            {fields.conflict === 'overwrite' && ', overwriting the keys it already has'}.
+            This cannot be undone.
+          </p>
+          <div className="form-group">
+            <label className="form-label">
+              Type <strong className="mono">{challenge.phrase}</strong> to confirm
+            </label>
+            <input
+              type="text"
+              className="input mono"
+              value={confirmText}
+              onChange={(e) => setConfirmText(e.target.value)}
+              autoComplete="off"
+              spellCheck="false"
+              autoFocus
+            />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={() => setChallenge(null)}>
+              Back
+            </button>
+            <button type="submit" className="btn btn-danger" disabled={confirmText !== challenge.phrase}>
+              {verb} Keys
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handlePreview}>
+          <div className="bulk-fields">
+            <div className="form-group bulk-pattern">
+              <label className="form-label">Pattern</label>
+              <input
+                type="text"
+                className="input mono"
+                value={pattern}
+                onChange={(e) => editParams(() => setPattern(e.target.value))}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Type</label>
+              <select className="select" value={type} onChange={(e) => editParams(() => setType(e.target.value))}>
+                <option value="">All types</option>
+                {KEY_TYPES.map((t) => (
+                  <option key={t} value={t}>{t}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <CopyTargetFields fields={fields} onChange={(next) => editParams(() => setFields(next))} canMove={canMove} />
+
+          {error && <div className="bulk-error">{error}</div>}
+
+          {preview && (
+            <JobProgress job={preview} onCancel={(id) => api.cancelJob(id)}>
+              {previewDone && (
+                <div className="bulk-report">
+                  <p>
+                    <strong>{preview.result.matched.toLocaleString()}</strong> keys in db{selectedDb} match
+                    {preview.result.conflicts > 0 && (
+                      <>
+                        ; {preview.result.conflicts.toLocaleString()} of them exist in {describeTarget(target)} and will be{' '}
+                        {fields.conflict === 'overwrite' ? 'overwritten' : 'skipped'}
+                      </>
+                    )}
+                  </p>
+                  {preview.result.sample.length > 0 && (
+                    <ul className="bulk-sample mono">
+                      {preview.result.sample.map((key) => (
+                        <li key={key} className="truncate" title={key}>{key}</li>
+                      ))}
+                      {preview.result.matched > preview.result.sample.length && (
+                        <li className="bulk-sample-more">
+                          and {(preview.result.matched - preview.result.sample.length).toLocaleString()} more
+                        </li>
+                      )}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </JobProgress>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-secondary" disabled={busy || (preview && isJobActive(preview))}>
+              {preview ? 'Preview Again' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger"
+              disabled={!previewDone || preview.result.matched === 0}
+              onClick={() => startJob(buildParams(target))}
+            >
+              {verb} Keys…
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { DEFAULT_COPY_FIELDS, displayKey, isBinaryKey, keyRef } from '../utils/api';
+import Modal from './Modal';
+import CopyTargetFields from './CopyTargetFields';
+import './BulkActionModal.css';
+
+const OUTCOMES = {
+  copied: 'Copied',
+  overwritten: 'Copied over the existing key',
+  skipped: 'Skipped: the target key already exists',
+};
+
+// Copy or move one key to another database, on this server or another one.
+// onMoved is called when the modal is closed after the key was moved away.
+// A binary key keeps its name unless another is typed, as it cannot be
+// edited as text.
+export default function CopyKeyModal({ isOpen, onClose, keyName, canMove, onMoved }) {
+  const { api, selectedDb } = useApp();
+  const binary = isBinaryKey(keyName);
+  const [fields, setFields] = useState(DEFAULT_COPY_FIELDS);
+  const [targetKey, setTargetKey] = useState(binary ? '' : keyRef(keyName).key);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [moved, setMoved] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTargetKey(binary ? '' : keyRef(keyName).key);
+      setError(null);
+      setOutcome(null);
+      setMoved(false);
+    }
+  }, [isOpen, keyName, binary]);
+
+  const handleClose = () => {
+    onClose();
+    if (moved) onMoved?.();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    setOutcome(null);
+    try {
+      const target = await api.resolveCopyTarget(fields);
+      const move = canMove && fields.move;
+      const result = await api.copyKey(keyName, target, { targetKey: targetKey || null, conflict: fields.conflict, move });
+      setOutcome(result.outcome);
+      setMoved(move && result.outcome !== 'skipped');
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Copy Key" wide>
+      <form onSubmit={handleSubmit}>
+        <p className="bulk-text">
+          Copy <code className="mono">{displayKey(keyName)}</code> from db{selectedDb} with its value and TTL.
+        </p>
+
+        <CopyTargetFields fields={fields} onChange={setFields} canMove={canMove} />
+
+        <div className="form-group">
+          <label className="form-label">Key name on the target</label>
+          <input
+            type="text"
+            className="input mono"
+            value={targetKey}
+            onChange={(e) => setTargetKey(e.target.value)}
+            placeholder={binary ? 'The same as the source key' : undefined}
+            required={!binary}
+          />
+        </div>
+
+        {error && <div className="bulk-error">{error}</div>}
+        {outcome && (
+          <div className="bulk-report">
+            {OUTCOMES[outcome]}
+            {moved && ', and the source key was deleted'}.
+          </div>
+        )}
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={handleClose}>
+            {outcome ? 'Close' : 'Cancel'}
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={busy || moved || (!targetKey && !binary)}>
+            {busy ? 'Copying…' : canMove && fields.move ? 'Move' : 'Copy'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,74 @@
+// Where a copy goes and what it does with keys the target already has. The
+// fields start as DEFAULT_COPY_FIELDS; api.resolveCopyTarget() turns them
+// into the target the server expects. targetOnly leaves out what to do with
+// the keys, for forms that only need a database (comparisons).
+export default function CopyTargetFields({ fields, onChange, canMove = true, targetOnly = false, label = 'Copy to' }) {
+  const set = (name) => (e) => onChange({
+    ...fields,
+    [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+  });
+
+  return (
+    <>
+      <div className="bulk-fields">
+        <div className="form-group">
+          <label className="form-label">{label}</label>
+          <select
+            className="select"
+            value={fields.otherServer ? 'server' : 'db'}
+            onChange={(e) => onChange({ ...fields, otherServer: e.target.value === 'server' })}
+          >
+            <option value="db">Another database on this server</option>
+            <option value="server">Another server</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Database</label>
+          <input type="number" className="input" min="0" value={fields.db} onChange={set('db')} required />
+        </div>
+        {!targetOnly && (
+          <div className="form-group">
+            <label className="form-label">If the key exists</label>
+            <select className="select" value={fields.conflict} onChange={set('conflict')}>
+              <option value="skip">Skip it</option>
+              <option value="overwrite">Overwrite it</option>
+            </select>
+          </div>
+        )}
+      </div>
+
+      {fields.otherServer && (
+        <div className="bulk-fields">
+          <div className="form-group bulk-pattern">
+            <label className="form-label">Connection</label>
+            <input
+              type="text"
+              className="input mono"
+              placeholder="redis://host:6379"
+              value={fields.connection}
+              onChange={set('connection')}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Username</label>
+            <input type="text" className="input" value={fields.username} onChange={set('username')} autoComplete="off" />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Password</label>
+            <input type="password" className="input" value={fields.password} onChange={set('password')} autoComplete="new-password" />
+          </div>
+        </div>
+      )}
+
+      {canMove && !targetOnly && (
+        <div className="form-group">
+          <label className="bulk-checkbox">
+            <input type="checkbox" checked={fields.move} onChange={set('move')} />
+            Move: delete the source key once its copy has been verified
+          </label>
+        </div>
+      )}
+    </>
+  );
+}
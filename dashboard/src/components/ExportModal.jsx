@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import Modal from './Modal';
+
+const KEY_TYPES = ['string', 'hash', 'list', 'set', 'zset', 'stream', 'json'];
+
+// Export keys matching a pattern, with their types, TTLs and values. The
+// server streams the file, so the browser downloads it through a plain link
+// rather than holding it in memory.
+export default function ExportModal({ isOpen, onClose, initialPattern = '*' }) {
+  const { api, selectedDb } = useApp();
+  const [pattern, setPattern] = useState(initialPattern);
+  const [type, setType] = useState('');
+  const [format, setFormat] = useState('ndjson');
+
+  useEffect(() => {
+    if (isOpen) {
+      setPattern(initialPattern);
+    }
+  }, [isOpen, initialPattern]);
+
+  const handleExport = (e) => {
+    e.preventDefault();
+    const link = document.createElement('a');
+    link.href = api.exportUrl({ pattern: pattern || '*', type, format });
+    link.click();
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Export Keys from DB${selectedDb}`}>
+      <form onSubmit={handleExport}>
+        <div className="form-group">
+          <label className="form-label">Pattern</label>
+          <input
+            type="text"
+            className="input mono"
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            autoFocus
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Type</label>
+          <select className="select" value={type} onChange={(e) => setType(e.target.value)}>
+            <option value="">All types</option>
+            {KEY_TYPES.map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Format</label>
+          <select className="select" value={format} onChange={(e) => setFormat(e.target.value)}>
+            <option value="ndjson">NDJSON (one key per line)</option>
+            <option value="json">JSON array</option>
+          </select>
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary">
+            Download
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import { formatBytes } from '../utils/api';
+import Modal from './Modal';
+import JobProgress from './JobProgress';
+import './BulkActionModal.css';
+
+const CONFLICT_MODES = {
+  skip: 'Skip keys that already exist',
+  overwrite: 'Overwrite existing keys',
+  rename: 'Import under a new name (key + suffix)',
+};
+
+// Recreate keys from a JSON or NDJSON dump, as written by the export, or from
+// an RDB snapshot. The file is uploaded first and then imported by a
+// background job, whose report lists every record that could not be written
+// and the RDB values there is no way to replay.
+export default function ImportModal({ isOpen, onClose, onFinished }) {
+  const { api, selectedDb } = useApp();
+  const [file, setFile] = useState(null);
+  const [conflict, setConflict] = useState('skip');
+  const [suffix, setSuffix] = useState(':imported');
+  const [prefixFrom, setPrefixFrom] = useState('');
+  const [prefixTo, setPrefixTo] = useState('');
+  const [databases, setDatabases] = useState('preserve');
+  const [uploading, setUploading] = useState(false);
+  const [jobId, setJobId] = useState(null);
+  const [error, setError] = useState(null);
+  const { job } = useJob(jobId);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFile(null);
+      setJobId(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (job && !isJobActive(job)) {
+      onFinished?.();
+    }
+  }, [job, onFinished]);
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setUploading(true);
+    setError(null);
+    try {
+      const { upload } = await api.uploadFile(file);
+      const data = await api.startJob('import', {
+        upload: upload.id,
+        conflict,
+        suffix,
+        prefix: { from: prefixFrom, to: prefixTo },
+        databases,
+      });
+      setJobId(data.job.id);
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const report = job?.result;
+  const unsupported = Object.entries(report?.unsupported || {});
+  const isRdb = file?.name.toLowerCase().endsWith('.rdb');
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Import Keys into DB${selectedDb}`} wide>
+      {jobId ? (
+        <div>
+          {job ? (
+            <JobProgress job={job} onCancel={(id) => api.cancelJob(id)}>
+              {report && (
+                <div className="bulk-report">
+                  <p>
+                    <strong>{report.imported.toLocaleString()}</strong> keys imported
+                    {report.overwritten > 0 && <>, {report.overwritten.toLocaleString()} overwritten</>}
+                    {report.renamed > 0 && <>, {report.renamed.toLocaleString()} renamed</>}
+                    {report.skipped > 0 && <>, {report.skipped.toLocaleString()} skipped as existing</>}
+                    {report.expired > 0 && <>, {report.expired.toLocaleString()} already expired</>}
+                    {report.failed > 0 && <>, <span className="text-danger">{report.failed.toLocaleString()} failed</span></>}
+                  </p>
+                  {unsupported.length > 0 && (
+                    <>
+                      <p className="bulk-text">Not imported because they cannot be replayed:</p>
+                      <ul className="bulk-errors">
+                        {unsupported.map(([description, { count, keys }]) => (
+                          <li key={description}>
+                            {description}: {count.toLocaleString()}
+                            {keys.length > 0 && <span className="mono"> ({keys.join(', ')}{count > keys.length && ', …'})</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                  {report.errors.length > 0 && (
+                    <ul className="bulk-errors mono">
+                      {report.errors.map(({ line, key, error: message }, index) => (
+                        <li key={index}>
+                          {line !== null ? <>Line {line}{key !== null && <> ({key})</>}</> : key}: {message}
+                        </li>
+                      ))}
+                      {report.failed > report.errors.length && (
+                        <li>and {(report.failed - report.errors.length).toLocaleString()} more</li>
+                      )}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </JobProgress>
+          ) : (
+            <div className="loading">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              {job && isJobActive(job) ? 'Run in Background' : 'Close'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleImport}>
+          <div className="form-group">
+            <label className="form-label">Dump file (JSON, NDJSON or RDB snapshot)</label>
+            <input
+              type="file"
+              className="input"
+              accept=".json,.ndjson,.jsonl,.rdb,application/json,application/x-ndjson"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              required
+            />
+            {file && <span className="bulk-text">{formatBytes(file.size)}</span>}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">When a key already exists</label>
+            <select className="select" value={conflict} onChange={(e) => setConflict(e.target.value)}>
+              {Object.entries(CONFLICT_MODES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {isRdb && (
+            <div className="form-group">
+              <label className="form-label">Databases</label>
+              <select className="select" value={databases} onChange={(e) => setDatabases(e.target.value)}>
+                <option value="preserve">Restore each key to the database it was saved from</option>
+                <option value="selected">Import every database into DB{selectedDb}</option>
+              </select>
+            </div>
+          )}
+
+          {conflict === 'rename' && (
+            <div className="form-group">
+              <label className="form-label">Suffix</label>
+              <input
+                type="text"
+                className="input mono"
+                value={suffix}
+                onChange={(e) => setSuffix(e.target.value)}
+                required
+              />
+            </div>
+          )}
+
+          <div className="bulk-fields">
+            <div className="form-group">
+              <label className="form-label">Replace key prefix</label>
+              <input
+                type="text"
+                className="input mono"
+                placeholder="prod:"
+                value={prefixFrom}
+                onChange={(e) => setPrefixFrom(e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">With</label>
+              <input
+                type="text"
+                className="input mono"
+                placeholder="dev:"
+                value={prefixTo}
+                onChange={(e) => setPrefixTo(e.target.value)}
+              />
+            </div>
+          </div>
+
+          {error && <div className="bulk-error">{error}</div>}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={!file || uploading}>
+              {uploading ? 'Uploading…' : 'Import'}
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,67 @@
+import { formatNumber, formatUptime, formatDate } from '../utils/api';
+import { isJobActive } from '../hooks/useJobs';
+import './JobProgress.css';
+
+const STATUS_CLASSES = {
+  completed: 'status-connected',
+  failed: 'status-disconnected',
+  cancelled: 'job-status-cancelled',
+};
+
+// One background job: status, progress bar (keys scanned out of the
+// database size), keys affected and ETA, with cancel / remove buttons
+export default function JobProgress({ job, onCancel, onRemove, children }) {
+  const { scanned, total, affected } = job.progress;
+  const percent = job.status === 'completed' ? 100 : total > 0 ? Math.min(100, (scanned / total) * 100) : 0;
+  const active = isJobActive(job);
+
+  return (
+    <div className="job-progress">
+      <div className="job-header">
+        <div className="job-title">
+          <span className="job-label">{job.label}</span>
+          <span className={`status-badge ${STATUS_CLASSES[job.status] || 'job-status-active'}`}>
+            {job.status}
+          </span>
+        </div>
+        <div className="job-actions">
+          {active && onCancel && (
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={() => onCancel(job.id)}
+              disabled={job.status === 'cancelling'}
+            >
+              Cancel
+            </button>
+          )}
+          {!active && onRemove && (
+            <button className="btn btn-secondary btn-sm" onClick={() => onRemove(job.id)}>
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="job-meta mono">
+        {job.connection} · db{job.db}
+        {job.params?.pattern && <> · {job.params.pattern}</>}
+        <span className="job-started">{formatDate(job.createdAt)}</span>
+      </div>
+
+      <div className="job-bar">
+        <div className={`job-bar-fill job-bar-${job.status}`} style={{ width: `${percent}%` }}></div>
+      </div>
+
+      <div className="job-stats">
+        <span>{formatNumber(scanned)} / {formatNumber(total)} keys scanned</span>
+        <span>{formatNumber(affected)} affected</span>
+        {job.eta !== null && job.eta !== undefined && (
+          <span>~{formatUptime(Math.ceil(job.eta / 1000))} left</span>
+        )}
+      </div>
+
+      {job.error && <div className="job-error">{job.error}</div>}
+      {children}
+    </div>
+  );
+}
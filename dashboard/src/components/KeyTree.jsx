@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import { getTypeColor, escapeGlob, keyId, displayKey, isBinaryKey } from '../utils/api';
+import BinaryBadge from './BinaryBadge';
+import './KeyTree.css';
+
+const EMPTY_LEVEL = { folders: [], keys: [], cursor: '0' };
+
+// Add a further slice of a level to what was listed of it so far
+function mergeLevel(level, slice) {
+  const folders = new Map(level.folders.map((folder) => [folder.name, folder]));
+  for (const folder of slice.folders) {
+    const known = folders.get(folder.name);
+    if (!known) {
+      folders.set(folder.name, folder);
+      continue;
+    }
+    const types = { ...known.types };
+    Object.entries(folder.types).forEach(([type, count]) => {
+      types[type] = (types[type] || 0) + count;
+    });
+    folders.set(folder.name, { ...known, count: known.count + folder.count, types });
+  }
+  const keys = new Map(level.keys.map((entry) => [keyId(entry), entry]));
+  slice.keys.forEach((entry) => keys.set(keyId(entry), entry));
+  return {
+    folders: [...folders.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    keys: [...keys.values()].sort((a, b) => displayKey(a).localeCompare(displayKey(b))),
+    cursor: slice.cursor,
+  };
+}
+
+function TypeBreakdown({ types }) {
+  return (
+    <span className="key-tree-types">
+      {Object.entries(types).sort(([, a], [, b]) => b - a).map(([type, count]) => (
+        <span key={type} className={`type-badge ${getTypeColor(type)}`}>
+          {type} {count.toLocaleString()}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+// A namespace folder. Its counts come from the listing of its parent, which
+// may be partial; Count runs a count-keys job over the namespace for exact
+// figures.
+function FolderNode({ folder, partial, depth, ...props }) {
+  const { api } = useApp();
+  const { canEdit, onFolderAction } = props;
+  const [expanded, setExpanded] = useState(false);
+  const [countJobId, setCountJobId] = useState(null);
+  const [countError, setCountError] = useState(null);
+  const { job: countJob } = useJob(countJobId);
+  const pattern = `${escapeGlob(folder.prefix)}*`;
+
+  const handleCount = async () => {
+    setCountError(null);
+    try {
+      const data = await api.startJob('count-keys', { pattern });
+      setCountJobId(data.job.id);
+    } catch (err) {
+      setCountError(err?.message || String(err) || 'An error occurred');
+    }
+  };
+
+  const counted = countJob?.status === 'completed' ? countJob.result.byType : null;
+  const types = counted || folder.types;
+  const count = counted ? Object.values(counted).reduce((sum, n) => sum + n, 0) : folder.count;
+
+  return (
+    <li>
+      <div className="key-tree-row key-tree-folder" style={{ paddingLeft: depth * 16 }}>
+        <button type="button" className="key-tree-toggle" onClick={() => setExpanded(!expanded)}>
+          {expanded ? '▾' : '▸'} <span className="mono">{folder.name}{props.delimiter}</span>
+        </button>
+        <span className="key-tree-count" title={counted ? 'Counted' : partial ? 'Counted so far' : 'Keys listed'}>
+          {count.toLocaleString()}{!counted && partial ? '+' : ''} keys
+        </span>
+        <TypeBreakdown types={types} />
+        <span className="key-tree-actions">
+          {countError && <span className="text-danger">{countError}</span>}
+          <button
+            type="button"
+            className="btn btn-sm btn-secondary"
+            onClick={handleCount}
+            disabled={isJobActive(countJob)}
+          >
+            {isJobActive(countJob) ? 'Counting…' : 'Count'}
+          </button>
+          <button type="button" className="btn btn-sm btn-secondary" onClick={() => onFolderAction('export', pattern)}>
+            Export
+          </button>
+          {canEdit && (
+            <button type="button" className="btn btn-sm btn-danger" onClick={() => onFolderAction('delete', pattern)}>
+              Delete
+            </button>
+          )}
+        </span>
+      </div>
+      {expanded && <Level prefix={folder.prefix} depth={depth + 1} {...props} />}
+    </li>
+  );
+}
+
+// The folders and keys under a prefix, listed when it is first shown
+function Level({ prefix, depth, delimiter, selectedKey, onSelectKey, ...props }) {
+  const { api } = useApp();
+  const [level, setLevel] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (current) => {
+    if (!api) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const slice = await api.getNamespace(prefix, delimiter, current?.cursor ?? '0');
+      setLevel(mergeLevel(current || EMPTY_LEVEL, slice));
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, prefix, delimiter]);
+
+  useEffect(() => {
+    load(null);
+  }, [load]);
+
+  const partial = level !== null && level.cursor !== '0';
+
+  return (
+    <ul className="key-tree-level">
+      {level?.folders.map((folder) => (
+        <FolderNode
+          key={folder.name}
+          folder={folder}
+          partial={partial}
+          depth={depth}
+          delimiter={delimiter}
+          selectedKey={selectedKey}
+          onSelectKey={onSelectKey}
+          {...props}
+        />
+      ))}
+      {level?.keys.map(({ key, encoding, type }) => {
+        const name = displayKey({ key, encoding });
+        return (
+          <li key={keyId({ key, encoding })}>
+            <div
+              className={`key-tree-row key-tree-key ${selectedKey === keyId({ key, encoding }) ? 'selected' : ''}`}
+              style={{ paddingLeft: depth * 16 + 18 }}
+              onClick={() => onSelectKey({ key, encoding }, type)}
+            >
+              <span className={`type-badge ${getTypeColor(type)}`}>{type}</span>
+              <span className="mono truncate" title={name}>
+                {(name.startsWith(prefix) && name.slice(prefix.length)) || name}
+              </span>
+              {isBinaryKey({ key, encoding }) && <BinaryBadge />}
+            </div>
+          </li>
+        );
+      })}
+      {level && level.folders.length === 0 && level.keys.length === 0 && !partial && (
+        <li className="key-tree-row key-tree-note" style={{ paddingLeft: depth * 16 + 18 }}>No keys</li>
+      )}
+      {(loading || partial || error) && (
+        <li className="key-tree-row key-tree-note" style={{ paddingLeft: depth * 16 + 18 }}>
+          {loading ? (
+            'Scanning…'
+          ) : error ? (
+            <span className="text-danger">{error}</span>
+          ) : (
+            <>
+              Only part of this namespace has been scanned.{' '}
+              <button type="button" className="btn btn-sm btn-secondary" onClick={() => load(level)}>
+                Scan more
+              </button>
+            </>
+          )}
+        </li>
+      )}
+    </ul>
+  );
+}
+
+// The keys of the selected database as a tree of namespaces split on
+// delimiter, each level listed lazily when its folder is expanded. Keys are
+// { key, encoding } as the API lists them; selectedKey is the keyId() of the
+// selected one. Folder
+// actions: onFolderAction('export' | 'delete', pattern) for the pattern
+// matching every key in the folder.
+export default function KeyTree({ delimiter, selectedKey, onSelectKey, canEdit, onFolderAction }) {
+  return (
+    <div className="key-tree">
+      <Level
+        prefix=""
+        depth={0}
+        delimiter={delimiter}
+        selectedKey={selectedKey}
+        onSelectKey={onSelectKey}
+        canEdit={canEdit}
+        onFolderAction={onFolderAction}
+      />
+    </div>
+  );
+}
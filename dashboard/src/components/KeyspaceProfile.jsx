@@ -0,0 +1,153 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useApp } from '../context/AppContext';
+import { formatNumber } from '../utils/api';
+import BarChart from './BarChart';
+import './KeyspaceProfile.css';
+
+const TTL_LABELS = {
+  none: 'No TTL',
+  minute: '< 1 minute',
+  hour: '< 1 hour',
+  day: '< 1 day',
+  longer: '1 day or more',
+};
+
+const SAMPLE_SIZES = [1000, 10000, 50000, 100000];
+
+function percent(count, total) {
+  return total > 0 ? `${((count / total) * 100).toFixed(1)}%` : '0%';
+}
+
+// Keyspace profile of one database, from a sample of its keys taken with
+// SCAN: the share of each type, how TTLs are spread, keys expiring within
+// the next minutes and the most common prefixes. Profiled when opened and
+// again on demand.
+export default function KeyspaceProfile({ db, onClose }) {
+  const { api } = useApp();
+  const [sample, setSample] = useState(10000);
+  const [horizon, setHorizon] = useState('60');
+  const [delimiter, setDelimiter] = useState(':');
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const panel = useRef(null);
+
+  const load = useCallback(async (options) => {
+    if (!api) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setProfile(await api.getKeyspaceProfile(db, options));
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, db]);
+
+  // Profile with the default settings when a database is opened, and bring
+  // the panel into view as it sits above the database cards
+  useEffect(() => {
+    setProfile(null);
+    load({ sample: 10000, horizon: 60, delimiter: ':' });
+    panel.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [load]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    load({ sample, horizon: parseInt(horizon) || 0, delimiter });
+  };
+
+  return (
+    <div className="card keyspace-profile" ref={panel}>
+      <div className="card-header">
+        <h3 className="card-title">Keyspace profile of DB{db}</h3>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <form className="keyspace-profile-form" onSubmit={handleSubmit}>
+        <label className="form-label">
+          Sample
+          <select className="select" value={sample} onChange={(e) => setSample(parseInt(e.target.value))}>
+            {SAMPLE_SIZES.map((size) => (
+              <option key={size} value={size}>{size.toLocaleString()} keys</option>
+            ))}
+          </select>
+        </label>
+        <label className="form-label">
+          Expiring within (minutes)
+          <input type="number" className="input" min="0" value={horizon} onChange={(e) => setHorizon(e.target.value)} />
+        </label>
+        <label className="form-label">
+          Prefix delimiter
+          <input type="text" className="input mono" value={delimiter} onChange={(e) => setDelimiter(e.target.value)} />
+        </label>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={loading}>
+          {loading ? 'Sampling…' : 'Profile'}
+        </button>
+      </form>
+
+      {error && <div className="text-danger">{error}</div>}
+
+      {profile && (
+        <>
+          <div className="keyspace-profile-stats">
+            <div className="summary-card">
+              <div className="summary-value">{formatNumber(profile.sampled)}</div>
+              <div className="summary-label">
+                {profile.complete ? 'keys, the whole database' : `keys sampled of ${formatNumber(profile.total)}`}
+              </div>
+            </div>
+            <div className="summary-card">
+              <div className="summary-value">{percent(profile.ttl.none, profile.sampled)}</div>
+              <div className="summary-label">without a TTL</div>
+            </div>
+            <div className="summary-card">
+              <div className="summary-value">{formatNumber(profile.expiringSoon)}</div>
+              <div className="summary-label">
+                expiring within {profile.horizon} minutes ({percent(profile.expiringSoon, profile.sampled)})
+              </div>
+            </div>
+            <div className="summary-card">
+              <div className="summary-value">{formatNumber(profile.prefixCount)}</div>
+              <div className="summary-label">prefixes</div>
+            </div>
+          </div>
+
+          <div className="keyspace-profile-charts">
+            <div>
+              <h4 className="keyspace-profile-title">Types</h4>
+              <BarChart
+                items={Object.entries(profile.byType)
+                  .sort(([, a], [, b]) => b - a)
+                  .map(([type, count]) => ({ label: type, value: count, detail: percent(count, profile.sampled) }))}
+              />
+            </div>
+            <div>
+              <h4 className="keyspace-profile-title">TTLs</h4>
+              <BarChart
+                items={Object.entries(TTL_LABELS).map(([bucket, label]) => ({
+                  label,
+                  value: profile.ttl[bucket],
+                  detail: percent(profile.ttl[bucket], profile.sampled),
+                }))}
+              />
+            </div>
+            <div>
+              <h4 className="keyspace-profile-title">Top prefixes</h4>
+              <BarChart
+                items={profile.prefixes.map(({ prefix, keys, noTtl }) => ({
+                  label: prefix || '(no prefix)',
+                  value: keys,
+                  detail: `${percent(keys, profile.sampled)}${noTtl > 0 ? `, ${noTtl.toLocaleString()} without TTL` : ''}`,
+                }))}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import './LiveIndicator.css';
+
+const STATUS_LABELS = {
+  connecting: 'Connecting',
+  live: 'Live',
+  paused: 'Paused',
+  error: 'Error',
+};
+
+function formatInterval(ms) {
+  return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+// Status of a live metrics stream with pause/resume and interval controls
+export default function LiveIndicator({ metrics }) {
+  const { status, error, updatedAt, paused, setPaused, interval, changeInterval, choices } = metrics;
+  const options = interval && !choices.includes(interval) ? [interval, ...choices] : choices;
+
+  return (
+    <div className="live-indicator">
+      <span
+        className={`live-status live-status-${status}`}
+        title={error || (updatedAt ? `Updated ${new Date(updatedAt).toLocaleTimeString()}` : undefined)}
+      >
+        <span className="live-dot"></span>
+        {STATUS_LABELS[status]}
+      </span>
+      {options.length > 0 && (
+        <select
+          className="select live-interval"
+          value={interval || ''}
+          onChange={(e) => changeInterval(parseInt(e.target.value))}
+          title="Refresh interval"
+        >
+          {options.map((ms) => (
+            <option key={ms} value={ms}>
+              Every {formatInterval(ms)}
+            </option>
+          ))}
+        </select>
+      )}
+      <button className="btn btn-secondary btn-sm" onClick={() => setPaused(!paused)}>
+        {paused ? 'Resume' : 'Pause'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import { formatBytes } from '../utils/api';
+import Modal from './Modal';
+import JobProgress from './JobProgress';
+import ReplayTally from './ReplayTally';
+import './BulkActionModal.css';
+
+const RATES = {
+  max: 'As fast as possible',
+  fixed: 'At a fixed rate',
+  original: 'At the original pace (AOF timestamps)',
+};
+
+// "0=3, 1=4" -> { 0: 3, 1: 4 }
+function parseDbMap(text) {
+  const map = {};
+  for (const pair of text.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const match = pair.match(/^(\d+)\s*(?:=|->|→)\s*(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid database mapping "${pair}" (expected e.g. 0=3)`);
+    }
+    map[match[1]] = parseInt(match[2]);
+  }
+  return map;
+}
+
+// Replay an AOF file or captured RESP command stream against the connected
+// server. The file is uploaded once and previewed with a dry run, which
+// counts what the filters let through; the replay itself has to be
+// confirmed by typing the file name, and shows a per-command tally of
+// replies and errors as it runs.
+export default function ReplayModal({ isOpen, onClose }) {
+  const { api, selectedDb } = useApp();
+  const [file, setFile] = useState(null);
+  const [uploadId, setUploadId] = useState(null);
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [pattern, setPattern] = useState('');
+  const [dbMap, setDbMap] = useState('');
+  const [rate, setRate] = useState('max');
+  const [commandsPerSecond, setCommandsPerSecond] = useState('1000');
+  const [previewId, setPreviewId] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [challenge, setChallenge] = useState(null);
+  const [confirmText, setConfirmText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { job: preview } = useJob(previewId);
+  const { job: run } = useJob(runId);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFile(null);
+      setUploadId(null);
+      setPreviewId(null);
+      setRunId(null);
+      setChallenge(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const editParams = (update) => {
+    update();
+    setPreviewId(null);
+    setChallenge(null);
+  };
+
+  const buildParams = (upload) => ({
+    upload,
+    include,
+    exclude,
+    pattern,
+    dbMap: parseDbMap(dbMap),
+    rate,
+    commandsPerSecond: parseInt(commandsPerSecond),
+  });
+
+  const startJob = async (jobParams, confirmation) => {
+    try {
+      const data = await api.startJob('replay', jobParams, { confirmation });
+      return data.job.id;
+    } catch (err) {
+      if (err.data?.code === 'CONFIRMATION_REQUIRED') {
+        setConfirmText('');
+        setChallenge(err.data.confirmation);
+      } else {
+        setError(err?.message || String(err) || 'An error occurred');
+      }
+      return null;
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const params = buildParams(uploadId);
+      let upload = uploadId;
+      if (!upload) {
+        upload = (await api.uploadFile(file)).upload.id;
+        setUploadId(upload);
+      }
+      setPreviewId(await startJob({ ...params, upload, dryRun: true }));
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReplay = () => {
+    setError(null);
+    startJob(buildParams(uploadId));
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const { token } = challenge;
+    setChallenge(null);
+    setRunId(await startJob(buildParams(uploadId), { token, phrase: confirmText }));
+  };
+
+  const previewDone = preview?.status === 'completed';
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Replay Command Log" wide>
+      {runId ? (
+        <div className="bulk-run">
+          {run ? (
+            <JobProgress job={run} onCancel={(id) => api.cancelJob(id)}>
+              {run.result && <ReplayTally tally={run.result} />}
+            </JobProgress>
+          ) : (
+            <div className="loading">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              {run && isJobActive(run) ? 'Run in Background' : 'Close'}
+            </button>
+          </div>
+        </div>
+      ) : challenge ? (
+        <form onSubmit={handleConfirm}>
+          <p className="bulk-text">
+            Replay the commands of <code className="mono">{file?.name}</code> against db{selectedDb}
+            {preview?.result && <> ({preview.result.sent.toLocaleString()} commands at the time of the preview)</>}.
+            This cannot be undone.
+          </p>
+          <div className="form-group">
+            <label className="form-label">
+              Type <strong className="mono">{challenge.phrase}</strong> to confirm
+            </label>
+            <input
+              type="text"
+              className="input mono"
+              value={confirmText}
+              onChange={(e) => setConfirmText(e.target.value)}
+              autoComplete="off"
+              spellCheck="false"
+              autoFocus
+            />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={() => setChallenge(null)}>
+              Back
+            </button>
+            <button type="submit" className="btn btn-danger" disabled={confirmText !== challenge.phrase}>
+              Replay
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handlePreview}>
+          <div className="form-group">
+            <label className="form-label">AOF file or RESP capture</label>
+            <input
+              type="file"
+              className="input"
+              onChange={(e) => editParams(() => {
+                setFile(e.target.files[0] || null);
+                setUploadId(null);
+              })}
+              required
+            />
+            {file && <span className="bulk-text">{formatBytes(file.size)}</span>}
+          </div>
+
+          <div className="bulk-fields">
+            <div className="form-group">
+              <label className="form-label">Only commands</label>
+              <input
+                type="text"
+                className="input mono"
+                placeholder="SET, HSET (all)"
+                value={include}
+                onChange={(e) => editParams(() => setInclude(e.target.value))}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Except commands</label>
+              <input
+                type="text"
+                className="input mono"
+                placeholder="FLUSHALL, DEL"
+                value={exclude}
+                onChange={(e) => editParams(() => setExclude(e.target.value))}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Key pattern</label>
+              <input
+                type="text"
+                className="input mono"
+                placeholder="user:* (all)"
+                value={pattern}
+                onChange={(e) => editParams(() => setPattern(e.target.value))}
+              />
+            </div>
+          </div>
+
+          <div className="bulk-fields">
+            <div className="form-group">
+              <label className="form-label">Map databases (SELECT)</label>
+              <input
+                type="text"
+                className="input mono"
+                placeholder="0=3, 1=4"
+                value={dbMap}
+                onChange={(e) => editParams(() => setDbMap(e.target.value))}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Rate</label>
+              <select className="select" value={rate} onChange={(e) => editParams(() => setRate(e.target.value))}>
+                {Object.entries(RATES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {rate === 'fixed' && (
+              <div className="form-group">
+                <label className="form-label">Commands per second</label>
+                <input
+                  type="number"
+                  className="input"
+                  min="1"
+                  value={commandsPerSecond}
+                  onChange={(e) => editParams(() => setCommandsPerSecond(e.target.value))}
+                  required
+                />
+              </div>
+            )}
+          </div>
+
+          <p className="bulk-text">
+            Commands before the first SELECT go to db{selectedDb}. Commands without a key are only filtered by name.
+          </p>
+
+          {error && <div className="bulk-error">{error}</div>}
+
+          {preview && (
+            <JobProgress job={preview} onCancel={(id) => api.cancelJob(id)}>
+              {previewDone && <ReplayTally tally={preview.result} dryRun />}
+            </JobProgress>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-secondary" disabled={!file || busy || (preview && isJobActive(preview))}>
+              {busy ? 'Uploading…' : preview ? 'Preview Again' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger"
+              disabled={!previewDone || preview.result.sent === 0}
+              onClick={handleReplay}
+            >
+              Replay…
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+}
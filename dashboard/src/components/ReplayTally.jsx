@@ -0,0 +1,66 @@
+import './ReplayTally.css';
+
+const REPLY_KINDS = ['string', 'integer', 'nil', 'array'];
+
+// Per-command tally of a replay job, updated while it runs. A dry run only
+// counts the commands that would be sent.
+export default function ReplayTally({ tally, dryRun = false }) {
+  const commands = Object.entries(tally.commands).sort(([, a], [, b]) => b.sent - a.sent);
+
+  return (
+    <div className="replay-tally">
+      <p>
+        <strong>{tally.sent.toLocaleString()}</strong> of {tally.read.toLocaleString()} commands
+        {dryRun ? ' would be sent' : ' sent'}
+        {!dryRun && <>, {tally.ok.toLocaleString()} ok</>}
+        {tally.errors > 0 && <>, <span className="text-danger">{tally.errors.toLocaleString()} errors</span></>}
+        {tally.filtered > 0 && <>, {tally.filtered.toLocaleString()} filtered out</>}
+        {tally.skipped > 0 && <>, {tally.skipped.toLocaleString()} skipped (blocking or connection state)</>}
+        {tally.denied > 0 && <>, {tally.denied.toLocaleString()} denied by the command policy</>}
+      </p>
+      {commands.length > 0 && (
+        <table className="table replay-tally-table">
+          <thead>
+            <tr>
+              <th>Command</th>
+              <th>Sent</th>
+              {!dryRun && (
+                <>
+                  <th>OK</th>
+                  <th>Errors</th>
+                  <th>Replies</th>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {commands.map(([name, entry]) => (
+              <tr key={name} className={entry.errors > 0 ? 'replay-tally-failing' : ''}>
+                <td className="mono">{name}</td>
+                <td>{entry.sent.toLocaleString()}</td>
+                {!dryRun && (
+                  <>
+                    <td>{entry.ok.toLocaleString()}</td>
+                    <td>
+                      {entry.errors > 0 ? <span className="text-danger">{entry.errors.toLocaleString()}</span> : 0}
+                      {Object.entries(entry.errorMessages).map(([message, count]) => (
+                        <div key={message} className="replay-tally-error mono">
+                          {count.toLocaleString()}× {message}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="replay-tally-replies">
+                      {REPLY_KINDS.filter((kind) => entry.replies[kind] > 0)
+                        .map((kind) => `${entry.replies[kind].toLocaleString()} ${kind}`)
+                        .join(', ')}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import { NavLink } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { hasRole } from '../utils/api';
 import './Sidebar.css';
 
 const navItems = [
@@ -6,14 +8,21 @@ const navItems = [
   { path: '/databases', icon: '🗄️', label: 'Databases' },
   { path: '/keys', icon: '🔑', label: 'Keys' },
   { path: '/clients', icon: '👥', label: 'Clients' },
-  { path: '/console', icon: '💻', label: 'Console' },
+  { path: '/pubsub', icon: '📡', label: 'Pub/Sub' },
+  { path: '/jobs', icon: '⏳', label: 'Jobs' },
+  { path: '/compare', icon: '⚖️', label: 'Compare' },
+  { path: '/memory', icon: '🧠', label: 'Memory' },
+  { path: '/console', icon: '💻', label: 'Console', role: 'admin' },
+  { path: '/audit', icon: '📜', label: 'Audit', role: 'admin' },
 ];
 
 export default function Sidebar() {
+  const { user } = useApp();
+
   return (
     <aside className="sidebar">
       <nav className="sidebar-nav">
-        {navItems.map(item => (
+        {navItems.filter(item => !item.role || hasRole(user, item.role)).map(item => (
           <NavLink
             key={item.path}
             to={item.path}
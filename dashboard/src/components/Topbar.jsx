@@ -2,7 +2,7 @@ import { useApp } from '../context/AppContext';
 import './Topbar.css';
 
 export default function Topbar() {
-  const { redisConnection, theme, toggleTheme, disconnect, selectedDb } = useApp();
+  const { redisConnection, readOnly, theme, toggleTheme, disconnect, selectedDb, tlsInfo, user, signOut } = useApp();
 
   return (
     <header className="topbar">
@@ -16,9 +16,19 @@ export default function Topbar() {
           <span className="topbar-server">
             <span className="server-indicator"></span>
             {redisConnection}
+            {redisConnection.startsWith('rediss://') && (
+              <span className="server-tls" title={tlsInfo?.certificate?.subject || 'TLS'}>
+                TLS
+              </span>
+            )}
             <span className="server-db">DB{selectedDb}</span>
           </span>
         )}
+        {redisConnection && readOnly && (
+          <span className="server-readonly" title="Writes are refused on this connection">
+            READ ONLY
+          </span>
+        )}
       </div>
 
       <div className="topbar-actions">
@@ -34,6 +44,14 @@ export default function Topbar() {
             Disconnect
           </button>
         )}
+        {user && (
+          <>
+            <span className="topbar-user" title={`Role: ${user.role}`}>{user.username} ({user.role})</span>
+            <button className="btn btn-secondary btn-sm" onClick={signOut}>
+              Sign Out
+            </button>
+          </>
+        )}
       </div>
     </header>
   );
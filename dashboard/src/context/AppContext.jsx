@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect, useMemo } from 'react';
-import { RedisApi } from '../utils/api';
+import { RedisApi, SIGNED_OUT_EVENT, isReadOnlyConnection } from '../utils/api';
 
 const AppContext = createContext(null);
 
@@ -23,12 +23,18 @@ export function AppProvider({ children }) {
   const [isConnecting, setIsConnecting] = useState(false);
   const [error, setError] = useState(null);
   const [serverInfo, setServerInfo] = useState(null);
+  // TLS session or certificate details from the last connect/inspect
+  const [tlsInfo, setTlsInfo] = useState(null);
+  // Signed-in dashboard user; authChecked is false until the first check returns
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [authError, setAuthError] = useState(null);
 
-  // Create API instance when connection changes
+  // Create API instance when connection or selected database changes
   const api = useMemo(() => {
     if (!redisConnection) return null;
-    return new RedisApi(redisConnection);
-  }, [redisConnection]);
+    return new RedisApi(redisConnection, selectedDb);
+  }, [redisConnection, selectedDb]);
 
   // Apply theme to document
   useEffect(() => {
@@ -48,12 +54,30 @@ export function AppProvider({ children }) {
     localStorage.setItem(STORAGE_KEYS.SELECTED_DB, selectedDb.toString());
   }, [selectedDb]);
 
-  // Try to reconnect on load if we have a connection
+  // Check for an existing dashboard login on load
+  useEffect(() => {
+    new RedisApi('').getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  // Return to the sign-in screen when the server reports the login is gone
+  useEffect(() => {
+    const handleSignedOut = () => {
+      setUser(null);
+      setIsConnected(false);
+    };
+    window.addEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+  }, []);
+
+  // Try to reconnect once signed in if we have a connection
   useEffect(() => {
-    if (redisConnection && !isConnected && !isConnecting) {
+    if (user && redisConnection && !isConnected && !isConnecting) {
       validateConnection();
     }
-  }, []);
+  }, [user]);
 
   const toggleTheme = () => {
     setTheme(prev => prev === 'light' ? 'dark' : 'light');
@@ -88,16 +112,45 @@ export function AppProvider({ children }) {
     }
   };
 
-  const connect = async (connection) => {
-    setRedisConnection(connection);
-    const newApi = new RedisApi(connection);
+  const signIn = async (username, password) => {
+    setAuthError(null);
+    try {
+      setUser(await new RedisApi('').signIn(username, password));
+      return true;
+    } catch (err) {
+      setAuthError(err.message);
+      return false;
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await new RedisApi('').signOut();
+    } catch {
+      // The login is dropped locally either way
+    }
+    setUser(null);
+    setIsConnected(false);
+    setServerInfo(null);
+    setTlsInfo(null);
+  };
 
+  const connect = async (connection, credentials = {}) => {
     setIsConnecting(true);
     setError(null);
+    setTlsInfo(null);
 
     try {
+      // Credentials are sent once and kept server-side; only the sanitized
+      // connection string is stored in the browser
+      const opened = await new RedisApi('').connect(connection, credentials);
+      const newApi = new RedisApi(opened.connection, opened.db);
+      setTlsInfo(opened.tls);
+
       const response = await newApi.ping();
       if (response === 'PONG' || response === true) {
+        setRedisConnection(opened.connection);
+        setSelectedDb(opened.db);
         setIsConnected(true);
         // Fetch server info after successful connection
         try {
@@ -111,6 +164,7 @@ export function AppProvider({ children }) {
       throw new Error('Invalid server response');
     } catch (err) {
       setError(err.message);
+      setTlsInfo(err.data?.tls || null);
       setIsConnected(false);
       return false;
     } finally {
@@ -118,10 +172,22 @@ export function AppProvider({ children }) {
     }
   };
 
+  const inspectTls = async (connection, tls) => {
+    setError(null);
+    try {
+      setTlsInfo(await new RedisApi('').inspectTls(connection, tls));
+    } catch (err) {
+      setError(err.message);
+      setTlsInfo(null);
+    }
+  };
+
   const disconnect = () => {
+    api?.disconnect().catch(() => {});
     setIsConnected(false);
     setRedisConnection('');
     setServerInfo(null);
+    setTlsInfo(null);
     setSelectedDb(0);
     localStorage.removeItem(STORAGE_KEYS.REDIS_CONNECTION);
   };
@@ -150,6 +216,7 @@ export function AppProvider({ children }) {
     // State
     serverUrl: redisConnection, // Keep for backward compatibility
     redisConnection,
+    readOnly: isReadOnlyConnection(redisConnection),
     theme,
     isConnected,
     isConnecting,
@@ -157,10 +224,17 @@ export function AppProvider({ children }) {
     api,
     serverInfo,
     selectedDb,
+    tlsInfo,
+    user,
+    authChecked,
+    authError,
 
     // Actions
     toggleTheme,
+    signIn,
+    signOut,
     connect,
+    inspectTls,
     disconnect,
     setError,
     selectDatabase,
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+
+// Poll quickly while a job is in flight, slowly otherwise
+const ACTIVE_POLL_MS = 1000;
+const IDLE_POLL_MS = 5000;
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running', 'cancelling'];
+
+export function isJobActive(job) {
+  return ACTIVE_JOB_STATUSES.includes(job?.status);
+}
+
+// The signed-in user's background jobs. Jobs live on the server, so the list
+// is the same after a page reload. Returns the jobs with cancel and remove
+// actions and a refresh function to call after starting a job.
+export function useJobs() {
+  const { api } = useApp();
+  const [jobs, setJobs] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!api) return;
+    try {
+      const data = await api.getJobs();
+      setJobs(data.jobs || []);
+      setError(null);
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    }
+  }, [api]);
+
+  const hasActive = Boolean(jobs?.some(isJobActive));
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, hasActive ? ACTIVE_POLL_MS : IDLE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [refresh, hasActive]);
+
+  const cancel = useCallback(async (id) => {
+    try {
+      await api.cancelJob(id);
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+    refresh();
+  }, [api, refresh]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await api.removeJob(id);
+      setJobs((prev) => prev?.filter((job) => job.id !== id) ?? prev);
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  }, [api]);
+
+  return { jobs, error, refresh, cancel, remove };
+}
+
+// Follow a single job until it finishes. Returns the job (null until first
+// loaded, or when id is null) and any error fetching it.
+export function useJob(id) {
+  const { api } = useApp();
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const active = !job || isJobActive(job);
+
+  useEffect(() => {
+    setJob(null);
+    setError(null);
+  }, [id]);
+
+  useEffect(() => {
+    if (!api || !id || !active) return;
+    const load = async () => {
+      try {
+        const data = await api.getJob(id);
+        setJob(data.job);
+      } catch (err) {
+        setError(err?.message || String(err) || 'An error occurred');
+      }
+    };
+    load();
+    const timer = setInterval(load, ACTIVE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [api, id, active]);
+
+  return { job, error };
+}
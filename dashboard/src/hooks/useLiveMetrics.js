@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+
+const INTERVAL_STORAGE_KEY = 'redish_metrics_interval';
+
+function applyInfoDelta(info, delta) {
+  const next = { ...info };
+  for (const [section, fields] of Object.entries(delta)) {
+    const merged = { ...next[section] };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) {
+        delete merged[field];
+      } else {
+        merged[field] = value;
+      }
+    }
+    next[section] = merged;
+  }
+  return next;
+}
+
+function applyClientsDelta(clients, { added, changed, removed }) {
+  const removedIds = new Set(removed);
+  const changedById = new Map(changed.map(client => [client.id, client]));
+  return clients
+    .filter(client => !removedIds.has(client.id))
+    .map(client => changedById.get(client.id) || client)
+    .concat(added);
+}
+
+// Subscribe to the server's shared INFO / CLIENT LIST poller for the current
+// connection. Returns the latest parsed INFO sections and client list, the
+// stream status ('connecting', 'live', 'paused' or 'error') and controls for
+// pausing and the refresh interval.
+export function useLiveMetrics() {
+  const { api } = useApp();
+  const [info, setInfo] = useState(null);
+  const [clients, setClients] = useState(null);
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState(null);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [paused, setPaused] = useState(false);
+  // Interval picked by the user; null uses the server's default
+  const [interval, setIntervalMs] = useState(() =>
+    parseInt(localStorage.getItem(INTERVAL_STORAGE_KEY)) || null
+  );
+  const [defaultInterval, setDefaultInterval] = useState(null);
+  const [choices, setChoices] = useState([]);
+
+  useEffect(() => {
+    if (interval) {
+      localStorage.setItem(INTERVAL_STORAGE_KEY, String(interval));
+    }
+  }, [interval]);
+
+  useEffect(() => {
+    if (!api) return;
+    if (paused) {
+      setStatus('paused');
+      return;
+    }
+
+    setStatus('connecting');
+    const source = new EventSource(api.metricsStreamUrl(interval));
+
+    source.addEventListener('ready', (e) => {
+      const data = JSON.parse(e.data);
+      setChoices(data.choices);
+      setDefaultInterval(data.interval);
+    });
+    source.addEventListener('snapshot', (e) => {
+      const data = JSON.parse(e.data);
+      setInfo(data.info);
+      setClients(data.clients);
+      setUpdatedAt(data.at);
+      setError(null);
+      setStatus('live');
+    });
+    source.addEventListener('delta', (e) => {
+      const data = JSON.parse(e.data);
+      setInfo((prev) => applyInfoDelta(prev || {}, data.info));
+      setClients((prev) => applyClientsDelta(prev || [], data.clients));
+      setUpdatedAt(data.at);
+      setError(null);
+      setStatus('live');
+    });
+    source.addEventListener('failure', (e) => {
+      setError(JSON.parse(e.data).error);
+      setStatus('error');
+    });
+    // EventSource reconnects by itself after network errors
+    source.onerror = () => {
+      setStatus('connecting');
+    };
+
+    return () => source.close();
+  }, [api, paused, interval]);
+
+  return {
+    info,
+    clients,
+    status,
+    error,
+    updatedAt,
+    paused,
+    setPaused,
+    interval: interval || defaultInterval,
+    changeInterval: setIntervalMs,
+    choices,
+  };
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useApp } from '../context/AppContext';
+
+const PAGE_SIZE = 200;
+
+// What tells items apart, as HSCAN and SSCAN may return an item twice
+const ITEM_IDS = {
+  hash: (item) => item.field,
+  list: (item) => item.index,
+  set: (item) => item.member,
+  zset: (item) => item.member,
+};
+
+// The value of a hash, list, set or sorted set, read a page at a time (see
+// RedisApi.getValuePage) with an optional MATCH filter. Returns the items
+// loaded so far and the value's total element count, with loadMore() to read
+// the next page and reload() to start over, e.g. after a change.
+export function usePagedValue(key, type, match = '') {
+  const { api } = useApp();
+  const [items, setItems] = useState([]);
+  const [cursor, setCursor] = useState('0');
+  const [total, setTotal] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const knownIds = useRef(new Set());
+  // Pages of an abandoned read (an older filter) are dropped
+  const readId = useRef(0);
+
+  const loadPage = useCallback(async (from) => {
+    if (!api || !key) return;
+    const id = from === '0' ? ++readId.current : readId.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await api.getValuePage(key, type, { cursor: from, count: PAGE_SIZE, match });
+      if (id !== readId.current) return;
+      if (from === '0') knownIds.current = new Set();
+      const identify = ITEM_IDS[type];
+      const fresh = page.items.filter((item) => !knownIds.current.has(identify(item)));
+      fresh.forEach((item) => knownIds.current.add(identify(item)));
+      setItems((prev) => (from === '0' ? fresh : [...prev, ...fresh]));
+      setCursor(page.cursor);
+      setTotal(page.total);
+    } catch (err) {
+      if (id === readId.current) setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      if (id === readId.current) setLoading(false);
+    }
+  }, [api, key, type, match]);
+
+  useEffect(() => {
+    loadPage('0');
+  }, [loadPage]);
+
+  const loadMore = useCallback(() => {
+    if (cursor !== '0' && !loading && !error) loadPage(cursor);
+  }, [cursor, loading, error, loadPage]);
+
+  const reload = useCallback(() => loadPage('0'), [loadPage]);
+
+  return { items, total, loading, error, done: cursor === '0', loadMore, reload };
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Windowing for long lists of fixed-height rows: only the rows in view, and
+// overscan rows either side, are rendered, between spacers of paddingTop and
+// paddingBottom pixels that stand in for the rest. Pass containerRef as the
+// ref of the scrolling element and onScroll as its scroll handler, and render
+// rows start to end (exclusive). atEnd tells when the last row is in reach,
+// e.g. to load more.
+export function useVirtualRows(count, rowHeight, overscan = 10) {
+  const [container, setContainer] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    if (!container) return;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    setViewportHeight(container.clientHeight);
+    setScrollTop(container.scrollTop);
+    return () => observer.disconnect();
+  }, [container]);
+
+  const onScroll = useCallback((e) => setScrollTop(e.currentTarget.scrollTop), []);
+
+  const start = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    containerRef: setContainer,
+    onScroll,
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (count - end) * rowHeight,
+    atEnd: end >= count,
+  };
+}
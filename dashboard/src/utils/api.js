@@ -3,37 +3,75 @@
  *
  * This client communicates with the local Node.js backend server
  * which proxies requests to the actual Redis/Redish server.
+ *
+ * The backend keeps a separate Redis connection per browser session. The
+ * session id it issues is kept in sessionStorage, so each tab has its own
+ * session and its own selected database.
  */
 
+import { base64ToBytes, escapeBytes } from './binary';
+
+const SESSION_STORAGE_KEY = 'redish_session';
+
+// Fired on window when the server rejects a request for lack of a dashboard login
+export const SIGNED_OUT_EVENT = 'redish:signed-out';
+
+// Endpoints of the collection types read a page at a time
+const PAGED_ENDPOINTS = { hash: 'hashes', list: 'lists', set: 'sets', zset: 'zsets' };
+
 export class RedisApi {
-  constructor(redisConnection) {
+  constructor(redisConnection, db = 0) {
     // redisConnection is the Redis server connection string (e.g., localhost:6379)
     this.redisConnection = redisConnection;
+    // db is the database index sent with every request
+    this.db = db;
   }
 
-  async request(endpoint, options = {}) {
-    const url = `/api${endpoint}`;
+  // options.key is the key the request is about, if any, so that a binary
+  // key's URL says how it is encoded
+  async request(endpoint, { key, ...options } = {}) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    const url = `/api${endpoint}${key != null && isBinaryKey(key) ? `${separator}keyEncoding=${keyRef(key).encoding}` : ''}`;
+    const sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
-        'X-Redis-Connection': this.redisConnection,
+        ...(this.redisConnection ? { 'X-Redis-Connection': this.redisConnection } : {}),
+        'X-Redis-Db': String(this.db),
+        ...(sessionId ? { 'X-Dashboard-Session': sessionId } : {}),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
       const response = await fetch(url, config);
 
+      // The server issues a new session id when ours is missing or expired
+      const issuedSession = response.headers.get('X-Dashboard-Session');
+      if (issuedSession && issuedSession !== sessionId) {
+        sessionStorage.setItem(SESSION_STORAGE_KEY, issuedSession);
+      }
+
       if (response.status === 204) {
         return null;
       }
 
       const data = await response.json();
 
-      // Handle error responses
+      // The dashboard login expired or was never made; let the app return
+      // to the sign-in screen
+      if (response.status === 401 && data?.code === 'DASHBOARD_AUTH_REQUIRED') {
+        window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+      }
+
+      // Handle error responses; the full body is kept for callers that
+      // need more than the message (e.g. TLS certificate details)
       if (data && typeof data === 'object' && data.error) {
-        throw new Error(data.error);
+        const error = new Error(data.error);
+        error.status = response.status;
+        error.data = data;
+        throw error;
       }
 
       return data;
@@ -45,6 +83,83 @@ export class RedisApi {
     }
   }
 
+  // Dashboard Authentication
+  async signIn(username, password) {
+    return this.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+  }
+
+  async signOut() {
+    return this.request('/auth/logout', { method: 'POST' });
+  }
+
+  async getCurrentUser() {
+    return this.request('/auth/me');
+  }
+
+  // Connection Operations
+  // Opens a connection on the server. Credentials stay in the server-side
+  // session; the response carries the sanitized connection string and the
+  // initial database to use for later requests. A read-only connection
+  // comes back with readonly=true in its connection string.
+  async connect(connection, { username, password, tls, readOnly } = {}) {
+    return this.request('/connect', {
+      method: 'POST',
+      body: JSON.stringify({ connection, username, password, tls, readOnly }),
+    });
+  }
+
+  // Reports the certificate a rediss:// server presents without connecting
+  async inspectTls(connection, tls) {
+    return this.request('/tls/inspect', {
+      method: 'POST',
+      body: JSON.stringify({ connection, tls }),
+    });
+  }
+
+  async disconnect() {
+    return this.request('/disconnect', { method: 'POST' });
+  }
+
+  // URL of the live metrics event stream. EventSource cannot send headers,
+  // so the connection and session travel as query parameters.
+  metricsStreamUrl(interval) {
+    const params = new URLSearchParams({ connection: this.redisConnection });
+    const sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (sessionId) params.set('session', sessionId);
+    if (interval) params.set('interval', interval);
+    return `/api/metrics/stream?${params}`;
+  }
+
+  // Download URL for an export of the current database. options: pattern,
+  // type (only keys of that type) and format ('ndjson' or 'json')
+  exportUrl({ pattern = '*', type = '', format = 'ndjson' } = {}) {
+    const params = new URLSearchParams({ connection: this.redisConnection, db: this.db, pattern, format });
+    const sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (sessionId) params.set('session', sessionId);
+    if (type) params.set('type', type);
+    return `/api/export?${params}`;
+  }
+
+  // Pub/Sub WebSocket URL for the current connection
+  pubsubSocketUrl() {
+    const params = new URLSearchParams({ connection: this.redisConnection });
+    const sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (sessionId) params.set('session', sessionId);
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/api/pubsub/ws?${params}`;
+  }
+
+  // Returns { receivers }, the number of clients that got the message
+  async publish(channel, message) {
+    return this.request('/pubsub/publish', {
+      method: 'POST',
+      body: JSON.stringify({ channel, message }),
+    });
+  }
+
   // Health check / connection test
   async ping() {
     return this.request('/ping');
@@ -61,165 +176,233 @@ export class RedisApi {
   }
 
   // Key Operations
+  // Keys come as { key, encoding } (see keyRef), and the methods about one
+  // key take it that way or as plain text
   async getKeys(pattern = '*', cursor = 0, count = 100) {
     return this.request(`/keys?pattern=${encodeURIComponent(pattern)}&cursor=${cursor}&count=${count}`);
   }
 
+  // One level of the namespace tree: { folders, keys, cursor }, to be
+  // continued from cursor until it comes back as '0'
+  async getNamespace(prefix = '', delimiter = ':', cursor = '0') {
+    const params = new URLSearchParams({ prefix, delimiter, cursor });
+    return this.request(`/namespaces?${params}`);
+  }
+
+  // Keyspace profile of a database from a sample of its keys: type shares,
+  // TTL distribution, keys expiring within horizon minutes and top prefixes
+  async getKeyspaceProfile(db = this.db, { sample, horizon, delimiter } = {}) {
+    const params = new URLSearchParams({ sample, horizon, delimiter });
+    return this.request(`/keyspace/profile?${params}`, {
+      headers: { 'X-Redis-Db': String(db) },
+    });
+  }
+
+  // Type, TTL, length and memory usage of up to 1000 keys in one request:
+  // { metadata: [{ type, ttl, length, memory }] } in the order of keys, null
+  // for keys that no longer exist
+  async getKeysMetadata(keys) {
+    return this.request('/keys/metadata', {
+      method: 'POST',
+      body: JSON.stringify({ keys: keys.map(keyRef) }),
+    });
+  }
+
   async getKeyType(key) {
-    return this.request(`/keys/${encodeURIComponent(key)}/type`);
+    return this.request(`/keys/${keyPath(key)}/type`, { key });
   }
 
   async getKeyTTL(key) {
-    return this.request(`/keys/${encodeURIComponent(key)}/ttl`);
+    return this.request(`/keys/${keyPath(key)}/ttl`, { key });
   }
 
   async deleteKey(key) {
-    return this.request(`/keys/${encodeURIComponent(key)}`, { method: 'DELETE' });
+    return this.request(`/keys/${keyPath(key)}`, { method: 'DELETE', key });
   }
 
   async setKeyTTL(key, seconds) {
-    return this.request(`/keys/${encodeURIComponent(key)}/ttl`, {
+    return this.request(`/keys/${keyPath(key)}/ttl`, {
       method: 'PUT',
+      key,
       body: JSON.stringify({ seconds }),
     });
   }
 
   async removeKeyTTL(key) {
-    return this.request(`/keys/${encodeURIComponent(key)}/ttl`, { method: 'DELETE' });
+    return this.request(`/keys/${keyPath(key)}/ttl`, { method: 'DELETE', key });
   }
 
   async renameKey(oldKey, newKey) {
-    return this.request(`/keys/${encodeURIComponent(oldKey)}/rename`, {
+    return this.request(`/keys/${keyPath(oldKey)}/rename`, {
       method: 'POST',
+      key: oldKey,
       body: JSON.stringify({ newKey }),
     });
   }
 
+  // Copy or move a key, preserving its type and TTL. target is
+  // { connection, db } with connection null for this server; options are
+  // targetKey, conflict ('skip' or 'overwrite') and move.
+  async copyKey(key, target, options = {}) {
+    return this.request(`/keys/${keyPath(key)}/copy`, {
+      method: 'POST',
+      key,
+      body: JSON.stringify({ target, ...options }),
+    });
+  }
+
+  // The target of a copy from the fields of a copy form. Another server is
+  // connected to first, so that the session holds its credentials.
+  async resolveCopyTarget({ otherServer, db, connection, username, password }) {
+    if (!otherServer) {
+      return { connection: null, db: parseInt(db) || 0 };
+    }
+    const opened = await this.connect(connection, { username, password });
+    return { connection: opened.connection, db: parseInt(db) || 0 };
+  }
+
   // String Operations
+  // Values and members are sent and received as text, or in base64 (or hex)
+  // for bytes that are not valid UTF-8, with the encoding alongside.
+  // getString returns { value, encoding }, encoding being 'utf8' or 'base64'.
   async getString(key) {
-    return this.request(`/strings/${encodeURIComponent(key)}`);
+    return this.request(`/strings/${keyPath(key)}?encoding=auto`, { key });
   }
 
-  async setString(key, value, ttl = null) {
-    return this.request(`/strings/${encodeURIComponent(key)}`, {
+  async setString(key, value, ttl = null, encoding = 'utf8') {
+    return this.request(`/strings/${keyPath(key)}`, {
       method: 'PUT',
-      body: JSON.stringify({ value, ttl }),
+      key,
+      body: JSON.stringify({ value, ttl, encoding }),
     });
   }
 
   // Hash Operations
   async getHash(key) {
-    return this.request(`/hashes/${encodeURIComponent(key)}`);
+    return this.request(`/hashes/${keyPath(key)}`, { key });
   }
 
-  async setHashField(key, field, value) {
-    return this.request(`/hashes/${encodeURIComponent(key)}`, {
+  async setHashField(key, field, value, { encoding = 'utf8', fieldEncoding = 'utf8' } = {}) {
+    return this.request(`/hashes/${keyPath(key)}`, {
       method: 'PUT',
-      body: JSON.stringify({ field, value }),
+      key,
+      body: JSON.stringify({ field, value, encoding, fieldEncoding }),
     });
   }
 
-  async deleteHashField(key, field) {
-    return this.request(`/hashes/${encodeURIComponent(key)}/${encodeURIComponent(field)}`, {
+  async deleteHashField(key, field, fieldEncoding = 'utf8') {
+    const params = new URLSearchParams({ fieldEncoding });
+    return this.request(`/hashes/${keyPath(key)}/${encodeURIComponent(field)}?${params}`, {
       method: 'DELETE',
+      key,
     });
   }
 
   // List Operations
   async getList(key, start = 0, stop = -1) {
-    return this.request(`/lists/${encodeURIComponent(key)}?start=${start}&stop=${stop}`);
+    return this.request(`/lists/${keyPath(key)}?start=${start}&stop=${stop}`, { key });
   }
 
-  async pushToList(key, values, position = 'right') {
-    return this.request(`/lists/${encodeURIComponent(key)}`, {
+  async pushToList(key, values, position = 'right', encoding = 'utf8') {
+    return this.request(`/lists/${keyPath(key)}`, {
       method: 'POST',
-      body: JSON.stringify({ values, position }),
+      key,
+      body: JSON.stringify({ values, position, encoding }),
     });
   }
 
   async popFromList(key, position = 'right') {
-    return this.request(`/lists/${encodeURIComponent(key)}/pop?position=${position}`, {
+    return this.request(`/lists/${keyPath(key)}/pop?position=${position}`, {
       method: 'POST',
+      key,
     });
   }
 
   // Set Operations
   async getSet(key) {
-    return this.request(`/sets/${encodeURIComponent(key)}`);
+    return this.request(`/sets/${keyPath(key)}`, { key });
   }
 
-  async addToSet(key, members) {
-    return this.request(`/sets/${encodeURIComponent(key)}`, {
+  async addToSet(key, members, encoding = 'utf8') {
+    return this.request(`/sets/${keyPath(key)}`, {
       method: 'POST',
-      body: JSON.stringify({ members }),
+      key,
+      body: JSON.stringify({ members, encoding }),
     });
   }
 
-  async removeFromSet(key, members) {
-    return this.request(`/sets/${encodeURIComponent(key)}/remove`, {
+  async removeFromSet(key, members, encoding = 'utf8') {
+    return this.request(`/sets/${keyPath(key)}/remove`, {
       method: 'POST',
-      body: JSON.stringify({ members }),
+      key,
+      body: JSON.stringify({ members, encoding }),
     });
   }
 
   // Sorted Set Operations
   async getSortedSet(key, start = 0, stop = -1, withScores = true) {
-    return this.request(`/zsets/${encodeURIComponent(key)}?start=${start}&stop=${stop}&withScores=${withScores}`);
+    return this.request(`/zsets/${keyPath(key)}?start=${start}&stop=${stop}&withScores=${withScores}`, { key });
   }
 
-  async addToSortedSet(key, members) {
+  async addToSortedSet(key, members, encoding = 'utf8') {
     // members is array of { member, score }
-    return this.request(`/zsets/${encodeURIComponent(key)}`, {
+    return this.request(`/zsets/${keyPath(key)}`, {
       method: 'POST',
-      body: JSON.stringify({ members }),
+      key,
+      body: JSON.stringify({ members, encoding }),
     });
   }
 
-  async removeFromSortedSet(key, members) {
-    return this.request(`/zsets/${encodeURIComponent(key)}/remove`, {
+  async removeFromSortedSet(key, members, encoding = 'utf8') {
+    return this.request(`/zsets/${keyPath(key)}/remove`, {
       method: 'POST',
-      body: JSON.stringify({ members }),
+      key,
+      body: JSON.stringify({ members, encoding }),
     });
   }
 
   // Stream Operations
   async getStream(key, start = '-', end = '+', count = 100) {
-    return this.request(`/streams/${encodeURIComponent(key)}?start=${start}&end=${end}&count=${count}`);
+    return this.request(`/streams/${keyPath(key)}?start=${start}&end=${end}&count=${count}`, { key });
   }
 
   async addToStream(key, fields, id = '*') {
-    return this.request(`/streams/${encodeURIComponent(key)}`, {
+    return this.request(`/streams/${keyPath(key)}`, {
       method: 'POST',
+      key,
       body: JSON.stringify({ id, fields }),
     });
   }
 
   async deleteFromStream(key, ids) {
-    return this.request(`/streams/${encodeURIComponent(key)}/delete`, {
+    return this.request(`/streams/${keyPath(key)}/delete`, {
       method: 'POST',
+      key,
       body: JSON.stringify({ ids }),
     });
   }
 
   async getStreamInfo(key) {
-    return this.request(`/streams/${encodeURIComponent(key)}/info`);
+    return this.request(`/streams/${keyPath(key)}/info`, { key });
   }
 
   // JSON Operations
   async getJson(key, path = '.') {
-    return this.request(`/json/${encodeURIComponent(key)}?path=${encodeURIComponent(path)}`);
+    return this.request(`/json/${keyPath(key)}?path=${encodeURIComponent(path)}`, { key });
   }
 
   async setJson(key, value, path = '.') {
-    return this.request(`/json/${encodeURIComponent(key)}`, {
+    return this.request(`/json/${keyPath(key)}`, {
       method: 'PUT',
+      key,
       body: JSON.stringify({ path, value }),
     });
   }
 
   async deleteJson(key, path = '.') {
-    return this.request(`/json/${encodeURIComponent(key)}?path=${encodeURIComponent(path)}`, {
+    return this.request(`/json/${keyPath(key)}?path=${encodeURIComponent(path)}`, {
       method: 'DELETE',
+      key,
     });
   }
 
@@ -235,8 +418,15 @@ export class RedisApi {
     return this.request('/database/size');
   }
 
-  async flushDatabase() {
-    return this.request('/database/flush', { method: 'POST' });
+  async getDatabaseCount() {
+    return this.request('/database/count');
+  }
+
+  async flushDatabase(db = this.db) {
+    return this.request('/database/flush', {
+      method: 'POST',
+      headers: { 'X-Redis-Db': String(db) },
+    });
   }
 
   // Client Operations
@@ -245,13 +435,88 @@ export class RedisApi {
   }
 
   // CLI / Raw Command Execution
-  async executeCommand(command) {
+  // Commands the server's policy marks for confirmation fail with code
+  // CONFIRMATION_REQUIRED; send them again with the challenge token and the
+  // phrase the user typed as confirmation: { token, phrase }
+  async executeCommand(command, confirmation) {
     return this.request('/command', {
       method: 'POST',
-      body: JSON.stringify({ command }),
+      body: JSON.stringify({ command, confirmation }),
+    });
+  }
+
+  // Background jobs. Starts a job of the given type on the current
+  // connection and database; options may set batchSize and delayMs to
+  // throttle its SCAN batches, and carry the confirmation for job types
+  // that ask for one.
+  async startJob(type, params = {}, options = {}) {
+    return this.request('/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ type, params, ...options }),
+    });
+  }
+
+  // Make keys a compare-keys job found to differ match on one side:
+  // direction 'a-to-b' copies them from the job's database to its target,
+  // 'b-to-a' the other way
+  async syncKeys(jobId, keys, direction) {
+    return this.request(`/jobs/${encodeURIComponent(jobId)}/sync`, {
+      method: 'POST',
+      body: JSON.stringify({ keys, direction }),
+    });
+  }
+
+  // Upload a file for a job to read; returns { upload: { id, name, size } }
+  async uploadFile(file) {
+    return this.request('/uploads', {
+      method: 'POST',
+      body: file,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Upload-Name': encodeURIComponent(file.name),
+      },
     });
   }
 
+  // The signed-in user's jobs, newest first
+  async getJobs() {
+    return this.request('/jobs');
+  }
+
+  async getJob(id) {
+    return this.request(`/jobs/${encodeURIComponent(id)}`);
+  }
+
+  async cancelJob(id) {
+    return this.request(`/jobs/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+  }
+
+  // Remove a finished job from the list
+  async removeJob(id) {
+    return this.request(`/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
+  // Audit log, newest first. filters: user, connection, db, command, key,
+  // outcome, since, until (ISO timestamps) and limit
+  async getAuditLog(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(name, value);
+      }
+    }
+    return this.request(`/audit?${params}`);
+  }
+
+  // A page of a hash, list, set or sorted set: { cursor, items, total }, to be
+  // continued from cursor until it comes back as '0'. match filters fields,
+  // members or list elements with a glob. Items with binary parts list their
+  // encodings, e.g. { member, encodings: { member: 'base64' } }.
+  async getValuePage(key, type, { cursor = '0', count = 200, match = '' } = {}) {
+    const params = new URLSearchParams({ cursor, count, match });
+    return this.request(`/${PAGED_ENDPOINTS[type]}/${keyPath(key)}?${params}`, { key });
+  }
+
   // Get key value by type (convenience method)
   async getKeyValue(key, type) {
     switch (type?.toLowerCase()) {
@@ -276,6 +541,77 @@ export class RedisApi {
 }
 
 // Utility functions
+// Dashboard roles in increasing order of power; mirrors server/auth.js
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Fields of a copy form: where the copy goes, and what it does with keys the
+// target already has (see RedisApi.resolveCopyTarget)
+export const DEFAULT_COPY_FIELDS = {
+  otherServer: false,
+  db: '1',
+  connection: '',
+  username: '',
+  password: '',
+  conflict: 'skip',
+  move: false,
+};
+
+// Escape the glob characters of a key prefix, for a pattern matching the
+// keys under it
+export function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// A key as { key, encoding }, the way the server lists keys: key is its text,
+// or its base64 form (encoding 'base64') when it is not valid UTF-8. Plain
+// text stands for a text key.
+export function keyRef(key) {
+  return typeof key === 'string' ? { key, encoding: 'utf8' } : key;
+}
+
+// A key's identity, for React keys and lookups: a text key and a binary one
+// may share their encoded form
+export function keyId(key) {
+  const { key: name, encoding } = keyRef(key);
+  return `${encoding}:${name}`;
+}
+
+// Whether a key is binary, i.e. held in base64 as the server listed it
+export function isBinaryKey(key) {
+  return keyRef(key).encoding !== 'utf8';
+}
+
+// A key as it is shown: binary keys with their unprintable bytes escaped
+export function displayKey(key) {
+  const { key: name } = keyRef(key);
+  return isBinaryKey(key) ? escapeBytes(base64ToBytes(name)) : name;
+}
+
+// A key as a segment of an API path
+function keyPath(key) {
+  return encodeURIComponent(keyRef(key).key);
+}
+
+// Whether a connection string carries the read-only flag
+export function isReadOnlyConnection(connection) {
+  return /[?&]readonly=true(&|$)/.test(connection || '');
+}
+
+// Whether a signed-in user has at least the given role
+export function hasRole(user, role) {
+  return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+// Save text (or bytes) generated in the browser as a file
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 export function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
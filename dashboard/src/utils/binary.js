@@ -0,0 +1,51 @@
+// Bytes of keys and values that are not valid UTF-8, which the API carries
+// as base64 (see server/encoding.js), and the ways the dashboard shows them
+
+// Bytes shown in a hex dump before the rest is left to the download
+export const HEX_DUMP_LIMIT = 64 * 1024;
+const HEX_DUMP_WIDTH = 16;
+
+export function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+export function bytesToBase64(bytes) {
+  let binary = '';
+  // In slices, as spreading a large array overflows the call stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function textToBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+const isPrintable = (byte) => byte >= 0x20 && byte < 0x7f;
+
+// Bytes as text, with anything but printable ASCII escaped as \xNN the way
+// redis-cli shows it
+export function escapeBytes(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    text += isPrintable(byte) && byte !== 0x5c
+      ? String.fromCharCode(byte)
+      : `\\x${byte.toString(16).padStart(2, '0')}`;
+  }
+  return text;
+}
+
+// A hex dump of up to limit bytes: lines of an offset, 16 bytes in hex and
+// the same bytes as ASCII, with dots for the unprintable ones
+export function hexDump(bytes, limit = HEX_DUMP_LIMIT) {
+  const lines = [];
+  const end = Math.min(bytes.length, limit);
+  for (let offset = 0; offset < end; offset += HEX_DUMP_WIDTH) {
+    const row = bytes.subarray(offset, Math.min(offset + HEX_DUMP_WIDTH, end));
+    const hex = Array.from(row, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = Array.from(row, (byte) => (isPrintable(byte) ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(HEX_DUMP_WIDTH * 3 - 1)}  |${ascii}|`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,251 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { formatDate } from '../utils/api';
+import './Audit.css';
+
+const PAGE_SIZE = 200;
+
+const EMPTY_FILTERS = {
+  user: '',
+  connection: '',
+  db: '',
+  command: '',
+  key: '',
+  outcome: '',
+  since: '',
+  until: '',
+};
+
+const OUTCOME_CLASSES = {
+  success: 'status-connected',
+  error: 'status-disconnected',
+  denied: 'audit-outcome-denied',
+  'confirmation-required': 'audit-outcome-pending',
+  cancelled: 'audit-outcome-pending',
+};
+
+// datetime-local values are in local time; the server compares ISO strings
+function toIso(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+export default function Audit() {
+  const { api } = useApp();
+  const [entries, setEntries] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  const loadEntries = useCallback(async () => {
+    if (!api) return;
+    setLoading(true);
+    try {
+      const data = await api.getAuditLog({
+        ...filters,
+        since: toIso(filters.since),
+        until: toIso(filters.until),
+        limit,
+      });
+      setEntries(data.entries || []);
+      setTruncated(Boolean(data.truncated));
+      setError(null);
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, filters, limit]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateDraft = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setLimit(PAGE_SIZE);
+    setFilters(draft);
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_FILTERS);
+    setLimit(PAGE_SIZE);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="audit-view">
+      <div className="page-header">
+        <h1 className="page-title">Audit Log</h1>
+        <div className="page-actions">
+          <span className="audit-count">
+            {entries.length}{truncated ? '+' : ''} entries
+          </span>
+          <button className="btn btn-secondary btn-sm" onClick={loadEntries}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleSearch}>
+        <input
+          type="text"
+          className="input"
+          placeholder="User"
+          value={draft.user}
+          onChange={(e) => updateDraft({ user: e.target.value })}
+        />
+        <input
+          type="text"
+          className="input"
+          placeholder="Connection"
+          value={draft.connection}
+          onChange={(e) => updateDraft({ connection: e.target.value })}
+        />
+        <input
+          type="number"
+          className="input audit-db"
+          placeholder="DB"
+          min="0"
+          value={draft.db}
+          onChange={(e) => updateDraft({ db: e.target.value })}
+        />
+        <input
+          type="text"
+          className="input"
+          placeholder="Command"
+          value={draft.command}
+          onChange={(e) => updateDraft({ command: e.target.value })}
+        />
+        <input
+          type="text"
+          className="input"
+          placeholder="Key"
+          value={draft.key}
+          onChange={(e) => updateDraft({ key: e.target.value })}
+        />
+        <select
+          className="select"
+          value={draft.outcome}
+          onChange={(e) => updateDraft({ outcome: e.target.value })}
+        >
+          <option value="">Any outcome</option>
+          <option value="success">Success</option>
+          <option value="error">Error</option>
+          <option value="denied">Denied</option>
+          <option value="confirmation-required">Confirmation required</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <label className="audit-date">
+          <span>From</span>
+          <input
+            type="datetime-local"
+            className="input"
+            value={draft.since}
+            onChange={(e) => updateDraft({ since: e.target.value })}
+          />
+        </label>
+        <label className="audit-date">
+          <span>To</span>
+          <input
+            type="datetime-local"
+            className="input"
+            value={draft.until}
+            onChange={(e) => updateDraft({ until: e.target.value })}
+          />
+        </label>
+        <button type="submit" className="btn btn-secondary">
+          Filter
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={handleReset}>
+          Reset
+        </button>
+      </form>
+
+      {error ? (
+        <div className="empty-state">
+          <span className="empty-state-icon">⚠️</span>
+          <h3 className="empty-state-title">Error loading audit log</h3>
+          <p className="empty-state-description">{error}</p>
+          <button className="btn btn-primary mt-4" onClick={loadEntries}>
+            Retry
+          </button>
+        </div>
+      ) : loading && entries.length === 0 ? (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <span>Loading audit log...</span>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="empty-state">
+          <span className="empty-state-icon">📜</span>
+          <h3 className="empty-state-title">No audit entries</h3>
+          <p className="empty-state-description">
+            Changes made through the dashboard will be listed here.
+          </p>
+        </div>
+      ) : (
+        <div className="audit-table-container">
+          <table className="table audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>User</th>
+                <th>Connection</th>
+                <th>DB</th>
+                <th>Command</th>
+                <th>Key</th>
+                <th>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, index) => (
+                <tr key={`${entry.timestamp}-${index}`}>
+                  <td className="audit-time">{formatDate(entry.timestamp)}</td>
+                  <td>
+                    {entry.user}
+                    <span className="audit-role">{entry.role}</span>
+                  </td>
+                  <td className="mono truncate" title={entry.connection}>{entry.connection || '-'}</td>
+                  <td>{entry.db}</td>
+                  <td className="mono">
+                    {entry.command}
+                    {entry.detail && <div className="audit-detail">{entry.detail}</div>}
+                  </td>
+                  <td className="mono truncate" title={entry.key}>{entry.key ?? '-'}</td>
+                  <td>
+                    <span
+                      className={`status-badge ${OUTCOME_CLASSES[entry.outcome] || ''}`}
+                      title={entry.error || undefined}
+                    >
+                      {entry.outcome}
+                    </span>
+                    {entry.error && <div className="audit-error">{entry.error}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {truncated && (
+            <div className="audit-more">
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => setLimit((prev) => prev + PAGE_SIZE)}
+                disabled={loading}
+              >
+                Load more
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
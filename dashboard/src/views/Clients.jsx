@@ -1,53 +1,30 @@
-import { useState, useEffect, useCallback } from 'react';
-import { useApp } from '../context/AppContext';
+import { useLiveMetrics } from '../hooks/useLiveMetrics';
+import LiveIndicator from '../components/LiveIndicator';
 import { formatDate } from '../utils/api';
 import './Clients.css';
 
 export default function Clients() {
-  const { api } = useApp();
-  const [clients, setClients] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // CLIENT LIST is pushed by the server's shared poller instead of fetched here
+  const metrics = useLiveMetrics();
+  const { error } = metrics;
+  const clients = metrics.clients || [];
 
-  const loadClients = useCallback(async () => {
-    if (!api) return;
-    try {
-      const data = await api.getClients();
-      // Handle different response formats
-      const clientList = Array.isArray(data) ? data : data?.clients || [];
-      setClients(clientList);
-      setError(null);
-    } catch (err) {
-      setError(err?.message || String(err) || 'An error occurred');
-    } finally {
-      setLoading(false);
-    }
-  }, [api]);
-
-  useEffect(() => {
-    loadClients();
-    const interval = setInterval(loadClients, 5000);
-    return () => clearInterval(interval);
-  }, [loadClients]);
-
-  if (loading) {
+  if (!metrics.clients && error) {
     return (
-      <div className="loading">
-        <div className="loading-spinner"></div>
-        <span>Loading clients...</span>
+      <div className="empty-state">
+        <span className="empty-state-icon">⚠️</span>
+        <h3 className="empty-state-title">Error loading clients</h3>
+        <p className="empty-state-description">{error}</p>
+        <p className="empty-state-description">The dashboard keeps retrying in the background.</p>
       </div>
     );
   }
 
-  if (error) {
+  if (!metrics.clients) {
     return (
-      <div className="empty-state">
-        <span className="empty-state-icon">⚠️</span>
-        <h3 className="empty-state-title">Error loading clients</h3>
-        <p className="empty-state-description">{error}</p>
-        <button className="btn btn-primary mt-4" onClick={loadClients}>
-          Retry
-        </button>
+      <div className="loading">
+        <div className="loading-spinner"></div>
+        <span>Loading clients...</span>
       </div>
     );
   }
@@ -58,9 +35,7 @@ export default function Clients() {
         <h1 className="page-title">Connected Clients</h1>
         <div className="page-actions">
           <span className="client-count">{clients.length} connected</span>
-          <button className="btn btn-secondary btn-sm" onClick={loadClients}>
-            Refresh
-          </button>
+          <LiveIndicator metrics={metrics} />
         </div>
       </div>
 
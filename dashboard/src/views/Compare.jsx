@@ -0,0 +1,339 @@
+import { useState, Fragment } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import { DEFAULT_COPY_FIELDS, getTypeColor, formatUptime, hasRole, keyId, displayKey, isBinaryKey } from '../utils/api';
+import JobProgress from '../components/JobProgress';
+import BinaryBadge from '../components/BinaryBadge';
+import CopyTargetFields from '../components/CopyTargetFields';
+import '../components/BulkActionModal.css';
+import './Compare.css';
+
+const KINDS = {
+  onlyInA: 'Only in A',
+  onlyInB: 'Only in B',
+  type: 'Type',
+  ttl: 'TTL',
+  value: 'Value',
+  unreadable: 'Unreadable',
+};
+
+// What the items of a value's differences are
+const ITEM_LABELS = {
+  string: '',
+  hash: 'Field',
+  list: 'Index',
+  set: 'Member',
+  zset: 'Member',
+  stream: 'Entry',
+  json: 'Path',
+};
+
+function describeSide(connection, db) {
+  return `db${db}${connection ? ` on ${connection}` : ''}`;
+}
+
+function formatTtl(side) {
+  if (!side) return '-';
+  return side.ttl === null ? 'none' : formatUptime(side.ttl);
+}
+
+// Set members are reported as present (true) or missing (null)
+function formatItemValue(value) {
+  if (value === null || value === undefined) return <span className="text-muted">—</span>;
+  if (value === true) return '✓';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// What differs in one key: its type and TTL on each side, and the items of
+// its value that differ
+function DifferenceDetail({ difference }) {
+  const { a, b, changes, moreChanges, error } = difference;
+  return (
+    <div className="compare-detail">
+      <div className="compare-detail-meta">
+        <span>A: {a ? <>{a.type}, TTL {formatTtl(a)}</> : 'missing'}</span>
+        <span>B: {b ? <>{b.type}, TTL {formatTtl(b)}</> : 'missing'}</span>
+      </div>
+      {error && <div className="text-danger">{error}</div>}
+      {changes.length > 0 && (
+        <table className="table compare-changes">
+          <thead>
+            <tr>
+              <th>{ITEM_LABELS[a.type]}</th>
+              <th>A</th>
+              <th>B</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(({ item, a: left, b: right }, index) => (
+              <tr key={index}>
+                <td className="mono">{item ?? ''}</td>
+                <td className="mono compare-value">{formatItemValue(left)}</td>
+                <td className="mono compare-value">{formatItemValue(right)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {moreChanges > 0 && <div className="text-muted">and {moreChanges.toLocaleString()} more differences</div>}
+    </div>
+  );
+}
+
+// Compare the selected database with another database or server (e.g. after
+// a migration between Redis and Redish). The comparison runs as a background
+// job; its differences can be drilled into key by key, and selected keys
+// synced from one side to the other. The job id is kept in the URL, so the
+// Jobs view can link to a comparison's results.
+export default function Compare() {
+  const { api, selectedDb, redisConnection, user } = useApp();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const jobId = searchParams.get('job');
+  const { job, error: jobError } = useJob(jobId);
+  const [pattern, setPattern] = useState('*');
+  const [fields, setFields] = useState(DEFAULT_COPY_FIELDS);
+  const [ttlTolerance, setTtlTolerance] = useState('5');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [kindFilter, setKindFilter] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [synced, setSynced] = useState({});
+  const canSync = hasRole(user, 'operator');
+
+  const handleCompare = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const target = await api.resolveCopyTarget(fields);
+      const data = await api.startJob('compare-keys', { pattern, target, ttlTolerance: parseInt(ttlTolerance) || 0 });
+      setSelected(new Set());
+      setSynced({});
+      setExpanded(null);
+      setSearchParams({ job: data.job.id });
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSync = async (direction) => {
+    const keys = result.differences
+      .filter((difference) => selected.has(keyId(difference)))
+      .map(({ key, encoding }) => ({ key, encoding }));
+    const [from, to] = direction === 'a-to-b' ? ['A', 'B'] : ['B', 'A'];
+    if (!confirm(`Copy ${keys.length} keys from ${from} to ${to}, overwriting them there? Keys ${from} lacks are deleted from ${to}.`)) {
+      return;
+    }
+    setError(null);
+    try {
+      const { results } = await api.syncKeys(jobId, keys, direction);
+      setSynced((prev) => {
+        const next = { ...prev };
+        results.forEach((reply) => {
+          next[keyId(reply)] = reply.error
+            ? { error: reply.error }
+            : { outcome: reply.outcome === 'deleted' ? `deleted from ${to}` : `synced ${from} → ${to}` };
+        });
+        return next;
+      });
+      setSelected(new Set());
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    }
+  };
+
+  const toggleSelected = (key) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const result = job?.type === 'compare-keys' ? job.result : null;
+  const differences = result?.differences.filter((d) => !kindFilter || d.kinds.includes(kindFilter)) ?? [];
+  const allSelected = differences.length > 0 && differences.every((d) => selected.has(keyId(d)));
+
+  return (
+    <div className="compare-view">
+      <div className="page-header">
+        <h1 className="page-title">Compare</h1>
+      </div>
+
+      <form className="card compare-form" onSubmit={handleCompare}>
+        <p className="bulk-text">
+          Compare the keys of db{selectedDb} on {redisConnection} (A) with another database (B).
+        </p>
+        <div className="bulk-fields">
+          <div className="form-group bulk-pattern">
+            <label className="form-label">Pattern</label>
+            <input
+              type="text"
+              className="input mono"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">TTL tolerance (seconds)</label>
+            <input
+              type="number"
+              className="input"
+              min="0"
+              value={ttlTolerance}
+              onChange={(e) => setTtlTolerance(e.target.value)}
+            />
+          </div>
+        </div>
+        <CopyTargetFields fields={fields} onChange={setFields} targetOnly label="Compare with" />
+        {(error || jobError) && <div className="bulk-error">{error || jobError}</div>}
+        <button type="submit" className="btn btn-primary" disabled={busy || isJobActive(job)}>
+          {busy ? 'Starting…' : 'Compare'}
+        </button>
+      </form>
+
+      {job && (
+        <JobProgress job={job} onCancel={(id) => api.cancelJob(id)}>
+          {job.type === 'compare-keys' && (
+            <p className="compare-sides">
+              A is {describeSide(job.connection, job.db)}, B is{' '}
+              {describeSide(job.params.target.connection || job.connection, job.params.target.db)}
+            </p>
+          )}
+        </JobProgress>
+      )}
+
+      {result && (
+        <div className="compare-results">
+          <div className="compare-summary">
+            <span>
+              {result.matched.a.toLocaleString()} keys in A, {result.matched.b.toLocaleString()} in B,{' '}
+              {result.identical.toLocaleString()} identical
+            </span>
+            <button
+              type="button"
+              className={`btn btn-sm ${kindFilter === '' ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setKindFilter('')}
+            >
+              All differences
+            </button>
+            {Object.entries(KINDS).filter(([kind]) => result.counts[kind] > 0).map(([kind, label]) => (
+              <button
+                key={kind}
+                type="button"
+                className={`btn btn-sm ${kindFilter === kind ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setKindFilter(kind)}
+              >
+                {label}: {result.counts[kind].toLocaleString()}
+              </button>
+            ))}
+          </div>
+          {result.truncated && (
+            <p className="text-muted">
+              Only the first {result.differences.length.toLocaleString()} differences are listed; narrow the pattern to see the rest.
+            </p>
+          )}
+
+          {canSync && !isJobActive(job) && differences.length > 0 && (
+            <div className="compare-actions">
+              <span>{selected.size.toLocaleString()} selected</span>
+              <button type="button" className="btn btn-secondary btn-sm" disabled={selected.size === 0} onClick={() => handleSync('a-to-b')}>
+                Sync A → B
+              </button>
+              <button type="button" className="btn btn-secondary btn-sm" disabled={selected.size === 0} onClick={() => handleSync('b-to-a')}>
+                Sync B → A
+              </button>
+            </div>
+          )}
+
+          {differences.length === 0 ? (
+            <div className="empty-state">
+              <span className="empty-state-icon">✅</span>
+              <h3 className="empty-state-title">{isJobActive(job) ? 'No differences so far' : 'No differences'}</h3>
+            </div>
+          ) : (
+            <div className="compare-table-container">
+              <table className="table compare-table">
+                <thead>
+                  <tr>
+                    {canSync && (
+                      <th>
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          onChange={() => setSelected(allSelected ? new Set() : new Set(differences.map(keyId)))}
+                        />
+                      </th>
+                    )}
+                    <th>Key</th>
+                    <th>Differences</th>
+                    <th>A</th>
+                    <th>B</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {differences.map((difference) => (
+                    <Fragment key={keyId(difference)}>
+                      <tr
+                        className="compare-row"
+                        onClick={() => setExpanded(expanded === keyId(difference) ? null : keyId(difference))}
+                      >
+                        {canSync && (
+                          <td onClick={(e) => e.stopPropagation()}>
+                            <input
+                              type="checkbox"
+                              checked={selected.has(keyId(difference))}
+                              onChange={() => toggleSelected(keyId(difference))}
+                            />
+                          </td>
+                        )}
+                        <td className="mono truncate" title={displayKey(difference)}>
+                          {displayKey(difference)}
+                          {isBinaryKey(difference) && <BinaryBadge />}
+                        </td>
+                        <td>
+                          {difference.kinds.map((kind) => (
+                            <span key={kind} className="compare-kind">{KINDS[kind]}</span>
+                          ))}
+                        </td>
+                        <td>
+                          {difference.a
+                            ? <span className={`type-badge ${getTypeColor(difference.a.type)}`}>{difference.a.type}</span>
+                            : '-'}
+                        </td>
+                        <td>
+                          {difference.b
+                            ? <span className={`type-badge ${getTypeColor(difference.b.type)}`}>{difference.b.type}</span>
+                            : '-'}
+                        </td>
+                        <td className="compare-synced">
+                          {synced[keyId(difference)]?.error
+                            ? <span className="text-danger">{synced[keyId(difference)].error}</span>
+                            : synced[keyId(difference)]?.outcome}
+                        </td>
+                      </tr>
+                      {expanded === keyId(difference) && (
+                        <tr>
+                          <td colSpan={canSync ? 6 : 5}>
+                            <DifferenceDetail difference={difference} />
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,18 @@
 import { useState, useRef, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
+import Modal from '../components/Modal';
 import './Console.css';
 
 export default function Console() {
-  const { api } = useApp();
+  const { api, selectDatabase } = useApp();
   const [command, setCommand] = useState('');
   const [history, setHistory] = useState([]);
   const [historyIndex, setHistoryIndex] = useState(-1);
   const [commandHistory, setCommandHistory] = useState([]);
+  // Challenge for a command the server's policy wants confirmed:
+  // { command, token, phrase }
+  const [pendingConfirmation, setPendingConfirmation] = useState(null);
+  const [confirmText, setConfirmText] = useState('');
   const outputRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -42,20 +47,51 @@ export default function Console() {
       { type: 'command', content: trimmedCmd, timestamp: new Date() },
     ]);
 
+    await runCommand(trimmedCmd);
+    setCommand('');
+  };
+
+  const runCommand = async (trimmedCmd, confirmation) => {
     try {
-      const result = await api.executeCommand(trimmedCmd);
+      const result = await api.executeCommand(trimmedCmd, confirmation);
       setHistory((prev) => [
         ...prev,
         { type: 'result', content: formatResult(result), timestamp: new Date() },
       ]);
+
+      // Keep the session's selected database in step with SELECT
+      const selectMatch = trimmedCmd.match(/^select\s+(\d+)$/i);
+      if (selectMatch) {
+        await selectDatabase(parseInt(selectMatch[1]));
+      }
     } catch (err) {
+      if (err.data?.code === 'CONFIRMATION_REQUIRED') {
+        setConfirmText('');
+        setPendingConfirmation({ command: trimmedCmd, ...err.data.confirmation });
+        return;
+      }
       setHistory((prev) => [
         ...prev,
         { type: 'error', content: err.message, timestamp: new Date() },
       ]);
     }
+  };
 
-    setCommand('');
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const { command: confirmedCmd, token } = pendingConfirmation;
+    setPendingConfirmation(null);
+    await runCommand(confirmedCmd, { token, phrase: confirmText });
+    inputRef.current?.focus();
+  };
+
+  const handleCancelConfirm = () => {
+    setPendingConfirmation(null);
+    setHistory((prev) => [
+      ...prev,
+      { type: 'error', content: 'Command cancelled', timestamp: new Date() },
+    ]);
+    inputRef.current?.focus();
   };
 
   const formatResult = (result) => {
@@ -189,6 +225,47 @@ export default function Console() {
           <HintButton command="CONFIG GET *" onClick={executeCommand} />
         </div>
       </div>
+
+      <Modal
+        isOpen={Boolean(pendingConfirmation)}
+        onClose={handleCancelConfirm}
+        title="Confirm Command"
+      >
+        {pendingConfirmation && (
+          <form onSubmit={handleConfirm}>
+            <p className="console-confirm-text">
+              The command policy requires confirmation for{' '}
+              <code className="mono">{pendingConfirmation.command}</code>.
+            </p>
+            <div className="form-group">
+              <label className="form-label">
+                Type <strong className="mono">{pendingConfirmation.phrase}</strong> to run it
+              </label>
+              <input
+                type="text"
+                className="input mono"
+                value={confirmText}
+                onChange={(e) => setConfirmText(e.target.value)}
+                autoComplete="off"
+                spellCheck="false"
+                autoFocus
+              />
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={handleCancelConfirm}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-danger"
+                disabled={confirmText !== pendingConfirmation.phrase}
+              >
+                Run Command
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
     </div>
   );
 }
@@ -5,7 +5,11 @@ import Sidebar from '../components/Sidebar';
 import './Dashboard.css';
 
 export default function Dashboard() {
-  const { isConnected, isConnecting } = useApp();
+  const { user, isConnected, isConnecting } = useApp();
+
+  if (!user) {
+    return <Navigate to="/" replace />;
+  }
 
   if (isConnecting) {
     return (
@@ -1,16 +1,20 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
-import { formatNumber } from '../utils/api';
+import { formatNumber, hasRole } from '../utils/api';
+import KeyspaceProfile from '../components/KeyspaceProfile';
 import './Databases.css';
 
 export default function Databases() {
-  const { api, selectedDb, selectDatabase } = useApp();
+  const { api, selectedDb, selectDatabase, user, readOnly } = useApp();
+  const canFlush = hasRole(user, 'admin') && !readOnly;
   const navigate = useNavigate();
   const [databases, setDatabases] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dbCount, setDbCount] = useState(16);
+  // Database whose keyspace profile is shown
+  const [profiledDb, setProfiledDb] = useState(null);
 
   const loadDatabases = useCallback(async () => {
     if (!api) return;
@@ -21,12 +25,8 @@ export default function Databases() {
       // Try to get the configured number of databases
       let configuredDbs = 16;
       try {
-        const config = await api.executeCommand('CONFIG GET databases');
-        if (Array.isArray(config) && config.length >= 2) {
-          configuredDbs = parseInt(config[1]) || 16;
-        } else if (config?.databases) {
-          configuredDbs = parseInt(config.databases) || 16;
-        }
+        const { count } = await api.getDatabaseCount();
+        configuredDbs = count || 16;
       } catch {
         // Fall back to default if CONFIG is not available
       }
@@ -111,9 +111,7 @@ export default function Databases() {
     }
 
     try {
-      // Select the database first, then flush it
-      await api.selectDatabase(dbIndex);
-      await api.flushDatabase();
+      await api.flushDatabase(dbIndex);
       // Refresh the list
       loadDatabases();
     } catch (err) {
@@ -179,6 +177,8 @@ export default function Databases() {
         </p>
       </div>
 
+      {profiledDb !== null && <KeyspaceProfile db={profiledDb} onClose={() => setProfiledDb(null)} />}
+
       <div className="databases-grid">
         {databases.map((db) => (
           <div
@@ -221,10 +221,17 @@ export default function Databases() {
                   Browse Keys
                 </button>
               )}
+              {db.keys > 0 && (
+                <button className="btn btn-secondary btn-sm" onClick={() => setProfiledDb(db.index)}>
+                  Profile
+                </button>
+              )}
               {db.keys > 0 && (
                 <button
                   className="btn btn-danger btn-sm"
                   onClick={() => handleFlushDatabase(db.index)}
+                  disabled={!canFlush}
+                  title={canFlush ? undefined : readOnly ? 'This connection is read-only' : 'Flushing requires the admin role'}
                 >
                   Flush
                 </button>
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useJobs } from '../hooks/useJobs';
+import { hasRole, formatBytes } from '../utils/api';
+import JobProgress from '../components/JobProgress';
+import ReplayModal from '../components/ReplayModal';
+import ReplayTally from '../components/ReplayTally';
+import './Jobs.css';
+
+const KEY_TYPES = ['string', 'hash', 'list', 'set', 'zset', 'stream'];
+
+function JobResult({ job }) {
+  // A replay's tally is worth seeing while it runs and after it fails
+  if (job.type === 'replay' && job.result) {
+    return <ReplayTally tally={job.result} dryRun={job.params.dryRun} />;
+  }
+  if (job.status !== 'completed' || !job.result) return null;
+
+  if (job.type === 'count-keys') {
+    const counts = Object.entries(job.result.byType || {});
+    return (
+      <div className="job-result">
+        {counts.length === 0
+          ? 'No matching keys'
+          : counts.map(([type, count]) => (
+            <span key={type} className="job-result-count">
+              <span className={`type-badge type-${type}`}>{type}</span> {count.toLocaleString()}
+            </span>
+          ))}
+      </div>
+    );
+  }
+
+  if (job.type === 'compare-keys') {
+    const differences = Object.values(job.result.counts).some((count) => count > 0);
+    return (
+      <div className="job-result">
+        <span>
+          {job.result.identical.toLocaleString()} identical of {job.result.compared.toLocaleString()} keys in both,{' '}
+          {job.result.counts.onlyInA.toLocaleString()} only in A, {job.result.counts.onlyInB.toLocaleString()} only in B
+        </span>
+        {differences && <Link to={`/compare?job=${job.id}`}>Show differences</Link>}
+      </div>
+    );
+  }
+
+  if (job.type === 'memory-analysis') {
+    return (
+      <div className="job-result">
+        <span>{job.result.keys.toLocaleString()} keys using {formatBytes(job.result.memory)}</span>
+        <Link to={`/memory?job=${job.id}`}>Show report</Link>
+      </div>
+    );
+  }
+
+  return <pre className="job-result mono">{JSON.stringify(job.result, null, 2)}</pre>;
+}
+
+export default function Jobs() {
+  const { api, selectedDb, user, readOnly } = useApp();
+  const { jobs, error, refresh, cancel, remove } = useJobs();
+  const canReplay = hasRole(user, 'admin') && !readOnly;
+  const [showReplayModal, setShowReplayModal] = useState(false);
+  const [pattern, setPattern] = useState('*');
+  const [type, setType] = useState('');
+  const [startError, setStartError] = useState(null);
+  const [starting, setStarting] = useState(false);
+
+  const handleCountKeys = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    try {
+      await api.startJob('count-keys', { pattern: pattern || '*', type });
+      setStartError(null);
+      refresh();
+    } catch (err) {
+      setStartError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="jobs-view">
+      <div className="page-header">
+        <h1 className="page-title">Background Jobs</h1>
+        <div className="page-actions">
+          {canReplay && (
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowReplayModal(true)}>
+              Replay Command Log
+            </button>
+          )}
+          <button className="btn btn-secondary btn-sm" onClick={refresh}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <form className="jobs-start" onSubmit={handleCountKeys}>
+        <span className="jobs-start-label">Count keys in db{selectedDb}</span>
+        <input
+          type="text"
+          className="input"
+          placeholder="Pattern (e.g., user:*)"
+          value={pattern}
+          onChange={(e) => setPattern(e.target.value)}
+        />
+        <select className="select" value={type} onChange={(e) => setType(e.target.value)}>
+          <option value="">All types</option>
+          {KEY_TYPES.map((t) => (
+            <option key={t} value={t}>{t}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn btn-primary" disabled={starting}>
+          Start
+        </button>
+      </form>
+
+      {(startError || error) && <div className="jobs-error">{startError || error}</div>}
+
+      {jobs === null ? (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <span>Loading jobs...</span>
+        </div>
+      ) : jobs.length === 0 ? (
+        <div className="empty-state">
+          <span className="empty-state-icon">⏳</span>
+          <h3 className="empty-state-title">No jobs</h3>
+          <p className="empty-state-description">
+            Long-running keyspace operations run here in the background and keep going after you leave the page.
+          </p>
+        </div>
+      ) : (
+        <div className="jobs-list">
+          {jobs.map((job) => (
+            <JobProgress key={job.id} job={job} onCancel={cancel} onRemove={remove}>
+              <JobResult job={job} />
+            </JobProgress>
+          ))}
+        </div>
+      )}
+
+      <ReplayModal
+        isOpen={showReplayModal}
+        onClose={() => {
+          setShowReplayModal(false);
+          refresh();
+        }}
+      />
+    </div>
+  );
+}
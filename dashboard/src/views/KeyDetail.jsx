@@ -1,10 +1,34 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
-import { getTypeColor, formatUptime } from '../utils/api';
+import { getTypeColor, formatUptime, formatBytes, hasRole, displayKey, isBinaryKey, downloadFile } from '../utils/api';
+import { HEX_DUMP_LIMIT, base64ToBytes, bytesToBase64, textToBytes, escapeBytes, hexDump } from '../utils/binary';
+import { usePagedValue } from '../hooks/usePagedValue';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+import CopyKeyModal from '../components/CopyKeyModal';
+import BinaryBadge from '../components/BinaryBadge';
 import './KeyDetail.css';
 
+// Types whose value is read a page at a time by its own component, so keys
+// of any size can be opened
+const PAGED_TYPES = ['hash', 'list', 'set', 'zset'];
+// Height of an item row of a paged value (see .paged-table in KeyDetail.css)
+const ITEM_ROW_HEIGHT = 32;
+// Ways a string value can be shown
+const STRING_VIEWS = [
+  ['text', 'Text'],
+  ['hex', 'Hex dump'],
+  ['base64', 'Base64'],
+];
+
 export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefresh }) {
-  const { api } = useApp();
+  const { api, user, readOnly } = useApp();
+  // Viewers and read-only connections only read; removing a TTL is reserved
+  // for admins
+  const canEdit = hasRole(user, 'operator') && !readOnly;
+  const canRemoveTtl = canEdit && hasRole(user, 'admin');
+  // Copying only writes to the target, so it is open to operators on
+  // read-only connections too; moving deletes the source
+  const canCopy = hasRole(user, 'operator');
   const [value, setValue] = useState(null);
   const [ttl, setTtl] = useState(-1);
   const [loading, setLoading] = useState(true);
@@ -12,6 +36,8 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
   const [editMode, setEditMode] = useState(false);
   const [editValue, setEditValue] = useState('');
   const [newTtl, setNewTtl] = useState('');
+  const [showCopyModal, setShowCopyModal] = useState(false);
+  const paged = PAGED_TYPES.includes(keyType?.toLowerCase());
 
   const loadValue = useCallback(async () => {
     if (!api || !keyName) return;
@@ -20,19 +46,21 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
 
     try {
       const [valueData, ttlData] = await Promise.all([
-        api.getKeyValue(keyName, keyType),
+        paged ? null : api.getKeyValue(keyName, keyType),
         api.getKeyTTL(keyName).catch(() => -1),
       ]);
 
       setValue(valueData);
       setTtl(ttlData?.ttl ?? ttlData ?? -1);
-      setEditValue(typeof valueData === 'string' ? valueData : JSON.stringify(valueData, null, 2));
+      // Strings come as { value, encoding }, and binary ones are edited in
+      // base64
+      setEditValue(keyType === 'string' ? valueData?.value ?? '' : JSON.stringify(valueData, null, 2));
     } catch (err) {
       setError(err?.message || String(err) || 'An error occurred');
     } finally {
       setLoading(false);
     }
-  }, [api, keyName, keyType]);
+  }, [api, keyName, keyType, paged]);
 
   useEffect(() => {
     loadValue();
@@ -41,7 +69,7 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
   const handleSave = async () => {
     try {
       if (keyType === 'string') {
-        await api.setString(keyName, editValue);
+        await api.setString(keyName, editValue, null, value.encoding);
       } else if (keyType === 'json') {
         await api.setJson(keyName, JSON.parse(editValue));
       }
@@ -86,7 +114,7 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
       return <div className="text-danger">{error}</div>;
     }
 
-    if (value === null || value === undefined) {
+    if (!paged && (value === null || value === undefined)) {
       return <div className="text-muted">No value</div>;
     }
 
@@ -94,6 +122,9 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
       case 'string':
         return editMode ? (
           <div className="edit-string">
+            {value.encoding !== 'utf8' && (
+              <div className="text-muted string-note">Binary value, edited in base64</div>
+            )}
             <textarea
               className="textarea code-block"
               value={editValue}
@@ -108,7 +139,7 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
                 className="btn btn-secondary btn-sm"
                 onClick={() => {
                   setEditMode(false);
-                  setEditValue(value);
+                  setEditValue(value.value);
                 }}
               >
                 Cancel
@@ -116,25 +147,27 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
             </div>
           </div>
         ) : (
-          <div className="string-value">
-            <pre className="code-block">{value}</pre>
-            <button className="btn btn-secondary btn-sm mt-2" onClick={() => setEditMode(true)}>
-              Edit
-            </button>
-          </div>
+          <>
+            <StringValue data={value} keyName={keyName} />
+            {canEdit && (
+              <button className="btn btn-secondary btn-sm mt-2" onClick={() => setEditMode(true)}>
+                Edit
+              </button>
+            )}
+          </>
         );
 
       case 'hash':
-        return <HashValue value={value} keyName={keyName} api={api} onRefresh={loadValue} />;
+        return <HashValue keyName={keyName} api={api} readOnly={!canEdit} />;
 
       case 'list':
-        return <ListValue value={value} keyName={keyName} api={api} onRefresh={loadValue} />;
+        return <ListValue keyName={keyName} api={api} readOnly={!canEdit} />;
 
       case 'set':
-        return <SetValue value={value} keyName={keyName} api={api} onRefresh={loadValue} />;
+        return <SetValue keyName={keyName} api={api} readOnly={!canEdit} />;
 
       case 'zset':
-        return <SortedSetValue value={value} keyName={keyName} api={api} onRefresh={loadValue} />;
+        return <SortedSetValue keyName={keyName} api={api} readOnly={!canEdit} />;
 
       case 'stream':
         return <StreamValue value={value} />;
@@ -166,9 +199,11 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
         ) : (
           <div className="json-value">
             <pre className="code-block">{JSON.stringify(value, null, 2)}</pre>
-            <button className="btn btn-secondary btn-sm mt-2" onClick={() => setEditMode(true)}>
-              Edit
-            </button>
+            {canEdit && (
+              <button className="btn btn-secondary btn-sm mt-2" onClick={() => setEditMode(true)}>
+                Edit
+              </button>
+            )}
           </div>
         );
 
@@ -186,7 +221,10 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
       <div className="key-detail-header">
         <div className="key-detail-title">
           <span className={`type-badge ${getTypeColor(keyType)}`}>{keyType || 'unknown'}</span>
-          <h3 className="key-name mono">{keyName}</h3>
+          <h3 className="key-name mono">
+            {displayKey(keyName)}
+            {isBinaryKey(keyName) && <BinaryBadge />}
+          </h3>
         </div>
         <button className="btn-icon" onClick={onClose} title="Close">
           &times;
@@ -205,24 +243,26 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
           )}
         </div>
 
-        <div className="ttl-actions">
-          <input
-            type="number"
-            className="input ttl-input"
-            placeholder="Seconds"
-            value={newTtl}
-            onChange={(e) => setNewTtl(e.target.value)}
-            min="1"
-          />
-          <button className="btn btn-secondary btn-sm" onClick={handleSetTTL} disabled={!newTtl}>
-            Set TTL
-          </button>
-          {ttl > 0 && (
-            <button className="btn btn-secondary btn-sm" onClick={handleRemoveTTL}>
-              Remove TTL
+        {canEdit && (
+          <div className="ttl-actions">
+            <input
+              type="number"
+              className="input ttl-input"
+              placeholder="Seconds"
+              value={newTtl}
+              onChange={(e) => setNewTtl(e.target.value)}
+              min="1"
+            />
+            <button className="btn btn-secondary btn-sm" onClick={handleSetTTL} disabled={!newTtl}>
+              Set TTL
             </button>
-          )}
-        </div>
+            {ttl > 0 && canRemoveTtl && (
+              <button className="btn btn-secondary btn-sm" onClick={handleRemoveTTL}>
+                Remove TTL
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="key-detail-value">{renderValue()}</div>
@@ -231,37 +271,205 @@ export default function KeyDetail({ keyName, keyType, onClose, onDelete, onRefre
         <button className="btn btn-secondary btn-sm" onClick={loadValue}>
           Refresh
         </button>
-        <button className="btn btn-danger btn-sm" onClick={onDelete}>
-          Delete Key
+        {canCopy && (
+          <button className="btn btn-secondary btn-sm" onClick={() => setShowCopyModal(true)}>
+            {canEdit ? 'Copy / Move' : 'Copy'}
+          </button>
+        )}
+        {canEdit && (
+          <button className="btn btn-danger btn-sm" onClick={onDelete}>
+            Delete Key
+          </button>
+        )}
+      </div>
+
+      <CopyKeyModal
+        isOpen={showCopyModal}
+        onClose={() => setShowCopyModal(false)}
+        keyName={keyName}
+        canMove={canEdit}
+        onMoved={() => {
+          onRefresh?.();
+          onClose();
+        }}
+      />
+    </div>
+  );
+}
+
+// A string value as text, as a hex dump or in base64, and a download of it.
+// data is { value, encoding } as RedisApi.getString returns it; binary
+// values (not valid UTF-8) are flagged and open as a hex dump, and as text
+// have their unprintable bytes escaped.
+function StringValue({ data, keyName }) {
+  const binary = data.encoding !== 'utf8';
+  const [view, setView] = useState(binary ? 'hex' : 'text');
+  const bytes = useMemo(
+    () => (binary ? base64ToBytes(data.value) : textToBytes(data.value)),
+    [data, binary],
+  );
+
+  let shown;
+  if (view === 'hex') {
+    shown = hexDump(bytes);
+  } else if (view === 'base64') {
+    shown = binary ? data.value : bytesToBase64(bytes);
+  } else {
+    shown = binary ? escapeBytes(bytes) : data.value;
+  }
+
+  const handleDownload = () => {
+    const name = displayKey(keyName).replace(/[^\w.-]+/g, '_');
+    downloadFile(`${name}.${binary ? 'bin' : 'txt'}`, bytes, binary ? 'application/octet-stream' : 'text/plain');
+  };
+
+  return (
+    <div className="string-value">
+      <div className="string-toolbar">
+        <select className="select" value={view} onChange={(e) => setView(e.target.value)}>
+          {STRING_VIEWS.map(([name, label]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+        <span className="text-muted string-size">
+          {formatBytes(bytes.length)}
+          {binary && <BinaryBadge />}
+        </span>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={handleDownload}>
+          Download
         </button>
       </div>
+      <pre className={`code-block ${view === 'hex' ? 'hex-dump' : ''}`}>{shown}</pre>
+      {view === 'hex' && bytes.length > HEX_DUMP_LIMIT && (
+        <div className="text-muted string-note">
+          The first {formatBytes(HEX_DUMP_LIMIT)} of {formatBytes(bytes.length)}; download the value for the rest
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A cell of a field, member or list element of a paged value. Binary ones
+// (see RedisApi.getValuePage) come in base64, and are shown with their
+// unprintable bytes escaped.
+function BytesCell({ text, encoding }) {
+  if (!encoding) {
+    return <td className="mono truncate" title={text}>{text}</td>;
+  }
+  const escaped = escapeBytes(base64ToBytes(text));
+  return (
+    <td className="mono truncate" title={escaped}>
+      {escaped}
+      <BinaryBadge />
+    </td>
+  );
+}
+
+// A collection value read a page at a time (see usePagedValue): a MATCH
+// filter, and the items loaded so far in a virtualized table that reads on as
+// it is scrolled to the end. columns are [{ label, width }]; renderCells(item)
+// renders the cells of an item's row.
+function PagedTable({ page, match, onMatch, placeholder, columns, rowKey, renderCells }) {
+  const [filterInput, setFilterInput] = useState(match);
+  const { items, total, loading, error, done, loadMore } = page;
+  const rows = useVirtualRows(items.length, ITEM_ROW_HEIGHT);
+
+  useEffect(() => {
+    if (rows.atEnd && !done) loadMore();
+  }, [rows.atEnd, done, loadMore]);
+
+  return (
+    <div className="paged-value">
+      <form
+        className="paged-filter"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onMatch(filterInput.trim());
+        }}
+      >
+        <input
+          type="text"
+          className="input mono"
+          placeholder={placeholder}
+          value={filterInput}
+          onChange={(e) => setFilterInput(e.target.value)}
+        />
+        <button type="submit" className="btn btn-secondary btn-sm">
+          Filter
+        </button>
+      </form>
+
+      <div className="paged-items" ref={rows.containerRef} onScroll={rows.onScroll}>
+        <table className="table paged-table">
+          <thead>
+            <tr>
+              {columns.map(({ label, width }, index) => (
+                <th key={index} style={width ? { width } : undefined}>{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.paddingTop > 0 && (
+              <tr className="paged-spacer" style={{ height: rows.paddingTop }}>
+                <td colSpan={columns.length}></td>
+              </tr>
+            )}
+            {items.slice(rows.start, rows.end).map((item) => (
+              <tr key={rowKey(item)}>{renderCells(item)}</tr>
+            ))}
+            {rows.paddingBottom > 0 && (
+              <tr className="paged-spacer" style={{ height: rows.paddingBottom }}>
+                <td colSpan={columns.length}></td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="paged-status">
+        {error ? (
+          <span className="text-danger">{error}</span>
+        ) : (
+          <span>
+            {items.length.toLocaleString()}
+            {match ? ' matching' : ''}
+            {done ? '' : ' so far'}
+            {total !== null && <> of {total.toLocaleString()}</>}
+          </span>
+        )}
+        {loading ? (
+          <span>Loading…</span>
+        ) : !done && (
+          <button type="button" className="btn btn-secondary btn-sm" onClick={loadMore}>
+            Load more
+          </button>
+        )}
+      </div>
     </div>
   );
 }
 
 // Hash Value Component
-function HashValue({ value, keyName, api, onRefresh }) {
+function HashValue({ keyName, api, readOnly }) {
   const [newField, setNewField] = useState({ key: '', value: '' });
-
-  const entries = value
-    ? Object.entries(value).map(([k, v]) => ({ field: k, value: v }))
-    : [];
+  const [match, setMatch] = useState('');
+  const page = usePagedValue(keyName, 'hash', match);
 
   const handleAddField = async () => {
     if (!newField.key.trim()) return;
     try {
       await api.setHashField(keyName, newField.key, newField.value);
       setNewField({ key: '', value: '' });
-      onRefresh();
+      page.reload();
     } catch (err) {
       alert(`Failed to add field: ${err.message}`);
     }
   };
 
-  const handleDeleteField = async (field) => {
+  const handleDeleteField = async (field, encoding) => {
     try {
-      await api.deleteHashField(keyName, field);
-      onRefresh();
+      await api.deleteHashField(keyName, field, encoding);
+      page.reload();
     } catch (err) {
       alert(`Failed to delete field: ${err.message}`);
     }
@@ -269,63 +477,65 @@ function HashValue({ value, keyName, api, onRefresh }) {
 
   return (
     <div className="hash-value">
-      <table className="table">
-        <thead>
-          <tr>
-            <th>Field</th>
-            <th>Value</th>
-            <th style={{ width: '60px' }}></th>
-          </tr>
-        </thead>
-        <tbody>
-          {entries.map(({ field, value }) => (
-            <tr key={field}>
-              <td className="mono">{field}</td>
-              <td className="mono truncate">{value}</td>
-              <td>
-                <button className="btn-icon text-danger" onClick={() => handleDeleteField(field)}>
+      <PagedTable
+        page={page}
+        match={match}
+        onMatch={setMatch}
+        placeholder="Filter fields (e.g. user:*)"
+        columns={[{ label: 'Field' }, { label: 'Value' }, { label: '', width: '60px' }]}
+        rowKey={(item) => item.field}
+        renderCells={({ field, value, encodings = {} }) => (
+          <>
+            <BytesCell text={field} encoding={encodings.field} />
+            <BytesCell text={value} encoding={encodings.value} />
+            <td>
+              {!readOnly && (
+                <button className="btn-icon text-danger" onClick={() => handleDeleteField(field, encodings.field)}>
                   &times;
                 </button>
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-
-      <div className="add-field-form">
-        <input
-          type="text"
-          className="input"
-          placeholder="Field"
-          value={newField.key}
-          onChange={(e) => setNewField({ ...newField, key: e.target.value })}
-        />
-        <input
-          type="text"
-          className="input"
-          placeholder="Value"
-          value={newField.value}
-          onChange={(e) => setNewField({ ...newField, value: e.target.value })}
-        />
-        <button className="btn btn-primary btn-sm" onClick={handleAddField}>
-          Add
-        </button>
-      </div>
+              )}
+            </td>
+          </>
+        )}
+      />
+
+      {!readOnly && (
+        <div className="add-field-form">
+          <input
+            type="text"
+            className="input"
+            placeholder="Field"
+            value={newField.key}
+            onChange={(e) => setNewField({ ...newField, key: e.target.value })}
+          />
+          <input
+            type="text"
+            className="input"
+            placeholder="Value"
+            value={newField.value}
+            onChange={(e) => setNewField({ ...newField, value: e.target.value })}
+          />
+          <button className="btn btn-primary btn-sm" onClick={handleAddField}>
+            Add
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
 // List Value Component
-function ListValue({ value, keyName, api, onRefresh }) {
+function ListValue({ keyName, api, readOnly }) {
   const [newItem, setNewItem] = useState('');
-  const items = Array.isArray(value) ? value : [];
+  const [match, setMatch] = useState('');
+  const page = usePagedValue(keyName, 'list', match);
 
   const handlePush = async (position) => {
     if (!newItem.trim()) return;
     try {
       await api.pushToList(keyName, [newItem], position);
       setNewItem('');
-      onRefresh();
+      page.reload();
     } catch (err) {
       alert(`Failed to push: ${err.message}`);
     }
@@ -333,54 +543,63 @@ function ListValue({ value, keyName, api, onRefresh }) {
 
   return (
     <div className="list-value">
-      <div className="list-items">
-        {items.map((item, index) => (
-          <div key={index} className="list-item">
-            <span className="list-index">{index}</span>
-            <span className="list-item-value mono">{item}</span>
-          </div>
-        ))}
-      </div>
-
-      <div className="add-item-form">
-        <input
-          type="text"
-          className="input"
-          placeholder="New item"
-          value={newItem}
-          onChange={(e) => setNewItem(e.target.value)}
-        />
-        <button className="btn btn-secondary btn-sm" onClick={() => handlePush('left')}>
-          Push Left
-        </button>
-        <button className="btn btn-primary btn-sm" onClick={() => handlePush('right')}>
-          Push Right
-        </button>
-      </div>
+      <PagedTable
+        page={page}
+        match={match}
+        onMatch={setMatch}
+        placeholder="Filter items (e.g. *error*)"
+        columns={[{ label: 'Index', width: '70px' }, { label: 'Value' }]}
+        rowKey={(item) => item.index}
+        renderCells={({ index, value, encodings = {} }) => (
+          <>
+            <td className="list-index">{index}</td>
+            <BytesCell text={value} encoding={encodings.value} />
+          </>
+        )}
+      />
+
+      {!readOnly && (
+        <div className="add-item-form">
+          <input
+            type="text"
+            className="input"
+            placeholder="New item"
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+          />
+          <button className="btn btn-secondary btn-sm" onClick={() => handlePush('left')}>
+            Push Left
+          </button>
+          <button className="btn btn-primary btn-sm" onClick={() => handlePush('right')}>
+            Push Right
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
 // Set Value Component
-function SetValue({ value, keyName, api, onRefresh }) {
+function SetValue({ keyName, api, readOnly }) {
   const [newMember, setNewMember] = useState('');
-  const members = Array.isArray(value) ? value : [];
+  const [match, setMatch] = useState('');
+  const page = usePagedValue(keyName, 'set', match);
 
   const handleAdd = async () => {
     if (!newMember.trim()) return;
     try {
       await api.addToSet(keyName, [newMember]);
       setNewMember('');
-      onRefresh();
+      page.reload();
     } catch (err) {
       alert(`Failed to add member: ${err.message}`);
     }
   };
 
-  const handleRemove = async (member) => {
+  const handleRemove = async (member, encoding) => {
     try {
-      await api.removeFromSet(keyName, [member]);
-      onRefresh();
+      await api.removeFromSet(keyName, [member], encoding);
+      page.reload();
     } catch (err) {
       alert(`Failed to remove member: ${err.message}`);
     }
@@ -388,47 +607,51 @@ function SetValue({ value, keyName, api, onRefresh }) {
 
   return (
     <div className="set-value">
-      <div className="set-members">
-        {members.map((member, index) => (
-          <div key={index} className="set-member">
-            <span className="mono">{member}</span>
-            <button className="btn-icon text-danger" onClick={() => handleRemove(member)}>
-              &times;
-            </button>
-          </div>
-        ))}
-      </div>
-
-      <div className="add-member-form">
-        <input
-          type="text"
-          className="input"
-          placeholder="New member"
-          value={newMember}
-          onChange={(e) => setNewMember(e.target.value)}
-        />
-        <button className="btn btn-primary btn-sm" onClick={handleAdd}>
-          Add Member
-        </button>
-      </div>
+      <PagedTable
+        page={page}
+        match={match}
+        onMatch={setMatch}
+        placeholder="Filter members (e.g. user:*)"
+        columns={[{ label: 'Member' }, { label: '', width: '60px' }]}
+        rowKey={(item) => item.member}
+        renderCells={({ member, encodings = {} }) => (
+          <>
+            <BytesCell text={member} encoding={encodings.member} />
+            <td>
+              {!readOnly && (
+                <button className="btn-icon text-danger" onClick={() => handleRemove(member, encodings.member)}>
+                  &times;
+                </button>
+              )}
+            </td>
+          </>
+        )}
+      />
+
+      {!readOnly && (
+        <div className="add-member-form">
+          <input
+            type="text"
+            className="input"
+            placeholder="New member"
+            value={newMember}
+            onChange={(e) => setNewMember(e.target.value)}
+          />
+          <button className="btn btn-primary btn-sm" onClick={handleAdd}>
+            Add Member
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
-// Sorted Set Value Component
-function SortedSetValue({ value, keyName, api, onRefresh }) {
+// Sorted Set Value Component. Members come in score order, except when
+// filtered: matches are found with ZSCAN, in no particular order.
+function SortedSetValue({ keyName, api, readOnly }) {
   const [newMember, setNewMember] = useState({ member: '', score: '0' });
-
-  // value could be array of [member, score] pairs or object
-  const entries = Array.isArray(value)
-    ? value.map((item, i) =>
-        Array.isArray(item)
-          ? { member: item[0], score: item[1] }
-          : typeof item === 'object'
-          ? item
-          : { member: item, score: i }
-      )
-    : [];
+  const [match, setMatch] = useState('');
+  const page = usePagedValue(keyName, 'zset', match);
 
   const handleAdd = async () => {
     if (!newMember.member.trim()) return;
@@ -437,16 +660,16 @@ function SortedSetValue({ value, keyName, api, onRefresh }) {
         { member: newMember.member, score: parseFloat(newMember.score) || 0 },
       ]);
       setNewMember({ member: '', score: '0' });
-      onRefresh();
+      page.reload();
     } catch (err) {
       alert(`Failed to add member: ${err.message}`);
     }
   };
 
-  const handleRemove = async (member) => {
+  const handleRemove = async (member, encoding) => {
     try {
-      await api.removeFromSortedSet(keyName, [member]);
-      onRefresh();
+      await api.removeFromSortedSet(keyName, [member], encoding);
+      page.reload();
     } catch (err) {
       alert(`Failed to remove member: ${err.message}`);
     }
@@ -454,48 +677,49 @@ function SortedSetValue({ value, keyName, api, onRefresh }) {
 
   return (
     <div className="zset-value">
-      <table className="table">
-        <thead>
-          <tr>
-            <th>Score</th>
-            <th>Member</th>
-            <th style={{ width: '60px' }}></th>
-          </tr>
-        </thead>
-        <tbody>
-          {entries.map(({ member, score }, index) => (
-            <tr key={index}>
-              <td className="mono">{score}</td>
-              <td className="mono truncate">{member}</td>
-              <td>
-                <button className="btn-icon text-danger" onClick={() => handleRemove(member)}>
+      <PagedTable
+        page={page}
+        match={match}
+        onMatch={setMatch}
+        placeholder="Filter members (e.g. user:*)"
+        columns={[{ label: 'Score', width: '100px' }, { label: 'Member' }, { label: '', width: '60px' }]}
+        rowKey={(item) => item.member}
+        renderCells={({ member, score, encodings = {} }) => (
+          <>
+            <td className="mono">{score}</td>
+            <BytesCell text={member} encoding={encodings.member} />
+            <td>
+              {!readOnly && (
+                <button className="btn-icon text-danger" onClick={() => handleRemove(member, encodings.member)}>
                   &times;
                 </button>
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-
-      <div className="add-zset-form">
-        <input
-          type="number"
-          className="input score-input"
-          placeholder="Score"
-          value={newMember.score}
-          onChange={(e) => setNewMember({ ...newMember, score: e.target.value })}
-        />
-        <input
-          type="text"
-          className="input"
-          placeholder="Member"
-          value={newMember.member}
-          onChange={(e) => setNewMember({ ...newMember, member: e.target.value })}
-        />
-        <button className="btn btn-primary btn-sm" onClick={handleAdd}>
-          Add
-        </button>
-      </div>
+              )}
+            </td>
+          </>
+        )}
+      />
+
+      {!readOnly && (
+        <div className="add-zset-form">
+          <input
+            type="number"
+            className="input score-input"
+            placeholder="Score"
+            value={newMember.score}
+            onChange={(e) => setNewMember({ ...newMember, score: e.target.value })}
+          />
+          <input
+            type="text"
+            className="input"
+            placeholder="Member"
+            value={newMember.member}
+            onChange={(e) => setNewMember({ ...newMember, member: e.target.value })}
+          />
+          <button className="btn btn-primary btn-sm" onClick={handleAdd}>
+            Add
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,79 +1,213 @@
-import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useApp } from '../context/AppContext';
-import { getTypeColor } from '../utils/api';
+import { getTypeColor, hasRole, formatBytes, formatUptime, displayKey, isBinaryKey, keyRef, keyId } from '../utils/api';
+import { useVirtualRows } from '../hooks/useVirtualRows';
 import Modal from '../components/Modal';
 import CopyableText from '../components/CopyableText';
+import BinaryBadge from '../components/BinaryBadge';
+import BulkActionModal from '../components/BulkActionModal';
+import BulkCopyModal from '../components/BulkCopyModal';
+import ExportModal from '../components/ExportModal';
+import ImportModal from '../components/ImportModal';
+import KeyTree from '../components/KeyTree';
 import KeyDetail from './KeyDetail';
 import './Keys.css';
 
+const VIEW_STORAGE_KEY = 'redish_keys_view';
+const DELIMITER_STORAGE_KEY = 'redish_keys_delimiter';
+const COUNT_STORAGE_KEY = 'redish_keys_scan_count';
+
+// SCAN COUNT hints offered; larger pages mean fewer round trips
+const SCAN_COUNTS = [100, 500, 1000, 5000];
+// SCAN calls made in a row looking for a page with keys in it (a pattern may
+// match nothing in whole stretches of the keyspace)
+const MAX_EMPTY_SCANS = 20;
+// Height of a key row, for the virtualized list (see .keys-table in Keys.css)
+const ROW_HEIGHT = 44;
+// Keys described per metadata request (the server's limit)
+const METADATA_BATCH = 1000;
+
+// Columns the table can be sorted by, and the value sorted on. Keys without
+// an expiry sort after those with one.
+const SORT_VALUES = {
+  key: (key) => displayKey(key),
+  type: (key, meta) => meta.type,
+  ttl: (key, meta) => meta.ttl ?? Infinity,
+  length: (key, meta) => meta.length ?? -1,
+  memory: (key, meta) => meta.memory ?? -1,
+};
+
+function compareValues(a, b) {
+  if (typeof a === 'string') return a.localeCompare(b);
+  return a - b;
+}
+
 export default function Keys() {
-  const { api, selectedDb, selectDatabase } = useApp();
+  const { api, selectedDb, selectDatabase, user, readOnly } = useApp();
+  const canEdit = hasRole(user, 'operator') && !readOnly;
   const [keys, setKeys] = useState([]);
+  // SCAN cursor to load more keys from; '0' once the scan is complete
+  const [cursor, setCursor] = useState('0');
+  const [scanCount, setScanCount] = useState(() => parseInt(localStorage.getItem(COUNT_STORAGE_KEY)) || SCAN_COUNTS[0]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Keys loaded so far (by keyId), as SCAN may return a key more than once;
+  // and the scan they belong to, so pages of an abandoned scan are dropped
+  const knownKeys = useRef(new Set());
+  const scanId = useRef(0);
   const [error, setError] = useState(null);
   const [pattern, setPattern] = useState('*');
   const [searchInput, setSearchInput] = useState('*');
   const [dbSize, setDbSize] = useState(0);
   const [selectedKey, setSelectedKey] = useState(null);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showBulkModal, setShowBulkModal] = useState(false);
+  const [showCopyModal, setShowCopyModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [newKey, setNewKey] = useState({ key: '', type: 'string', value: '' });
-  const [keyTypes, setKeyTypes] = useState({});
+  // Type, TTL, length and memory of the keys loaded by keyId, null for keys
+  // found gone; and the column the table is sorted by, if any. Keys are held
+  // as { key, encoding } (see keyRef).
+  const [keyMeta, setKeyMeta] = useState({});
+  const [sort, setSort] = useState(null);
+  // The flat list of one SCAN page, or the namespace tree
+  const [view, setView] = useState(() => localStorage.getItem(VIEW_STORAGE_KEY) || 'list');
+  const [delimiter, setDelimiter] = useState(() => localStorage.getItem(DELIMITER_STORAGE_KEY) ?? ':');
+  const [delimiterInput, setDelimiterInput] = useState(delimiter);
+  const [treeVersion, setTreeVersion] = useState(0);
+  // Pattern for the export and bulk modals when opened from a tree folder
+  const [modalPattern, setModalPattern] = useState(null);
+
+  // Metadata of a page of keys, a batch of keys per request
+  const loadMetadata = useCallback(async (page) => {
+    for (let i = 0; i < page.length; i += METADATA_BATCH) {
+      const batch = page.slice(i, i + METADATA_BATCH);
+      const described = {};
+      try {
+        const { metadata } = await api.getKeysMetadata(batch);
+        batch.forEach((key, index) => {
+          described[keyId(key)] = metadata[index] ?? null;
+        });
+      } catch {
+        batch.forEach((key) => {
+          described[keyId(key)] = { type: 'unknown', ttl: null, length: null, memory: null };
+        });
+      }
+      setKeyMeta((prev) => ({ ...prev, ...described }));
+    }
+  }, [api]);
+
+  // Scan on from a cursor until some keys turn up or the scan completes
+  const scanPage = useCallback(async (from) => {
+    let next = from;
+    let found = [];
+    for (let calls = 0; calls < MAX_EMPTY_SCANS && found.length === 0; calls++) {
+      const data = await api.getKeys(pattern, next, scanCount);
+      next = String(data?.cursor ?? '0');
+      found = Array.isArray(data) ? data : data?.keys || [];
+      if (next === '0') break;
+    }
+    return { cursor: next, keys: found };
+  }, [api, pattern, scanCount]);
+
+  // Add a page to the keys loaded, leaving out those already there
+  const addPage = (page) => {
+    const fresh = page.filter((key) => !knownKeys.current.has(keyId(key)));
+    fresh.forEach((key) => knownKeys.current.add(keyId(key)));
+    return fresh;
+  };
 
   const loadKeys = useCallback(async () => {
     if (!api) return;
+    const id = ++scanId.current;
     setLoading(true);
     setError(null);
 
     try {
-      const [keysData, sizeData] = await Promise.all([
-        api.getKeys(pattern),
+      const [page, sizeData] = await Promise.all([
+        scanPage('0'),
         api.getDatabaseSize().catch(() => ({ size: 0 })),
       ]);
+      if (id !== scanId.current) return;
 
-      const keyList = Array.isArray(keysData) ? keysData : keysData?.keys || [];
-      setKeys(keyList);
+      knownKeys.current = new Set();
+      const fresh = addPage(page.keys);
+      setKeys(fresh);
+      setCursor(page.cursor);
       // Handle different response formats for database size
       const size = typeof sizeData === 'object' ? sizeData?.size : sizeData;
       setDbSize(size ?? 0);
+      loadMetadata(fresh);
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      if (id === scanId.current) setLoading(false);
+    }
+  }, [api, scanPage, loadMetadata]);
 
-      // Load types for each key (in batches)
-      if (keyList.length > 0 && keyList.length <= 100) {
-        const types = {};
-        await Promise.all(
-          keyList.map(async (key) => {
-            try {
-              const type = await api.getKeyType(key);
-              types[key] = type?.type || type || 'unknown';
-            } catch {
-              types[key] = 'unknown';
-            }
-          })
-        );
-        setKeyTypes(types);
-      }
+  const loadMore = useCallback(async () => {
+    if (cursor === '0' || loadingMore) return;
+    const id = scanId.current;
+    setLoadingMore(true);
+    try {
+      const page = await scanPage(cursor);
+      if (id !== scanId.current) return;
+      const fresh = addPage(page.keys);
+      setKeys((prev) => [...prev, ...fresh]);
+      setCursor(page.cursor);
+      loadMetadata(fresh);
     } catch (err) {
       setError(err?.message || String(err) || 'An error occurred');
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
-  }, [api, pattern]);
+  }, [cursor, loadingMore, scanPage, loadMetadata]);
 
   useEffect(() => {
     loadKeys();
   }, [loadKeys]);
 
+  useEffect(() => {
+    localStorage.setItem(VIEW_STORAGE_KEY, view);
+    localStorage.setItem(DELIMITER_STORAGE_KEY, delimiter);
+    localStorage.setItem(COUNT_STORAGE_KEY, String(scanCount));
+  }, [view, delimiter, scanCount]);
+
+  // Reload the list and start the tree over
+  const refreshKeys = useCallback(() => {
+    loadKeys();
+    setTreeVersion((version) => version + 1);
+  }, [loadKeys]);
+
+  const handleFolderAction = (action, folderPattern) => {
+    setModalPattern(folderPattern);
+    if (action === 'export') {
+      setShowExportModal(true);
+    } else {
+      setShowBulkModal(true);
+    }
+  };
+
+  const closeModal = (setShow) => () => {
+    setShow(false);
+    setModalPattern(null);
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
     setPattern(searchInput || '*');
   };
 
   const handleDeleteKey = async (key) => {
-    if (!confirm(`Are you sure you want to delete "${key}"?`)) return;
+    if (!confirm(`Are you sure you want to delete "${displayKey(key)}"?`)) return;
 
     try {
       await api.deleteKey(key);
-      setKeys(keys.filter((k) => k !== key));
-      if (selectedKey === key) setSelectedKey(null);
+      setKeys((prev) => prev.filter((k) => keyId(k) !== keyId(key)));
+      knownKeys.current.delete(keyId(key));
+      if (selectedKey && keyId(selectedKey) === keyId(key)) setSelectedKey(null);
+      if (view === 'tree') setTreeVersion((version) => version + 1);
     } catch (err) {
       alert(`Failed to delete key: ${err.message}`);
     }
@@ -105,25 +239,86 @@ export default function Keys() {
       }
       setShowAddModal(false);
       setNewKey({ key: '', type: 'string', value: '' });
-      loadKeys();
+      refreshKeys();
     } catch (err) {
       alert(`Failed to create key: ${err.message}`);
     }
   };
 
+  // Sorting orders the keys loaded so far; keys whose metadata has not come
+  // in yet go last
   const filteredKeys = useMemo(() => {
-    return keys;
-  }, [keys]);
+    if (!sort) return keys;
+    const value = SORT_VALUES[sort.column];
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    return [...keys].sort((a, b) => {
+      const [metaA, metaB] = [keyMeta[keyId(a)], keyMeta[keyId(b)]];
+      if (!metaA || !metaB) return !metaA - !metaB;
+      return sign * compareValues(value(a, metaA), value(b, metaB));
+    });
+  }, [keys, keyMeta, sort]);
+
+  // Sort by a column, ascending then descending
+  const toggleSort = (column) => {
+    setSort((prev) => ({
+      column,
+      direction: prev?.column === column && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  const sortHeader = (column, label, width) => (
+    <th
+      className="sortable"
+      style={width ? { width } : undefined}
+      title="Sorts the keys loaded so far"
+      onClick={() => toggleSort(column)}
+    >
+      {label}
+      {sort?.column === column && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+    </th>
+  );
+
+  const rows = useVirtualRows(filteredKeys.length, ROW_HEIGHT);
+
+  // Infinite scroll: load the next page once the end of the list is in view
+  useEffect(() => {
+    if (view === 'list' && !loading && !error && rows.atEnd && cursor !== '0') {
+      loadMore();
+    }
+  }, [view, loading, error, rows.atEnd, cursor, loadMore]);
 
   return (
     <div className="keys-view">
       <div className="page-header">
         <h1 className="page-title">Keys</h1>
         <div className="page-actions">
-          <span className="key-count">{dbSize} total keys</span>
-          <button className="btn btn-primary" onClick={() => setShowAddModal(true)}>
-            + Add Key
+          <span className="key-count">
+            {view === 'list' && <>{keys.length.toLocaleString()} {cursor === '0' ? '' : 'so far '}of </>}
+            {dbSize.toLocaleString()} keys in db{selectedDb}
+          </span>
+          <button className="btn btn-secondary" onClick={() => setShowExportModal(true)}>
+            Export
           </button>
+          {canEdit && (
+            <button className="btn btn-secondary" onClick={() => setShowImportModal(true)}>
+              Import
+            </button>
+          )}
+          {hasRole(user, 'operator') && (
+            <button className="btn btn-secondary" onClick={() => setShowCopyModal(true)}>
+              {canEdit ? 'Copy / Move' : 'Copy'}
+            </button>
+          )}
+          {canEdit && (
+            <button className="btn btn-secondary" onClick={() => setShowBulkModal(true)}>
+              Bulk Actions
+            </button>
+          )}
+          {canEdit && (
+            <button className="btn btn-primary" onClick={() => setShowAddModal(true)}>
+              + Add Key
+            </button>
+          )}
         </div>
       </div>
 
@@ -144,34 +339,93 @@ export default function Keys() {
           </select>
         </div>
 
-        <form className="search-form" onSubmit={handleSearch}>
-          <input
-            type="text"
-            className="input search-input"
-            placeholder="Search pattern (e.g., user:*, *:session)"
-            value={searchInput}
-            onChange={(e) => setSearchInput(e.target.value)}
-          />
-          <button type="submit" className="btn btn-secondary">
-            Search
-          </button>
-          <button
-            type="button"
-            className="btn btn-secondary"
-            onClick={() => {
-              setSearchInput('*');
-              setPattern('*');
+        <div className="db-selector">
+          <label className="form-label">View:</label>
+          <select className="select db-select" value={view} onChange={(e) => setView(e.target.value)}>
+            <option value="list">List</option>
+            <option value="tree">Tree</option>
+          </select>
+        </div>
+
+        {view === 'tree' ? (
+          <form
+            className="search-form"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setDelimiter(delimiterInput);
             }}
           >
-            Reset
-          </button>
-        </form>
+            <input
+              type="text"
+              className="input mono delimiter-input"
+              placeholder="Delimiter"
+              title="Namespace delimiter"
+              value={delimiterInput}
+              onChange={(e) => setDelimiterInput(e.target.value)}
+            />
+            <button type="submit" className="btn btn-secondary">
+              Group
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setTreeVersion((version) => version + 1)}>
+              Refresh
+            </button>
+          </form>
+        ) : (
+          <form className="search-form" onSubmit={handleSearch}>
+            <input
+              type="text"
+              className="input search-input"
+              placeholder="Search pattern (e.g., user:*, *:session)"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <select
+              className="select scan-count-select"
+              title="Keys each SCAN call looks at (COUNT)"
+              value={scanCount}
+              onChange={(e) => setScanCount(parseInt(e.target.value))}
+            >
+              {SCAN_COUNTS.map((count) => (
+                <option key={count} value={count}>COUNT {count}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-secondary">
+              Search
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => {
+                setSearchInput('*');
+                setPattern('*');
+              }}
+            >
+              Reset
+            </button>
+          </form>
+        )}
       </div>
 
       {/* Keys list */}
       <div className="keys-content">
-        <div className="keys-list-container">
-          {loading ? (
+        <div
+          className="keys-list-container"
+          ref={view === 'list' ? rows.containerRef : undefined}
+          onScroll={view === 'list' ? rows.onScroll : undefined}
+        >
+          {view === 'tree' ? (
+            <KeyTree
+              key={`${treeVersion}:${selectedDb}`}
+              delimiter={delimiter}
+              selectedKey={selectedKey && keyId(selectedKey)}
+              onSelectKey={(key, type) => {
+                setKeyMeta((prev) => ({ ...prev, [keyId(key)]: { ...prev[keyId(key)], type } }));
+                setSelectedKey(keyRef(key));
+              }}
+              canEdit={canEdit}
+              onFolderAction={handleFolderAction}
+            />
+          ) : loading ? (
             <div className="loading">
               <div className="loading-spinner"></div>
               <span>Loading keys...</span>
@@ -185,7 +439,7 @@ export default function Keys() {
                 Retry
               </button>
             </div>
-          ) : filteredKeys.length === 0 ? (
+          ) : filteredKeys.length === 0 && cursor === '0' ? (
             <div className="empty-state">
               <span className="empty-state-icon">🔑</span>
               <h3 className="empty-state-title">No keys found</h3>
@@ -195,57 +449,90 @@ export default function Keys() {
                   : `No keys match the pattern "${pattern}"`}
               </p>
             </div>
-          ) : (
+          ) : filteredKeys.length === 0 ? null : (
             <table className="table keys-table">
               <thead>
                 <tr>
-                  <th>Key</th>
-                  <th style={{ width: '100px' }}>Type</th>
+                  {sortHeader('key', 'Key')}
+                  {sortHeader('type', 'Type', '100px')}
+                  {sortHeader('ttl', 'TTL', '100px')}
+                  {sortHeader('length', 'Length', '100px')}
+                  {sortHeader('memory', 'Memory', '100px')}
                   <th style={{ width: '120px' }}>Actions</th>
                 </tr>
               </thead>
               <tbody>
-                {filteredKeys.map((key) => (
-                  <tr
-                    key={key}
-                    className={selectedKey === key ? 'selected' : ''}
-                    onClick={() => setSelectedKey(key)}
-                  >
-                    <td>
-                      <CopyableText text={key} truncate />
-                    </td>
-                    <td>
-                      <span className={`type-badge ${getTypeColor(keyTypes[key])}`}>
-                        {keyTypes[key] || '...'}
-                      </span>
-                    </td>
-                    <td>
-                      <div className="key-actions">
-                        <button
-                          className="btn btn-sm btn-secondary"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            setSelectedKey(key);
-                          }}
-                        >
-                          View
-                        </button>
-                        <button
-                          className="btn btn-sm btn-danger"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleDeleteKey(key);
-                          }}
-                        >
-                          Delete
-                        </button>
-                      </div>
-                    </td>
+                {rows.paddingTop > 0 && (
+                  <tr className="keys-spacer" style={{ height: rows.paddingTop }}>
+                    <td colSpan={6}></td>
+                  </tr>
+                )}
+                {filteredKeys.slice(rows.start, rows.end).map((key) => {
+                  const meta = keyMeta[keyId(key)];
+                  return (
+                    <tr
+                      key={keyId(key)}
+                      className={selectedKey && keyId(selectedKey) === keyId(key) ? 'selected' : ''}
+                      onClick={() => setSelectedKey(key)}
+                    >
+                      <td>
+                        <CopyableText text={displayKey(key)} truncate />
+                        {isBinaryKey(key) && <BinaryBadge />}
+                      </td>
+                      <td>
+                        <span className={`type-badge ${getTypeColor(meta?.type)}`}>
+                          {meta === undefined ? '...' : meta?.type || 'gone'}
+                        </span>
+                      </td>
+                      <td className="key-meta">{meta?.ttl != null ? formatUptime(meta.ttl) : '—'}</td>
+                      <td className="key-meta">{meta?.length != null ? meta.length.toLocaleString() : '—'}</td>
+                      <td className="key-meta">{meta?.memory != null ? formatBytes(meta.memory) : '—'}</td>
+                      <td>
+                        <div className="key-actions">
+                          <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setSelectedKey(key);
+                            }}
+                          >
+                            View
+                          </button>
+                          {canEdit && (
+                            <button
+                              className="btn btn-sm btn-danger"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDeleteKey(key);
+                              }}
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {rows.paddingBottom > 0 && (
+                  <tr className="keys-spacer" style={{ height: rows.paddingBottom }}>
+                    <td colSpan={6}></td>
                   </tr>
-                ))}
+                )}
               </tbody>
             </table>
           )}
+          {view === 'list' && !loading && !error && cursor !== '0' && (
+            <div className="keys-more">
+              {loadingMore ? (
+                'Scanning…'
+              ) : (
+                <button className="btn btn-secondary btn-sm" onClick={loadMore}>
+                  Load more
+                </button>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Key detail panel */}
@@ -253,15 +540,42 @@ export default function Keys() {
           <div className="key-detail-panel">
             <KeyDetail
               keyName={selectedKey}
-              keyType={keyTypes[selectedKey]}
+              keyType={keyMeta[keyId(selectedKey)]?.type}
               onClose={() => setSelectedKey(null)}
               onDelete={() => handleDeleteKey(selectedKey)}
-              onRefresh={loadKeys}
+              onRefresh={refreshKeys}
             />
           </div>
         )}
       </div>
 
+      <BulkActionModal
+        isOpen={showBulkModal}
+        onClose={closeModal(setShowBulkModal)}
+        initialPattern={modalPattern ?? pattern}
+        onFinished={refreshKeys}
+      />
+
+      <BulkCopyModal
+        isOpen={showCopyModal}
+        onClose={() => setShowCopyModal(false)}
+        initialPattern={pattern}
+        canMove={canEdit}
+        onFinished={refreshKeys}
+      />
+
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={closeModal(setShowExportModal)}
+        initialPattern={modalPattern ?? pattern}
+      />
+
+      <ImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onFinished={refreshKeys}
+      />
+
       {/* Add Key Modal */}
       <Modal isOpen={showAddModal} onClose={() => setShowAddModal(false)} title="Add New Key">
         <form onSubmit={handleAddKey}>
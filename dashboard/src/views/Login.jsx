@@ -1,23 +1,91 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
+import { isReadOnlyConnection } from '../utils/api';
 import './Login.css';
 
+const EMPTY_TLS_SETTINGS = {
+  servername: '',
+  verify: true,
+  ca: '',
+  caPath: '',
+  cert: '',
+  certPath: '',
+  key: '',
+  keyPath: '',
+};
+
+// Switch a host:port or redis:// connection string to rediss://
+function toTlsConnection(connection) {
+  if (connection.startsWith('rediss://')) return connection;
+  if (connection.startsWith('redis://')) return `rediss://${connection.slice('redis://'.length)}`;
+  return `rediss://${connection}`;
+}
+
 export default function Login() {
   const navigate = useNavigate();
-  const { connect, isConnecting, error, theme, toggleTheme, redisConnection: savedConnection } = useApp();
+  const {
+    user,
+    signOut,
+    connect,
+    inspectTls,
+    isConnecting,
+    error,
+    tlsInfo,
+    theme,
+    toggleTheme,
+    redisConnection: savedConnection,
+  } = useApp();
   const [connection, setConnection] = useState(savedConnection || 'localhost:6379');
+  // Credentials and TLS material live only in component state; they are never persisted
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [readOnly, setReadOnly] = useState(() => isReadOnlyConnection(savedConnection));
+  const [useTls, setUseTls] = useState(() => savedConnection?.startsWith('rediss://') || false);
+  const [tlsSettings, setTlsSettings] = useState(EMPTY_TLS_SETTINGS);
+
+  const tlsEnabled = useTls || connection.trim().startsWith('rediss://');
+
+  const targetConnection = () => {
+    const trimmed = connection.trim();
+    return tlsEnabled ? toTlsConnection(trimmed) : trimmed;
+  };
+
+  const tlsPayload = () => {
+    if (!tlsEnabled) return undefined;
+    const payload = { enabled: true, verify: tlsSettings.verify };
+    for (const [name, value] of Object.entries(tlsSettings)) {
+      if (typeof value === 'string' && value.trim()) {
+        payload[name] = value.trim();
+      }
+    }
+    return payload;
+  };
+
+  const updateTls = (changes) => {
+    setTlsSettings((prev) => ({ ...prev, ...changes }));
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!connection.trim()) return;
 
-    const success = await connect(connection.trim());
+    const success = await connect(targetConnection(), {
+      username: username.trim() || undefined,
+      password: password || undefined,
+      tls: tlsPayload(),
+      readOnly,
+    });
     if (success) {
       navigate('/overview');
     }
   };
 
+  const handleInspect = () => {
+    if (!connection.trim()) return;
+    inspectTls(targetConnection(), tlsPayload());
+  };
+
   return (
     <div className="login-container">
       <div className="login-header">
@@ -36,49 +104,169 @@ export default function Login() {
           <h1 className="logo-text">Redish Dashboard</h1>
         </div>
 
-        <p className="login-description">
-          Connect to your Redis or Redish server to manage keys, monitor performance, and execute commands.
-        </p>
-
-        <form onSubmit={handleSubmit} className="login-form">
-          <div className="form-group">
-            <label htmlFor="connection" className="form-label">Redis Server</label>
-            <input
-              type="text"
-              id="connection"
-              className="input"
-              placeholder="localhost:6379"
-              value={connection}
-              onChange={(e) => setConnection(e.target.value)}
-              required
-              autoFocus
-            />
-            <p className="form-hint">
-              Enter host:port (e.g., localhost:6379) or redis://host:port
+        {!user ? (
+          <SignInForm />
+        ) : (
+          <>
+            <div className="login-step">
+              <span className="login-step-label">Step 2 of 2</span>
+              <span className="login-user">
+                Signed in as <strong>{user.username}</strong>
+                <button type="button" className="login-link" onClick={signOut}>
+                  Sign out
+                </button>
+              </span>
+            </div>
+
+            <p className="login-description">
+              Connect to your Redis or Redish server to manage keys, monitor performance, and execute commands.
             </p>
-          </div>
 
-          {error && (
-            <div className="login-error">
-              {error}
-            </div>
-          )}
+            <form onSubmit={handleSubmit} className="login-form">
+              <div className="form-group">
+                <label htmlFor="connection" className="form-label">Redis Server</label>
+                <input
+                  type="text"
+                  id="connection"
+                  className="input"
+                  placeholder="localhost:6379"
+                  value={connection}
+                  onChange={(e) => setConnection(e.target.value)}
+                  required
+                  autoFocus
+                />
+                <p className="form-hint">
+                  Enter host:port (e.g., localhost:6379) or redis[s]://[user:password@]host:port[/db]
+                </p>
+              </div>
 
-          <button
-            type="submit"
-            className="btn btn-primary login-btn"
-            disabled={isConnecting || !connection.trim()}
-          >
-            {isConnecting ? (
-              <>
-                <span className="loading-spinner"></span>
-                Connecting...
-              </>
-            ) : (
-              'Connect'
-            )}
-          </button>
-        </form>
+              <div className="login-credentials">
+                <div className="form-group">
+                  <label htmlFor="username" className="form-label">Username</label>
+                  <input
+                    type="text"
+                    id="username"
+                    className="input"
+                    placeholder="default"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    autoComplete="off"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="password" className="form-label">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    className="input"
+                    placeholder="Optional"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="off"
+                  />
+                </div>
+              </div>
+
+              <label className="login-checkbox">
+                <input
+                  type="checkbox"
+                  checked={readOnly || isReadOnlyConnection(connection)}
+                  onChange={(e) => setReadOnly(e.target.checked)}
+                  disabled={isReadOnlyConnection(connection)}
+                />
+                Read-only (refuse writes on this connection)
+              </label>
+
+              <div className="login-tls">
+                <label className="login-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={tlsEnabled}
+                    onChange={(e) => setUseTls(e.target.checked)}
+                    disabled={connection.trim().startsWith('rediss://')}
+                  />
+                  Use TLS (rediss://)
+                </label>
+
+                {tlsEnabled && (
+                  <div className="login-tls-options">
+                    <div className="form-group">
+                      <label htmlFor="servername" className="form-label">Server name (SNI)</label>
+                      <input
+                        type="text"
+                        id="servername"
+                        className="input"
+                        placeholder="Defaults to the host name"
+                        value={tlsSettings.servername}
+                        onChange={(e) => updateTls({ servername: e.target.value })}
+                      />
+                    </div>
+
+                    <label className="login-checkbox">
+                      <input
+                        type="checkbox"
+                        checked={tlsSettings.verify}
+                        onChange={(e) => updateTls({ verify: e.target.checked })}
+                      />
+                      Verify certificate
+                    </label>
+
+                    <PemField
+                      label="CA certificate"
+                      pem={tlsSettings.ca}
+                      path={tlsSettings.caPath}
+                      onChange={(pem, path) => updateTls({ ca: pem, caPath: path })}
+                    />
+                    <PemField
+                      label="Client certificate"
+                      pem={tlsSettings.cert}
+                      path={tlsSettings.certPath}
+                      onChange={(pem, path) => updateTls({ cert: pem, certPath: path })}
+                    />
+                    <PemField
+                      label="Client key"
+                      pem={tlsSettings.key}
+                      path={tlsSettings.keyPath}
+                      onChange={(pem, path) => updateTls({ key: pem, keyPath: path })}
+                    />
+
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={handleInspect}
+                      disabled={isConnecting || !connection.trim()}
+                    >
+                      Inspect certificate
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {error && (
+                <div className="login-error">
+                  {error}
+                </div>
+              )}
+
+              {tlsInfo && <CertificateDetails tls={tlsInfo} />}
+
+              <button
+                type="submit"
+                className="btn btn-primary login-btn"
+                disabled={isConnecting || !connection.trim()}
+              >
+                {isConnecting ? (
+                  <>
+                    <span className="loading-spinner"></span>
+                    Connecting...
+                  </>
+                ) : (
+                  'Connect'
+                )}
+              </button>
+            </form>
+          </>
+        )}
 
         <div className="login-footer">
           <p className="login-footer-text">
@@ -111,3 +299,167 @@ export default function Login() {
     </div>
   );
 }
+
+// Step 1: sign in to the dashboard itself
+function SignInForm() {
+  const { signIn, authError } = useApp();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+
+    setSigningIn(true);
+    await signIn(username.trim(), password);
+    setSigningIn(false);
+  };
+
+  return (
+    <>
+      <div className="login-step">
+        <span className="login-step-label">Step 1 of 2</span>
+      </div>
+
+      <p className="login-description">
+        Sign in with your dashboard account to continue.
+      </p>
+
+      <form onSubmit={handleSubmit} className="login-form">
+        <div className="form-group">
+          <label htmlFor="dashboard-username" className="form-label">Username</label>
+          <input
+            type="text"
+            id="dashboard-username"
+            className="input"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+            autoFocus
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="dashboard-password" className="form-label">Password</label>
+          <input
+            type="password"
+            id="dashboard-password"
+            className="input"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+          />
+        </div>
+
+        {authError && (
+          <div className="login-error">
+            {authError}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          className="btn btn-primary login-btn"
+          disabled={signingIn || !username.trim() || !password}
+        >
+          {signingIn ? (
+            <>
+              <span className="loading-spinner"></span>
+              Signing in...
+            </>
+          ) : (
+            'Sign In'
+          )}
+        </button>
+      </form>
+    </>
+  );
+}
+
+// A PEM input that takes either an uploaded file or a path on the dashboard
+// server, in its certificate directory
+function PemField({ label, pem, path, onChange }) {
+  const [fileName, setFileName] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    onChange(await file.text(), '');
+  };
+
+  const clearFile = () => {
+    setFileName('');
+    onChange('', path);
+  };
+
+  return (
+    <div className="form-group">
+      <label className="form-label">{label}</label>
+      {pem ? (
+        <div className="pem-file">
+          <span className="mono truncate">{fileName || 'Uploaded PEM'}</span>
+          <button type="button" className="btn-icon" onClick={clearFile} title="Remove">
+            &times;
+          </button>
+        </div>
+      ) : (
+        <div className="pem-inputs">
+          <input
+            type="text"
+            className="input"
+            placeholder="Path in the server's certificate directory"
+            value={path}
+            onChange={(e) => onChange('', e.target.value)}
+          />
+          <label className="btn btn-secondary btn-sm pem-upload">
+            Upload
+            <input type="file" accept=".pem,.crt,.cer,.key" onChange={handleFile} hidden />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Certificate and handshake details for a TLS connection
+function CertificateDetails({ tls }) {
+  const cert = tls.certificate;
+
+  return (
+    <div className={`login-certificate ${tls.authorized ? 'trusted' : 'untrusted'}`}>
+      <div className="login-certificate-status">
+        {tls.authorized
+          ? 'Certificate verified'
+          : `Certificate not verified${tls.authorizationError ? `: ${tls.authorizationError}` : ''}`}
+      </div>
+      {cert && (
+        <dl className="login-certificate-fields">
+          <dt>Subject</dt>
+          <dd className="mono">{cert.subject}</dd>
+          <dt>Issuer</dt>
+          <dd className="mono">{cert.selfSigned ? `${cert.issuer} (self-signed)` : cert.issuer}</dd>
+          {cert.subjectAltName && (
+            <>
+              <dt>Alt names</dt>
+              <dd className="mono">{cert.subjectAltName}</dd>
+            </>
+          )}
+          <dt>Valid</dt>
+          <dd>{cert.validFrom} &ndash; {cert.validTo}</dd>
+          <dt>SHA-256</dt>
+          <dd className="mono login-certificate-fingerprint">{cert.fingerprint256}</dd>
+          {tls.protocol && (
+            <>
+              <dt>Protocol</dt>
+              <dd>{tls.protocol}{tls.cipher ? ` (${tls.cipher})` : ''}</dd>
+            </>
+          )}
+        </dl>
+      )}
+    </div>
+  );
+}
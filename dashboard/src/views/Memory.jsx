@@ -0,0 +1,265 @@
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useJob, isJobActive } from '../hooks/useJobs';
+import { getTypeColor, formatBytes, formatUptime, downloadFile, keyId, displayKey, isBinaryKey } from '../utils/api';
+import JobProgress from '../components/JobProgress';
+import BinaryBadge from '../components/BinaryBadge';
+import BarChart from '../components/BarChart';
+import KeyDetail from './KeyDetail';
+import '../components/BulkActionModal.css';
+import './Memory.css';
+
+function bucketLabel({ min, max }) {
+  if (min === 0) return `< ${formatBytes(max)}`;
+  if (max === null) return `≥ ${formatBytes(min)}`;
+  return `${formatBytes(min)} – ${formatBytes(max)}`;
+}
+
+function prefixLabel(prefix) {
+  if (prefix === null) return '(other prefixes)';
+  return prefix === '' ? '(no prefix)' : prefix;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The report as CSV, one table per section with a title line before it;
+// memory in bytes and TTLs in seconds
+function reportToCsv(report) {
+  const section = (title, header, rows) => [[title], header, ...rows, []];
+  const keyRow = (entry) => [displayKey(entry), entry.type, entry.memory, entry.length, entry.ttl];
+  return [
+    ...section('Summary', ['keys', 'memory', 'unmeasured'], [[report.keys, report.memory, report.unmeasured]]),
+    ...section('Memory by type', ['type', 'keys', 'memory'],
+      Object.entries(report.byType).map(([type, { keys, memory }]) => [type, keys, memory])),
+    ...section('Memory by prefix', ['prefix', 'keys', 'memory'],
+      report.byPrefix.map(({ prefix, keys, memory }) => [prefixLabel(prefix), keys, memory])),
+    ...section('Size distribution', ['from', 'to', 'keys', 'memory'],
+      report.histogram.map(({ min, max, keys, memory }) => [min, max, keys, memory])),
+    ...section('Biggest keys', ['key', 'type', 'memory', 'length', 'ttl'], report.biggest.map(keyRow)),
+    ...section('Largest collections', ['key', 'type', 'memory', 'length', 'ttl'], report.longest.map(keyRow)),
+  ].map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+function KeyTable({ entries, onSelect, selectedKey }) {
+  if (entries.length === 0) {
+    return <div className="text-muted">No keys</div>;
+  }
+  return (
+    <table className="table memory-keys">
+      <thead>
+        <tr>
+          <th>Key</th>
+          <th>Type</th>
+          <th>Memory</th>
+          <th>Length</th>
+          <th>TTL</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((entry) => (
+          <tr key={keyId(entry)} className={selectedKey === keyId(entry) ? 'selected' : ''}>
+            <td className="mono truncate" title={displayKey(entry)}>
+              {onSelect ? (
+                <button type="button" className="memory-key-link mono" onClick={() => onSelect(entry)}>
+                  {displayKey(entry)}
+                </button>
+              ) : displayKey(entry)}
+              {isBinaryKey(entry) && <BinaryBadge />}
+            </td>
+            <td><span className={`type-badge ${getTypeColor(entry.type)}`}>{entry.type}</span></td>
+            <td>{entry.memory !== null ? formatBytes(entry.memory) : '—'}</td>
+            <td>{entry.length !== null ? entry.length.toLocaleString() : '—'}</td>
+            <td>{entry.ttl !== null ? formatUptime(entry.ttl) : '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Memory analysis of the selected database, run as a background job (see
+// server/memory.js): the biggest keys, memory by type and by prefix, how key
+// sizes are spread and the largest collections. Keys open in a KeyDetail
+// panel. The job id is kept in the URL, so the Jobs view can link to a
+// report.
+export default function Memory() {
+  const { api, selectedDb, selectDatabase, redisConnection } = useApp();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const jobId = searchParams.get('job');
+  const { job, error: jobError } = useJob(jobId);
+  const [pattern, setPattern] = useState('*');
+  const [top, setTop] = useState('50');
+  const [samples, setSamples] = useState('5');
+  const [delimiter, setDelimiter] = useState(':');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  const handleAnalyze = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await api.startJob('memory-analysis', {
+        pattern,
+        top: parseInt(top) || 50,
+        samples: parseInt(samples) || 0,
+        delimiter,
+      });
+      setSelected(null);
+      setSearchParams({ job: data.job.id });
+    } catch (err) {
+      setError(err?.message || String(err) || 'An error occurred');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDeleteKey = async () => {
+    if (!confirm(`Are you sure you want to delete "${displayKey(selected)}"?`)) return;
+    try {
+      await api.deleteKey(selected);
+      setSelected(null);
+    } catch (err) {
+      alert(`Failed to delete key: ${err.message}`);
+    }
+  };
+
+  const report = job?.type === 'memory-analysis' ? job.result : null;
+  // Keys can only be opened on the server the report is about
+  const sameServer = job?.connection === redisConnection;
+  const openKey = sameServer
+    ? (entry) => {
+      if (job.db !== selectedDb) selectDatabase(job.db);
+      setSelected(entry);
+    }
+    : null;
+
+  const handleDownload = () => {
+    downloadFile(`memory-db${job.db}-${job.id}.csv`, reportToCsv(report), 'text/csv');
+  };
+
+  return (
+    <div className="memory-view">
+      <div className="page-header">
+        <h1 className="page-title">Memory</h1>
+      </div>
+
+      <form className="card memory-form" onSubmit={handleAnalyze}>
+        <p className="bulk-text">
+          Measure the keys of db{selectedDb} with MEMORY USAGE and find the biggest keys and namespaces.
+        </p>
+        <div className="bulk-fields">
+          <div className="form-group bulk-pattern">
+            <label className="form-label">Pattern</label>
+            <input
+              type="text"
+              className="input mono"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Top keys</label>
+            <input type="number" className="input" min="1" max="1000" value={top} onChange={(e) => setTop(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label className="form-label" title="Elements of each collection MEMORY USAGE measures; 0 for all">
+              Samples per key
+            </label>
+            <input type="number" className="input" min="0" value={samples} onChange={(e) => setSamples(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Prefix delimiter</label>
+            <input type="text" className="input mono" value={delimiter} onChange={(e) => setDelimiter(e.target.value)} />
+          </div>
+        </div>
+        {(error || jobError) && <div className="bulk-error">{error || jobError}</div>}
+        <button type="submit" className="btn btn-primary" disabled={busy || isJobActive(job)}>
+          {busy ? 'Starting…' : 'Analyze'}
+        </button>
+      </form>
+
+      {job && <JobProgress job={job} onCancel={(id) => api.cancelJob(id)} />}
+
+      {report && (
+        <div className="memory-content">
+          <div className="memory-results">
+            <div className="memory-summary">
+              <span>
+                {report.keys.toLocaleString()} keys using {formatBytes(report.memory)}
+                {report.unmeasured > 0 && <>, {report.unmeasured.toLocaleString()} could not be measured</>}
+              </span>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={handleDownload}>
+                Download CSV
+              </button>
+            </div>
+
+            <div className="memory-charts">
+              <div className="card">
+                <h3 className="card-title">Memory by type</h3>
+                <BarChart
+                  format={formatBytes}
+                  items={Object.entries(report.byType)
+                    .sort(([, a], [, b]) => b.memory - a.memory)
+                    .map(([type, { keys, memory }]) => ({ label: type, value: memory, detail: `${keys.toLocaleString()} keys` }))}
+                />
+              </div>
+              <div className="card">
+                <h3 className="card-title">Key sizes</h3>
+                <BarChart
+                  items={report.histogram.map((bucket) => ({
+                    label: bucketLabel(bucket),
+                    value: bucket.keys,
+                    detail: formatBytes(bucket.memory),
+                  }))}
+                />
+              </div>
+              <div className="card">
+                <h3 className="card-title">Memory by prefix</h3>
+                {report.prefixes > report.byPrefix.length && (
+                  <p className="text-muted memory-note">
+                    The {report.byPrefix.length} biggest of {report.prefixes.toLocaleString()} prefixes
+                  </p>
+                )}
+                <BarChart
+                  format={formatBytes}
+                  items={report.byPrefix.map(({ prefix, keys, memory }) => ({
+                    label: prefixLabel(prefix),
+                    value: memory,
+                    detail: `${keys.toLocaleString()} keys`,
+                  }))}
+                />
+              </div>
+            </div>
+
+            <div className="card memory-section">
+              <h3 className="card-title">Biggest keys</h3>
+              <KeyTable entries={report.biggest} onSelect={openKey} selectedKey={selected && keyId(selected)} />
+            </div>
+            <div className="card memory-section">
+              <h3 className="card-title">Largest collections</h3>
+              <KeyTable entries={report.longest} onSelect={openKey} selectedKey={selected && keyId(selected)} />
+            </div>
+          </div>
+
+          {selected && (
+            <div className="memory-detail-panel">
+              <KeyDetail
+                keyName={selected}
+                keyType={selected.type}
+                onClose={() => setSelected(null)}
+                onDelete={handleDeleteKey}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,56 +1,31 @@
-import { useState, useEffect, useCallback } from 'react';
 import { useApp } from '../context/AppContext';
-import { formatBytes, formatUptime, formatNumber, parseRedisInfo } from '../utils/api';
+import { useLiveMetrics } from '../hooks/useLiveMetrics';
+import LiveIndicator from '../components/LiveIndicator';
+import { formatBytes, formatUptime, formatNumber } from '../utils/api';
 import './Overview.css';
 
 export default function Overview() {
-  const { api, serverInfo } = useApp();
-  const [info, setInfo] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { serverInfo } = useApp();
+  // INFO is pushed by the server's shared poller instead of fetched here
+  const metrics = useLiveMetrics();
+  const { info, error } = metrics;
 
-  const loadData = useCallback(async () => {
-    if (!api) return;
-    try {
-      const infoData = await api.getInfo().catch(() => null);
-
-      if (infoData) {
-        // Parse info if it's a string (raw Redis INFO format)
-        const parsed = typeof infoData === 'string' ? parseRedisInfo(infoData) : infoData;
-        setInfo(parsed);
-      }
-      setError(null);
-    } catch (err) {
-      setError(err?.message || String(err) || 'An error occurred');
-    } finally {
-      setLoading(false);
-    }
-  }, [api]);
-
-  useEffect(() => {
-    loadData();
-    const interval = setInterval(loadData, 5000); // Refresh every 5 seconds
-    return () => clearInterval(interval);
-  }, [loadData]);
-
-  if (loading) {
+  if (!info && error) {
     return (
-      <div className="loading">
-        <div className="loading-spinner"></div>
-        <span>Loading server info...</span>
+      <div className="empty-state">
+        <span className="empty-state-icon">⚠️</span>
+        <h3 className="empty-state-title">Error loading data</h3>
+        <p className="empty-state-description">{error}</p>
+        <p className="empty-state-description">The dashboard keeps retrying in the background.</p>
       </div>
     );
   }
 
-  if (error) {
+  if (!info) {
     return (
-      <div className="empty-state">
-        <span className="empty-state-icon">⚠️</span>
-        <h3 className="empty-state-title">Error loading data</h3>
-        <p className="empty-state-description">{error}</p>
-        <button className="btn btn-primary mt-4" onClick={loadData}>
-          Retry
-        </button>
+      <div className="loading">
+        <div className="loading-spinner"></div>
+        <span>Loading server info...</span>
       </div>
     );
   }
@@ -67,9 +42,7 @@ export default function Overview() {
     <div className="overview">
       <div className="page-header">
         <h1 className="page-title">Server Overview</h1>
-        <button className="btn btn-secondary btn-sm" onClick={loadData}>
-          Refresh
-        </button>
+        <LiveIndicator metrics={metrics} />
       </div>
 
       {/* Key Metrics */}
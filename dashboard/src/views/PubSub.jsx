@@ -0,0 +1,327 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { hasRole, downloadFile } from '../utils/api';
+import '../components/LiveIndicator.css';
+import './PubSub.css';
+
+// Older messages are dropped once this many have been captured
+const MAX_MESSAGES = 1000;
+const RECONNECT_DELAY_MS = 3000;
+
+const STATUS_LABELS = {
+  connecting: 'Connecting',
+  live: 'Live',
+  error: 'Disconnected',
+};
+
+export default function PubSub() {
+  const { api, user, readOnly } = useApp();
+  const canPublish = hasRole(user, 'operator') && !readOnly;
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [patterns, setPatterns] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [buffered, setBuffered] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [subscribeName, setSubscribeName] = useState('');
+  const [subscribeMode, setSubscribeMode] = useState('channel');
+  const [publishChannel, setPublishChannel] = useState('');
+  const [publishMessage, setPublishMessage] = useState('');
+  const [publishResult, setPublishResult] = useState(null);
+  const socketRef = useRef(null);
+  const pausedRef = useRef(paused);
+  const nextIdRef = useRef(0);
+
+  pausedRef.current = paused;
+
+  useEffect(() => {
+    if (!api) return;
+    let closed = false;
+    let retryTimer = null;
+
+    const open = () => {
+      setStatus('connecting');
+      const socket = new WebSocket(api.pubsubSocketUrl());
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        setStatus('live');
+        setError(null);
+      };
+      socket.onmessage = (e) => {
+        const data = JSON.parse(e.data);
+        if (data.type === 'subscriptions') {
+          setChannels(data.channels);
+          setPatterns(data.patterns);
+        } else if (data.type === 'error') {
+          setError(data.error);
+        } else if (data.type === 'message') {
+          const message = { ...data, id: nextIdRef.current++ };
+          const append = (prev) => [...prev, message].slice(-MAX_MESSAGES);
+          if (pausedRef.current) {
+            setBuffered(append);
+          } else {
+            setMessages(append);
+          }
+        }
+      };
+      // Subscriptions are kept on the server, so reconnecting restores them
+      socket.onclose = () => {
+        socketRef.current = null;
+        if (!closed) {
+          setStatus('error');
+          retryTimer = setTimeout(open, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    open();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socketRef.current?.close();
+    };
+  }, [api]);
+
+  const sendRequest = (request) => {
+    if (socketRef.current?.readyState !== WebSocket.OPEN) {
+      setError('Not connected');
+      return;
+    }
+    setError(null);
+    socketRef.current.send(JSON.stringify(request));
+  };
+
+  const handleSubscribe = (e) => {
+    e.preventDefault();
+    const names = subscribeName.split(/[\s,]+/).filter(Boolean);
+    if (names.length === 0) return;
+    sendRequest(subscribeMode === 'pattern'
+      ? { type: 'psubscribe', patterns: names }
+      : { type: 'subscribe', channels: names });
+    setSubscribeName('');
+  };
+
+  const handleResume = () => {
+    setMessages((prev) => [...prev, ...buffered].slice(-MAX_MESSAGES));
+    setBuffered([]);
+    setPaused(false);
+  };
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    if (!publishChannel) return;
+    try {
+      const result = await api.publish(publishChannel, publishMessage);
+      setPublishResult(`Delivered to ${result.receivers} subscriber${result.receivers === 1 ? '' : 's'}`);
+      setError(null);
+    } catch (err) {
+      setPublishResult(null);
+      setError(err?.message || String(err) || 'An error occurred');
+    }
+  };
+
+  const visibleMessages = useMemo(() => {
+    const needle = filter.toLowerCase();
+    if (!needle) return messages;
+    return messages.filter((m) =>
+      m.channel.toLowerCase().includes(needle) || m.message.toLowerCase().includes(needle)
+    );
+  }, [messages, filter]);
+
+  const handleExport = (format) => {
+    const records = visibleMessages.map(({ channel, pattern, message, at }) => ({
+      timestamp: new Date(at).toISOString(),
+      channel,
+      pattern,
+      message,
+    }));
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'ndjson') {
+      const text = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+      downloadFile(`pubsub-${stamp}.ndjson`, text, 'application/x-ndjson');
+    } else {
+      downloadFile(`pubsub-${stamp}.json`, JSON.stringify(records, null, 2), 'application/json');
+    }
+  };
+
+  return (
+    <div className="pubsub-view">
+      <div className="page-header">
+        <h1 className="page-title">Pub/Sub</h1>
+        <div className="page-actions">
+          <span className={`live-status live-status-${paused ? 'paused' : status}`}>
+            <span className="live-dot"></span>
+            {paused ? 'Paused' : STATUS_LABELS[status]}
+          </span>
+          {paused ? (
+            <button className="btn btn-secondary btn-sm" onClick={handleResume}>
+              Resume{buffered.length > 0 ? ` (${buffered.length} new)` : ''}
+            </button>
+          ) : (
+            <button className="btn btn-secondary btn-sm" onClick={() => setPaused(true)}>
+              Pause
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="pubsub-error">{error}</div>}
+
+      <div className="pubsub-panels">
+        <div className="card pubsub-panel">
+          <div className="card-header">
+            <h3 className="card-title">Subscriptions</h3>
+          </div>
+          <div className="card-body">
+            <form className="pubsub-form" onSubmit={handleSubscribe}>
+              <select
+                className="select pubsub-mode"
+                value={subscribeMode}
+                onChange={(e) => setSubscribeMode(e.target.value)}
+              >
+                <option value="channel">Channel</option>
+                <option value="pattern">Pattern</option>
+              </select>
+              <input
+                type="text"
+                className="input"
+                placeholder={subscribeMode === 'pattern' ? 'news.*' : 'channel names, comma separated'}
+                value={subscribeName}
+                onChange={(e) => setSubscribeName(e.target.value)}
+              />
+              <button type="submit" className="btn btn-primary" disabled={status !== 'live'}>
+                Subscribe
+              </button>
+            </form>
+
+            {channels.length === 0 && patterns.length === 0 ? (
+              <p className="pubsub-hint">Not subscribed to anything yet.</p>
+            ) : (
+              <div className="pubsub-subscriptions">
+                {channels.map((name) => (
+                  <span key={`c:${name}`} className="pubsub-chip">
+                    <span className="mono">{name}</span>
+                    <button
+                      className="pubsub-chip-remove"
+                      title="Unsubscribe"
+                      onClick={() => sendRequest({ type: 'unsubscribe', channels: [name] })}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {patterns.map((name) => (
+                  <span key={`p:${name}`} className="pubsub-chip pubsub-chip-pattern">
+                    <span className="mono">{name}</span>
+                    <button
+                      className="pubsub-chip-remove"
+                      title="Unsubscribe"
+                      onClick={() => sendRequest({ type: 'punsubscribe', patterns: [name] })}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {canPublish && (
+          <div className="card pubsub-panel">
+            <div className="card-header">
+              <h3 className="card-title">Publish</h3>
+            </div>
+            <div className="card-body">
+              <form className="pubsub-publish" onSubmit={handlePublish}>
+                <input
+                  type="text"
+                  className="input"
+                  placeholder="Channel"
+                  value={publishChannel}
+                  onChange={(e) => setPublishChannel(e.target.value)}
+                />
+                <textarea
+                  className="input"
+                  placeholder="Message"
+                  rows={3}
+                  value={publishMessage}
+                  onChange={(e) => setPublishMessage(e.target.value)}
+                />
+                <div className="pubsub-publish-actions">
+                  {publishResult && <span className="pubsub-hint">{publishResult}</span>}
+                  <button type="submit" className="btn btn-primary" disabled={!publishChannel}>
+                    Publish
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="pubsub-toolbar">
+        <input
+          type="text"
+          className="input pubsub-filter"
+          placeholder="Filter by channel or message"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <span className="pubsub-count">
+          {visibleMessages.length} of {messages.length} messages
+        </span>
+        <button className="btn btn-secondary btn-sm" onClick={() => handleExport('json')} disabled={visibleMessages.length === 0}>
+          Export JSON
+        </button>
+        <button className="btn btn-secondary btn-sm" onClick={() => handleExport('ndjson')} disabled={visibleMessages.length === 0}>
+          Export NDJSON
+        </button>
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={() => { setMessages([]); setBuffered([]); }}
+          disabled={messages.length === 0 && buffered.length === 0}
+        >
+          Clear
+        </button>
+      </div>
+
+      {visibleMessages.length === 0 ? (
+        <div className="empty-state">
+          <span className="empty-state-icon">📡</span>
+          <h3 className="empty-state-title">No messages</h3>
+          <p className="empty-state-description">
+            Messages on subscribed channels and patterns will appear here.
+          </p>
+        </div>
+      ) : (
+        <div className="pubsub-messages">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Channel</th>
+                <th>Message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...visibleMessages].reverse().map((m) => (
+                <tr key={m.id}>
+                  <td className="pubsub-time">{new Date(m.at).toLocaleTimeString()}</td>
+                  <td className="mono">
+                    {m.channel}
+                    {m.pattern && <div className="pubsub-pattern">via {m.pattern}</div>}
+                  </td>
+                  <td className="mono pubsub-message">{m.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
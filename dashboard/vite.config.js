@@ -10,6 +10,7 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3002',
         changeOrigin: true,
+        ws: true,
       },
     },
   },
@@ -2,6 +2,9 @@
 
 echo "Running Redish Dashboard Docker container..."
 
+# The first start creates the dashboard users file from these variables
 docker run -it --rm \
   -p 3002:3002 \
+  -e DASHBOARD_USER \
+  -e DASHBOARD_PASSWORD \
   jchristn/redish-ui:$1